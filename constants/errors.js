@@ -35,6 +35,96 @@ export const ERROR_CODES = {
 		message: 'Unauthorized: invalid token',
 		status: 401,
 	},
+	AUTH_RESET_TOKEN_INVALID: {
+		code: 'AUTH_008',
+		message: 'Password reset token is invalid or has expired',
+		status: 400,
+	},
+	AUTH_SESSION_REVOKED: {
+		code: 'AUTH_009',
+		message: 'Session has been revoked, please log in again',
+		status: 401,
+	},
+	AUTH_REFRESH_TOKEN_INVALID: {
+		code: 'AUTH_010',
+		message: 'Refresh token is invalid or has expired',
+		status: 401,
+	},
+	AUTH_SESSION_NOT_FOUND: {
+		code: 'AUTH_011',
+		message: 'Session not found',
+		status: 404,
+	},
+	AUTH_FORBIDDEN: {
+		code: 'AUTH_012',
+		message: 'Access denied: insufficient permissions',
+		status: 403,
+	},
+	AUTH_ACCOUNT_INACTIVE: {
+		code: 'AUTH_013',
+		message: 'Account is deactivated or suspended',
+		status: 403,
+	},
+	AUTH_CANNOT_SUSPEND_SELF: {
+		code: 'AUTH_014',
+		message: 'You cannot suspend your own account',
+		status: 400,
+	},
+	AUTH_EMAIL_NOT_VERIFIED: {
+		code: 'AUTH_015',
+		message: 'Please verify your email address first',
+		status: 403,
+	},
+	AUTH_VERIFICATION_TOKEN_INVALID: {
+		code: 'AUTH_016',
+		message: 'Email verification link is invalid or has expired',
+		status: 400,
+	},
+	AUTH_EMAIL_ALREADY_VERIFIED: {
+		code: 'AUTH_017',
+		message: 'Email is already verified',
+		status: 400,
+	},
+	AUTH_VERIFICATION_COOLDOWN: {
+		code: 'AUTH_018',
+		message: 'Please wait before requesting another verification email',
+		status: 429,
+	},
+	AUTH_TOO_MANY_ATTEMPTS: {
+		code: 'AUTH_019',
+		message: 'Too many failed login attempts, please wait and try again',
+		status: 429,
+	},
+	AUTH_ACCOUNT_LOCKED: {
+		code: 'AUTH_020',
+		message: 'Too many failed login attempts, login is temporarily locked',
+		status: 423,
+	},
+	AUTH_API_KEY_INVALID: {
+		code: 'AUTH_021',
+		message: 'Unauthorized: invalid, expired or revoked API key',
+		status: 401,
+	},
+	AUTH_API_KEY_NOT_ALLOWED: {
+		code: 'AUTH_022',
+		message: 'API keys cannot be used on this route',
+		status: 403,
+	},
+	AUTH_API_KEY_SCOPE: {
+		code: 'AUTH_023',
+		message: 'API key is missing the required scope',
+		status: 403,
+	},
+	AUTH_API_KEY_NOT_FOUND: {
+		code: 'AUTH_024',
+		message: 'API key not found',
+		status: 404,
+	},
+	AUTH_PASSWORD_UNCHANGED: {
+		code: 'AUTH_025',
+		message: 'New password must be different from the current one',
+		status: 400,
+	},
 
 	// Book errors
 	BOOK_NOT_FOUND: { code: 'BOOK_001', message: 'Book not found', status: 404 },
@@ -48,6 +138,86 @@ export const ERROR_CODES = {
 		message: 'Error deleting book',
 		status: 500,
 	},
+	BOOK_IMPORT_INVALID: {
+		code: 'BOOK_004',
+		message: 'Import file could not be read',
+		status: 400,
+	},
+	BOOK_VARIANT_NOT_FOUND: {
+		code: 'BOOK_005',
+		message: 'Book variant not found',
+		status: 404,
+	},
+	BOOK_VARIANT_LAST: {
+		code: 'BOOK_006',
+		message: 'A book needs at least one variant',
+		status: 400,
+	},
+	BOOK_VARIANT_AMBIGUOUS: {
+		code: 'BOOK_007',
+		message:
+			'This book has several variants, change price, stock and isbn on the variant',
+		status: 400,
+	},
+	BOOK_VARIANT_DUPLICATE: {
+		code: 'BOOK_008',
+		message: 'SKU or ISBN is already used by another variant',
+		status: 409,
+	},
+	BOOK_NOT_ARCHIVED: {
+		code: 'BOOK_009',
+		message: 'Book is not archived',
+		status: 400,
+	},
+	BOOK_VARIANT_RESERVED: {
+		code: 'BOOK_010',
+		message: 'Variant has stock held for unpaid orders',
+		status: 409,
+	},
+
+	// Category errors
+	CATEGORY_NOT_FOUND: {
+		code: 'CATEGORY_001',
+		message: 'Category not found',
+		status: 404,
+	},
+	CATEGORY_EXISTS: {
+		code: 'CATEGORY_002',
+		message: 'A category with this slug already exists',
+		status: 409,
+	},
+	CATEGORY_INVALID_PARENT: {
+		code: 'CATEGORY_003',
+		message: 'A category cannot be moved under itself or its subcategories',
+		status: 400,
+	},
+	CATEGORY_IN_USE: {
+		code: 'CATEGORY_004',
+		message: 'Category still has subcategories or books',
+		status: 409,
+	},
+	CATEGORY_UNKNOWN: {
+		code: 'CATEGORY_005',
+		message: 'Unknown categories',
+		status: 400,
+	},
+
+	// Inventory errors
+	INVENTORY_INSUFFICIENT_STOCK: {
+		code: 'INVENTORY_001',
+		message: 'Not enough stock to take out',
+		status: 400,
+	},
+	INVENTORY_IN_STOCK: {
+		code: 'INVENTORY_002',
+		message: 'Book is in stock, it can be ordered right away',
+		status: 400,
+	},
+	INVENTORY_SUBSCRIPTION_NOT_FOUND: {
+		code: 'INVENTORY_003',
+		message: 'No back in stock notification for this book',
+		status: 404,
+	},
 
 	// Cart errors
 	CART_NOT_FOUND: { code: 'CART_001', message: 'Cart not found', status: 404 },
@@ -61,6 +231,78 @@ export const ERROR_CODES = {
 		message: 'Invalid quantity',
 		status: 400,
 	},
+	CART_CHANGED: {
+		code: 'CART_004',
+		message: 'Prices or stock changed since items were added, review the cart',
+		status: 409,
+	},
+
+	// Promotion errors
+	PROMOTION_NOT_FOUND: {
+		code: 'PROMOTION_001',
+		message: 'Promotion code not found',
+		status: 404,
+	},
+	PROMOTION_EXPIRED: {
+		code: 'PROMOTION_002',
+		message: 'Promotion code is not valid at this time',
+		status: 400,
+	},
+	PROMOTION_USED_UP: {
+		code: 'PROMOTION_003',
+		message: 'Promotion code has been used up',
+		status: 400,
+	},
+	PROMOTION_USER_LIMIT: {
+		code: 'PROMOTION_004',
+		message: 'You already used this promotion code',
+		status: 400,
+	},
+	PROMOTION_MIN_SPEND: {
+		code: 'PROMOTION_005',
+		message: 'Cart total is below the minimum spend for this code',
+		status: 400,
+	},
+	PROMOTION_NOT_APPLICABLE: {
+		code: 'PROMOTION_006',
+		message: 'Promotion code does not apply to the items in the cart',
+		status: 400,
+	},
+	PROMOTION_EXISTS: {
+		code: 'PROMOTION_007',
+		message: 'A promotion with this code already exists',
+		status: 409,
+	},
+
+	// Role errors
+	ROLE_NOT_FOUND: { code: 'ROLE_001', message: 'Role not found', status: 404 },
+	ROLE_EXISTS: {
+		code: 'ROLE_002',
+		message: 'Role already exists',
+		status: 400,
+	},
+	ROLE_SYSTEM_PROTECTED: {
+		code: 'ROLE_003',
+		message: 'Built in roles cannot be deleted or renamed',
+		status: 400,
+	},
+	ROLE_IN_USE: {
+		code: 'ROLE_004',
+		message: 'Role is still assigned to users',
+		status: 400,
+	},
+	ROLE_LAST_ADMIN: {
+		code: 'ROLE_005',
+		message: 'Cannot remove the last admin',
+		status: 400,
+	},
+
+	// Wishlist errors
+	WISHLIST_ITEM_NOT_FOUND: {
+		code: 'WISHLIST_001',
+		message: 'Book not in wishlist',
+		status: 404,
+	},
 
 	// Server errors
 	INTERNAL_SERVER_ERROR: {
@@ -75,11 +317,6 @@ export const ERROR_CODES = {
 		message: 'Search query is required',
 		status: 400,
 	},
-	SEARCH_NO_RESULTS: {
-		code: 'SEARCH_002',
-		message: 'No results found',
-		status: 404,
-	},
 
 	//Order errors
 	ORDER_NOT_FOUND: {
@@ -92,6 +329,68 @@ export const ERROR_CODES = {
 		message: 'Not enough stock for item',
 		status: 400,
 	},
+	ORDER_ADDRESS_REQUIRED: {
+		code: 'ORDER_003',
+		message: 'A shipping address is required to place an order',
+		status: 400,
+	},
+	ORDER_NOT_DELIVERABLE: {
+		code: 'ORDER_004',
+		message: 'We do not deliver to this address',
+		status: 400,
+	},
+	ORDER_INVALID_TRANSITION: {
+		code: 'ORDER_005',
+		message: 'Order can not move from its current status to this one',
+		status: 409,
+	},
+	ORDER_ON_HOLD: {
+		code: 'ORDER_006',
+		message:
+			'You already have an unpaid order holding stock, pay or cancel it first',
+		status: 409,
+	},
+
+	//Address errors
+	ADDRESS_NOT_FOUND: {
+		code: 'ADDRESS_001',
+		message: 'Address not found',
+		status: 404,
+	},
+
+	//Upload errors
+	UPLOAD_INVALID_TYPE: {
+		code: 'UPLOAD_001',
+		message: 'Cover must be a JPEG, PNG or WebP image',
+		status: 400,
+	},
+	UPLOAD_TOO_LARGE: {
+		code: 'UPLOAD_002',
+		message: 'Cover image is too large',
+		status: 413,
+	},
+	UPLOAD_MISSING: {
+		code: 'UPLOAD_003',
+		message: 'No cover image was sent, use the multipart field "cover"',
+		status: 400,
+	},
+
+	//Review errors
+	REVIEW_NOT_FOUND: {
+		code: 'REVIEW_001',
+		message: 'Review not found',
+		status: 404,
+	},
+	REVIEW_EXISTS: {
+		code: 'REVIEW_002',
+		message: 'You already reviewed this book, edit your review instead',
+		status: 409,
+	},
+	REVIEW_NOT_PURCHASED: {
+		code: 'REVIEW_003',
+		message: 'Only customers who bought this book can review it',
+		status: 403,
+	},
 };
 
 export const getErrorResponse = (errorKey) => {
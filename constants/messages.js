@@ -3,11 +3,70 @@ export const SUCCESS_MESSAGES = {
 	AUTH_REGISTER_SUCCESS: 'User registered successfully',
 	AUTH_LOGIN_SUCCESS: 'Login successful',
 	AUTH_LOGOUT_SUCCESS: 'Logged out successfully',
+	AUTH_RESET_EMAIL_SENT:
+		'If an account exists for that email, a password reset link has been sent',
+	AUTH_PASSWORD_RESET_SUCCESS: 'Password reset successfully, please log in',
+	AUTH_EMAIL_VERIFIED: 'Email verified successfully',
+	AUTH_VERIFICATION_EMAIL_SENT: 'Verification email sent',
+	AUTH_PROFILE_UPDATED: 'Profile updated successfully',
+	AUTH_PASSWORD_CHANGED:
+		'Password changed successfully, other devices have been logged out',
+	AUTH_TOKEN_REFRESHED: 'Token refreshed successfully',
+	AUTH_SESSION_REVOKED: 'Session revoked successfully',
+	AUTH_SESSIONS_REVOKED: 'Sessions revoked successfully',
+	AUTH_API_KEY_CREATED:
+		'API key created, copy it now, it will not be shown again',
+	AUTH_API_KEY_REVOKED: 'API key revoked successfully',
+
+	// Account lifecycle
+	ACCOUNT_DEACTIVATED: 'Account deactivated successfully',
+	ACCOUNT_SUSPENDED: 'Account suspended successfully',
+	ACCOUNT_REACTIVATED: 'Account reactivated successfully',
+	ACCOUNT_ERASED: 'Account and personal data erased successfully',
+	ACCOUNT_UNLOCKED: 'Account login unlocked successfully',
+
+	// Roles
+	ROLE_CREATED: 'Role created successfully',
+	ROLE_UPDATED: 'Role updated successfully',
+	ROLE_DELETED: 'Role deleted successfully',
+	USER_ROLE_UPDATED: 'User role updated successfully',
+
+	// Addresses
+	ADDRESS_ADDED: 'Address added successfully',
+	ADDRESS_UPDATED: 'Address updated successfully',
+	ADDRESS_DELETED: 'Address deleted successfully',
+
+	// Wishlist
+	WISHLIST_ITEM_ADDED: 'Book added to wishlist',
+	WISHLIST_ITEM_REMOVED: 'Book removed from wishlist',
+	WISHLIST_MOVED_TO_CART: 'Book moved to cart',
+	REVIEW_CREATED: 'Review added successfully',
+	REVIEW_UPDATED: 'Review updated successfully',
+	REVIEW_DELETED: 'Review deleted successfully',
+	REVIEW_MODERATED: 'Review moderated successfully',
 
 	// Books
 	BOOK_CREATED: 'Book created successfully',
 	BOOK_UPDATED: 'Book updated successfully',
 	BOOK_DELETED: 'Book deleted successfully',
+	BOOK_ARCHIVED: 'Book archived successfully',
+	BOOK_RESTORED: 'Book restored successfully',
+	BOOK_COVER_UPDATED: 'Book cover updated successfully',
+	BOOK_VARIANT_CREATED: 'Variant added successfully',
+	BOOK_VARIANT_UPDATED: 'Variant updated successfully',
+	BOOK_VARIANT_DELETED: 'Variant deleted successfully',
+	BOOK_IMPORT_DONE: 'Import finished',
+	BOOK_IMPORT_DRY_RUN: 'Dry run finished, nothing was saved',
+
+	// Categories
+	CATEGORY_CREATED: 'Category created successfully',
+	CATEGORY_UPDATED: 'Category updated successfully',
+	CATEGORY_DELETED: 'Category deleted successfully',
+
+	// Inventory
+	INVENTORY_MOVEMENT_RECORDED: 'Stock updated successfully',
+	STOCK_NOTIFY_SUBSCRIBED: 'We will email you when this book is back in stock',
+	STOCK_NOTIFY_UNSUBSCRIBED: 'Back in stock notification removed',
 
 	// Cart
 	CART_ITEM_ADDED: 'Item added to cart',
@@ -15,6 +74,13 @@ export const SUCCESS_MESSAGES = {
 	CART_ITEM_REMOVED: 'Item removed from cart',
 	CART_CLEARED: 'Cart cleared successfully',
 
+	// Promotions
+	PROMOTION_APPLIED: 'Promotion code applied',
+	PROMOTION_REMOVED: 'Promotion code removed',
+	PROMOTION_CREATED: 'Promotion created successfully',
+	PROMOTION_UPDATED: 'Promotion updated successfully',
+	PROMOTION_DELETED: 'Promotion deleted successfully',
+
 	// Orders
 	ORDER_CREATED: 'Order placed successfully',
 	ORDER_CANCELLED: 'Order cancelled successfully',
@@ -23,8 +89,88 @@ export const SUCCESS_MESSAGES = {
 	//Search
 	SEARCH_SUCCESS: 'Search completed successfully',
 };
-/*
+
+//warnings when a cart no longer matches the catalog, code is the key
+export const CART_WARNINGS = {
+	PRICE_CHANGED: (title, oldPrice, newPrice) =>
+		`The price of ${title} changed from ${oldPrice} to ${newPrice}`,
+	QUANTITY_REDUCED: (title, available) =>
+		`Only ${available} of ${title} left in stock`,
+	ITEM_UNAVAILABLE: (title) => `${title} is no longer available`,
+};
+
+//user / catalog text in a mail body, so a name like "<a href=...>" shows as text
+const escapeHtml = (value) =>
+	`${value ?? ''}`
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;')
+		.replace(/'/g, '&#39;');
+
+//template tag that escapes every interpolated value
+const safeHtml = (strings, ...values) =>
+	strings.reduce(
+		(html, string, i) => html + escapeHtml(values[i - 1]) + string
+	);
+
 export const EMAIL_TEMPLATES = {
+	EMAIL_VERIFICATION: (user, verifyUrl) => ({
+		subject: 'Verify your Bookstore email',
+		html: safeHtml`
+		<h1>Verify Your Email</h1>
+		<p>Hi ${user.name},</p>
+		<p>Please confirm this is your email address by clicking the link below:</p>
+		<p><a href="${verifyUrl}">${verifyUrl}</a></p>
+		<p>If you did not create an account, you can ignore this email.</p>
+	`,
+	}),
+
+	ACCOUNT_LOCKED: (user, lockMinutes) => ({
+		subject: 'Your Bookstore account login was locked',
+		html: safeHtml`
+		<h1>Login Locked</h1>
+		<p>Hi ${user.name},</p>
+		<p>We saw too many failed login attempts on your account, so logging in is locked for ${lockMinutes} minutes.</p>
+		<p>If this wasn't you, we recommend resetting your password once the lock expires.</p>
+	`,
+	}),
+
+	PASSWORD_RESET: (user, resetUrl, expiresInMinutes) => ({
+		subject: 'Reset your Bookstore password',
+		html: safeHtml`
+		<h1>Password Reset</h1>
+		<p>Hi ${user.name},</p>
+		<p>We received a request to reset your password. Click the link below to choose a new one:</p>
+		<p><a href="${resetUrl}">${resetUrl}</a></p>
+		<p>This link expires in ${expiresInMinutes} minutes and can only be used once.</p>
+		<p>If you did not request this, you can ignore this email.</p>
+	`,
+	}),
+
+	LOW_STOCK_ALERT: (book, variant, threshold) => ({
+		subject: `Low stock: ${book.title} (${variant.sku})`,
+		html: safeHtml`
+		<h1>Low Stock</h1>
+		<p>${book.title} by ${book.author}, ${variant.format} (${variant.sku}) has ${variant.stock} left to sell.</p>
+		<p>The low stock threshold for it is ${threshold}, time to restock.</p>
+	`,
+	}),
+
+	BACK_IN_STOCK: (user, book, variant, bookUrl) => ({
+		subject: `${book.title} is back in stock`,
+		html: safeHtml`
+		<h1>Back In Stock</h1>
+		<p>Hi ${user.name},</p>
+		<p>Good news, ${book.title} by ${book.author} (${variant.format}) is available again:</p>
+		<p><a href="${bookUrl}">${bookUrl}</a></p>
+		<p>Stock is limited, so order soon if you still want it.</p>
+	`,
+	}),
+};
+
+/*
+export const ORDER_EMAIL_TEMPLATES = {
 	ORDER_CONFIRMATION: (order) => `
 		<h1>Order Confirmation</h1>
 		<p>Thank you for your order!</p>
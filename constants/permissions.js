@@ -0,0 +1,44 @@
+/**
+ * every permission the api checks with requirePermission
+ * '*' is a wildcard that grants everything, only the admin role has it
+ */
+export const PERMISSIONS = {
+	BOOKS_WRITE: 'books:write',
+	ORDERS_READ_ALL: 'orders:read_all',
+	ORDERS_WRITE: 'orders:write',
+	USERS_READ: 'users:read',
+	USERS_MANAGE: 'users:manage',
+	ROLES_MANAGE: 'roles:manage',
+	API_KEYS_MANAGE: 'api_keys:manage',
+	REVIEWS_MODERATE: 'reviews:moderate',
+	PROMOTIONS_MANAGE: 'promotions:manage',
+};
+
+export const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+export const WILDCARD_PERMISSION = '*';
+
+/**
+ * built in roles, created on startup if missing and can not be deleted
+ */
+export const DEFAULT_ROLES = {
+	customer: {
+		description: 'Regular customer account',
+		permissions: [],
+	},
+	staff: {
+		description: 'Store staff, manages catalog and orders',
+		permissions: [
+			PERMISSIONS.BOOKS_WRITE,
+			PERMISSIONS.ORDERS_READ_ALL,
+			PERMISSIONS.ORDERS_WRITE,
+			PERMISSIONS.USERS_READ,
+		],
+	},
+	admin: {
+		description: 'Full access',
+		permissions: [WILDCARD_PERMISSION],
+	},
+};
+
+export const DEFAULT_ROLE = 'customer';
@@ -0,0 +1,56 @@
+/**
+ * checkout charges added on top of the items, worked out by utils/pricing.js
+ * catalog prices are without VAT, amounts are in rupees, weights in grams
+ *
+ * a region matches an address when each of its countries / states / cities lists is empty
+ * or contains the address value (compared lowercase), the first matching entry wins
+ */
+
+//VAT in percent, regions not listed use VAT_RATE env (def to 13)
+export const TAX_RULES = {
+	//e.g. { countries: ['nepal'], states: ['karnali'], rate: 10 }
+	regions: [],
+	//the delivery charge is taxed too
+	includeDelivery: true,
+};
+
+/**
+ * delivery charge per zone
+ * base covers the first kg, perKg is added for every started kg after it,
+ * perItem for every shipped copy after the first, nothing is charged once the
+ * items (after the discount) reach freeOver
+ */
+export const DELIVERY_ZONES = [
+	{
+		name: 'kathmandu_valley',
+		countries: ['nepal'],
+		cities: ['kathmandu', 'lalitpur', 'bhaktapur'],
+		base: 100,
+		perKg: 25,
+		perItem: 0,
+		freeOver: 2000,
+	},
+	{
+		name: 'nepal',
+		countries: ['nepal'],
+		base: 200,
+		perKg: 50,
+		perItem: 10,
+		freeOver: 5000,
+	},
+	{
+		name: 'international',
+		base: 2500,
+		perKg: 1000,
+		perItem: 0,
+		freeOver: null,
+	},
+];
+
+//weight of a variant without its own, 0 = not shipped
+export const FORMAT_WEIGHTS = {
+	paperback: 400,
+	hardcover: 800,
+	ebook: 0,
+	audiobook: 0,
+};
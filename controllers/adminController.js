@@ -0,0 +1,452 @@
+import Role from '../models/role.js';
+import User from '../models/user.js';
+import Session from '../models/session.js';
+import LoginAttempt, {
+	accountAttemptKey,
+	ipAttemptKey,
+} from '../models/loginAttempt.js';
+import { getErrorResponse } from '../constants/errors.js';
+import { SUCCESS_MESSAGES } from '../constants/messages.js';
+import { getPaginationMetadata } from '../utils/helpers.js';
+
+/**
+ * list all roles
+ * @route GET /api/admin/roles
+ * @access Private, roles:manage
+ */
+export const getRoles = async (req, res) => {
+	try {
+		const roles = await Role.find().sort({ name: 1 });
+
+		return res.status(200).json({
+			success: true,
+			count: roles.length,
+			roles,
+		});
+	} catch (error) {
+		console.error('Get roles error:', error.message);
+		const errResponse = getErrorResponse('INTERNAL_SERVER_ERROR');
+		return res.status(errResponse.status).json({
+			success: false,
+			error: errResponse.message,
+			code: errResponse.code,
+		});
+	}
+};
+
+/**
+ * create a custom role
+ * @route POST /api/admin/roles
+ * @access Private, roles:manage
+ */
+export const createRole = async (req, res) => {
+	try {
+		const { name, description, permissions = [] } = req.body;
+
+		const existing = await Role.findOne({ name: name.toLowerCase() });
+		if (existing) {
+			const error = getErrorResponse('ROLE_EXISTS');
+			return res.status(error.status).json({
+				success: false,
+				error: error.message,
+				code: error.code,
+			});
+		}
+
+		const role = await Role.create({ name, description, permissions });
+
+		return res.status(201).json({
+			success: true,
+			message: SUCCESS_MESSAGES.ROLE_CREATED,
+			role,
+		});
+	} catch (error) {
+		console.error('Create role error:', error.message);
+		const errResponse = getErrorResponse('INTERNAL_SERVER_ERROR');
+		return res.status(errResponse.status).json({
+			success: false,
+			error: errResponse.message,
+			code: errResponse.code,
+		});
+	}
+};
+
+/**
+ * update a roles description / permissions
+ * @route PUT /api/admin/roles/:roleId
+ * @access Private, roles:manage
+ */
+export const updateRole = async (req, res) => {
+	try {
+		const { name, description, permissions } = req.body;
+
+		const role = await Role.findById(req.params.roleId);
+		if (!role) {
+			const error = getErrorResponse('ROLE_NOT_FOUND');
+			return res.status(error.status).json({
+				success: false,
+				error: error.message,
+				code: error.code,
+			});
+		}
+
+		//built in roles keep their name, admin keeps its wildcard
+		if (
+			role.isSystem &&
+			((name && name.toLowerCase() !== role.name) ||
+				(role.name === 'admin' && permissions !== undefined))
+		) {
+			const error = getErrorResponse('ROLE_SYSTEM_PROTECTED');
+			return res.status(error.status).json({
+				success: false,
+				error: error.message,
+				code: error.code,
+			});
+		}
+
+		//renaming a custom role, its users are moved along once it is saved
+		const previousName = role.name;
+		if (name && name.toLowerCase() !== role.name) {
+			const taken = await Role.findOne({ name: name.toLowerCase() });
+			if (taken) {
+				const error = getErrorResponse('ROLE_EXISTS');
+				return res.status(error.status).json({
+					success: false,
+					error: error.message,
+					code: error.code,
+				});
+			}
+
+			role.name = name;
+		}
+
+		if (description !== undefined) role.description = description;
+		if (permissions !== undefined) role.permissions = permissions;
+
+		await role.save();
+
+		//only after the save, a failed one would leave them on a role that doesnt exist
+		if (role.name !== previousName) {
+			await User.updateMany(
+				{ role: previousName },
+				{ $set: { role: role.name } }
+			);
+		}
+
+		return res.status(200).json({
+			success: true,
+			message: SUCCESS_MESSAGES.ROLE_UPDATED,
+			role,
+		});
+	} catch (error) {
+		console.error('Update role error:', error.message);
+		const errResponse = getErrorResponse('INTERNAL_SERVER_ERROR');
+		return res.status(errResponse.status).json({
+			success: false,
+			error: errResponse.message,
+			code: errResponse.code,
+		});
+	}
+};
+
+/**
+ * delete a custom role that no user has
+ * @route DELETE /api/admin/roles/:roleId
+ * @access Private, roles:manage
+ */
+export const deleteRole = async (req, res) => {
+	try {
+		const role = await Role.findById(req.params.roleId);
+		if (!role) {
+			const error = getErrorResponse('ROLE_NOT_FOUND');
+			return res.status(error.status).json({
+				success: false,
+				error: error.message,
+				code: error.code,
+			});
+		}
+
+		if (role.isSystem) {
+			const error = getErrorResponse('ROLE_SYSTEM_PROTECTED');
+			return res.status(error.status).json({
+				success: false,
+				error: error.message,
+				code: error.code,
+			});
+		}
+
+		const usersWithRole = await User.countDocuments({ role: role.name });
+		if (usersWithRole > 0) {
+			const error = getErrorResponse('ROLE_IN_USE');
+			return res.status(error.status).json({
+				success: false,
+				error: error.message,
+				code: error.code,
+			});
+		}
+
+		await role.deleteOne();
+
+		return res.status(200).json({
+			success: true,
+			message: SUCCESS_MESSAGES.ROLE_DELETED,
+		});
+	} catch (error) {
+		console.error('Delete role error:', error.message);
+		const errResponse = getErrorResponse('INTERNAL_SERVER_ERROR');
+		return res.status(errResponse.status).json({
+			success: false,
+			error: errResponse.message,
+			code: errResponse.code,
+		});
+	}
+};
+
+/**
+ * list users, optionally by role / status
+ * @route GET /api/admin/users
+ * @access Private, users:read
+ * @queryParam {string} role - optional
+ * @queryParam {string} status - optional, active or inactive
+ * @queryParam {number} page - optional, def to 1
+ * @queryParam {number} limit - optional, def to 20
+ */
+export const getUsers = async (req, res) => {
+	try {
+		const page = Math.max(parseInt(req.query.page) || 1, 1);
+		const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+		const filter = {};
+		if (req.query.role) filter.role = req.query.role.toLowerCase();
+		if (req.query.status === 'active') filter.isActive = true;
+		if (req.query.status === 'inactive') filter.isActive = false;
+
+		const total = await User.countDocuments(filter);
+		const users = await User.find(filter)
+			.select('name email role isActive deactivationReason lastLogin createdAt')
+			.sort({ createdAt: -1 })
+			.skip((page - 1) * limit)
+			.limit(limit);
+
+		return res.status(200).json({
+			success: true,
+			data: users,
+			pagination: getPaginationMetadata(page, limit, total),
+		});
+	} catch (error) {
+		console.error('Get users error:', error.message);
+		const errResponse = getErrorResponse('INTERNAL_SERVER_ERROR');
+		return res.status(errResponse.status).json({
+			success: false,
+			error: errResponse.message,
+			code: errResponse.code,
+		});
+	}
+};
+
+/**
+ * assign a role to a user
+ * @route PUT /api/admin/users/:userId/role
+ * @access Private, roles:manage
+ */
+export const assignUserRole = async (req, res) => {
+	try {
+		const roleName = req.body.role?.toLowerCase();
+
+		const role = roleName && (await Role.findOne({ name: roleName }));
+		if (!role) {
+			const error = getErrorResponse('ROLE_NOT_FOUND');
+			return res.status(error.status).json({
+				success: false,
+				error: error.message,
+				code: error.code,
+			});
+		}
+
+		const user = await User.findById(req.params.userId);
+		if (!user) {
+			const error = getErrorResponse('AUTH_USER_NOT_FOUND');
+			return res.status(error.status).json({
+				success: false,
+				error: error.message,
+				code: error.code,
+			});
+		}
+
+		//always keep at least one admin around
+		if (user.role === 'admin' && role.name !== 'admin') {
+			const adminCount = await User.countDocuments({ role: 'admin' });
+			if (adminCount <= 1) {
+				const error = getErrorResponse('ROLE_LAST_ADMIN');
+				return res.status(error.status).json({
+					success: false,
+					error: error.message,
+					code: error.code,
+				});
+			}
+		}
+
+		user.role = role.name;
+		await user.save();
+
+		return res.status(200).json({
+			success: true,
+			message: SUCCESS_MESSAGES.USER_ROLE_UPDATED,
+			user: {
+				id: user._id,
+				name: user.name,
+				email: user.email,
+				role: user.role,
+			},
+		});
+	} catch (error) {
+		console.error('Assign role error:', error.message);
+		const errResponse = getErrorResponse('INTERNAL_SERVER_ERROR');
+		return res.status(errResponse.status).json({
+			success: false,
+			error: errResponse.message,
+			code: errResponse.code,
+		});
+	}
+};
+
+/**
+ * suspend a user, kills all their sessions
+ * @route PATCH /api/admin/users/:userId/suspend
+ * @access Private, users:manage
+ */
+export const suspendUser = async (req, res) => {
+	try {
+		if (req.userId.equals(req.params.userId)) {
+			const error = getErrorResponse('AUTH_CANNOT_SUSPEND_SELF');
+			return res.status(error.status).json({
+				success: false,
+				error: error.message,
+				code: error.code,
+			});
+		}
+
+		const user = await User.findById(req.params.userId);
+		if (!user || user.erasedAt) {
+			const error = getErrorResponse('AUTH_USER_NOT_FOUND');
+			return res.status(error.status).json({
+				success: false,
+				error: error.message,
+				code: error.code,
+			});
+		}
+
+		//someone has to be left who can manage roles
+		if (await User.isLastAdmin(user)) {
+			const error = getErrorResponse('ROLE_LAST_ADMIN');
+			return res.status(error.status).json({
+				success: false,
+				error: error.message,
+				code: error.code,
+			});
+		}
+
+		user.deactivate('suspended', req.body?.reason);
+		await user.save();
+
+		await Session.revokeAllForUser(user._id, 'account_inactive');
+
+		return res.status(200).json({
+			success: true,
+			message: SUCCESS_MESSAGES.ACCOUNT_SUSPENDED,
+			user: {
+				id: user._id,
+				email: user.email,
+				isActive: user.isActive,
+				deactivationReason: user.deactivationReason,
+				suspensionNote: user.suspensionNote,
+			},
+		});
+	} catch (error) {
+		console.error('Suspend user error:', error.message);
+		const errResponse = getErrorResponse('INTERNAL_SERVER_ERROR');
+		return res.status(errResponse.status).json({
+			success: false,
+			error: errResponse.message,
+			code: errResponse.code,
+		});
+	}
+};
+
+/**
+ * reactivate a suspended or self deactivated user, erased accounts stay erased
+ * @route PATCH /api/admin/users/:userId/reactivate
+ * @access Private, users:manage
+ */
+export const reactivateUser = async (req, res) => {
+	try {
+		const user = await User.findById(req.params.userId);
+		if (!user || user.erasedAt) {
+			const error = getErrorResponse('AUTH_USER_NOT_FOUND');
+			return res.status(error.status).json({
+				success: false,
+				error: error.message,
+				code: error.code,
+			});
+		}
+
+		user.reactivate();
+		await user.save();
+
+		return res.status(200).json({
+			success: true,
+			message: SUCCESS_MESSAGES.ACCOUNT_REACTIVATED,
+			user: {
+				id: user._id,
+				email: user.email,
+				isActive: user.isActive,
+			},
+		});
+	} catch (error) {
+		console.error('Reactivate user error:', error.message);
+		const errResponse = getErrorResponse('INTERNAL_SERVER_ERROR');
+		return res.status(errResponse.status).json({
+			success: false,
+			error: errResponse.message,
+			code: errResponse.code,
+		});
+	}
+};
+
+/**
+ * clear the failed login lock of a user, optionally of an ip too
+ * @route POST /api/admin/users/:userId/unlock
+ * @access Private, users:manage
+ * @bodyParam {string} ip - optional, also clears this ip's counter
+ */
+export const unlockUser = async (req, res) => {
+	try {
+		const user = await User.findById(req.params.userId).select('email');
+		if (!user) {
+			const error = getErrorResponse('AUTH_USER_NOT_FOUND');
+			return res.status(error.status).json({
+				success: false,
+				error: error.message,
+				code: error.code,
+			});
+		}
+
+		await LoginAttempt.clear(accountAttemptKey(user.email));
+		if (req.body?.ip) {
+			await LoginAttempt.clear(ipAttemptKey(req.body.ip));
+		}
+
+		return res.status(200).json({
+			success: true,
+			message: SUCCESS_MESSAGES.ACCOUNT_UNLOCKED,
+		});
+	} catch (error) {
+		console.error('Unlock user error:', error.message);
+		const errResponse = getErrorResponse('INTERNAL_SERVER_ERROR');
+		return res.status(errResponse.status).json({
+			success: false,
+			error: errResponse.message,
+			code: errResponse.code,
+		});
+	}
+};
@@ -1,11 +1,46 @@
-import User from '../models/user.js';
+import User, { PROFILE_FIELDS } from '../models/user.js';
+import Session from '../models/session.js';
+import ApiKey from '../models/apiKey.js';
+import LoginAttempt, {
+	accountAttemptKey,
+	getLoginLimits,
+	ipAttemptKey,
+} from '../models/loginAttempt.js';
 import jwt from 'jsonwebtoken';
 import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
 import genTokenAndSetCookie, {
+	clearAuthCookies,
+	generateRefreshToken,
 	generateToken,
+	setAuthCookies,
+	verifyRefreshToken,
+	wantsTokensInBody,
 } from '../utils/genTokenAndSetCookie.js';
 import { getErrorResponse } from '../constants/errors.js';
-import { SUCCESS_MESSAGES } from '../constants/messages.js';
+import { EMAIL_TEMPLATES, SUCCESS_MESSAGES } from '../constants/messages.js';
+import { sendMail } from '../utils/mailer.js';
+import { clearGuestCartCookie, getGuestCartId } from '../utils/guestCart.js';
+import { mergeGuestCart } from './cartController.js';
+import {
+	sendVerificationEmail,
+	verifyEmailVerificationToken,
+} from '../utils/emailVerification.js';
+
+//compared against when the email is unknown, so both cases take as long
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('not-a-real-password', 10);
+
+//whatever a guest put in their cart moves into the account, a failed merge shouldnt fail the login
+const takeOverGuestCart = async (req, res, userId) => {
+	try {
+		const summary = await mergeGuestCart(getGuestCartId(req), userId);
+		if (summary) clearGuestCartCookie(res);
+		return summary;
+	} catch (error) {
+		console.error('Merge guest cart error:', error.message);
+		return null;
+	}
+};
 
 /**
  * Register new user
@@ -42,7 +77,20 @@ export const registerUser = async (req, res) => {
 			await newUser.save();
 
 			//generate token and set cookie, sorry for the opposite function name, boo
-			genTokenAndSetCookie(newUser._id, res);
+			const { accessToken, refreshToken } = await genTokenAndSetCookie(
+				newUser._id,
+				res,
+				req
+			);
+
+			const guestCart = await takeOverGuestCart(req, res, newUser._id);
+
+			//send the verification link, a mail failure shouldnt fail the signup, user can resend
+			try {
+				await sendVerificationEmail(newUser);
+			} catch (mailError) {
+				console.error('Verification email error:', mailError.message);
+			}
 
 			//return success with user and token
 			return res.status(201).json({
@@ -52,7 +100,11 @@ export const registerUser = async (req, res) => {
 					id: newUser._id,
 					name: newUser.name,
 					email: newUser.email,
+					role: newUser.role,
+					emailVerified: newUser.emailVerified,
 				},
+				...(guestCart && { guestCart }),
+				...(wantsTokensInBody(req) && { accessToken, refreshToken }),
 			});
 		}
 	} catch (error) {
@@ -73,13 +125,57 @@ export const registerUser = async (req, res) => {
 export const loginUser = async (req, res) => {
 	try {
 		const { email, password } = req.body;
+		const accountKey = accountAttemptKey(email);
+		const ipKey = ipAttemptKey(req.ip);
+
+		//locked or still inside the progressive delay?
+		const block = await LoginAttempt.getBlock([accountKey, ipKey]);
+		if (block) {
+			const error = getErrorResponse(
+				block.type === 'locked'
+					? 'AUTH_ACCOUNT_LOCKED'
+					: 'AUTH_TOO_MANY_ATTEMPTS'
+			);
+			res.set('Retry-After', block.retryAfter.toString());
+			return res.status(error.status).json({
+				success: false,
+				error: error.message,
+				code: error.code,
+				retryAfter: block.retryAfter,
+			});
+		}
 
 		//find user
 		const user = await User.findOne({ email });
 
-		//return error if no user exists
-		if (!user) {
-			const error = getErrorResponse('AUTH_USER_NOT_FOUND');
+		//compare passwords, against a dummy hash if no user so timing doesnt leak it
+		const isMatch = await bcrypt.compare(
+			password,
+			user ? user.passwordHash : DUMMY_PASSWORD_HASH
+		);
+
+		//same error for unknown email and wrong password
+		if (!user || !isMatch) {
+			const limits = getLoginLimits();
+			const { lockedNow } = await LoginAttempt.recordFailure(
+				accountKey,
+				limits.maxAccountAttempts
+			);
+			await LoginAttempt.recordFailure(ipKey, limits.maxIpAttempts);
+
+			//tell the real owner, unknown emails lock the same way but nobody gets mail
+			if (lockedNow && user) {
+				try {
+					await sendMail({
+						to: user.email,
+						...EMAIL_TEMPLATES.ACCOUNT_LOCKED(user, limits.lockMinutes),
+					});
+				} catch (mailError) {
+					console.error('Lockout email error:', mailError.message);
+				}
+			}
+
+			const error = getErrorResponse('AUTH_INVALID_CREDENTIALS');
 			return res.status(error.status).json({
 				success: false,
 				error: error.message,
@@ -87,12 +183,12 @@ export const loginUser = async (req, res) => {
 			});
 		}
 
-		//else compare passwords
-		const isMatch = await bcrypt.compare(password, user.passwordHash);
+		//good password, forget the failures of this account
+		await LoginAttempt.clear(accountKey);
 
-		//if passwords dont match return error
-		if (!isMatch) {
-			const error = getErrorResponse('AUTH_INVALID_CREDENTIALS');
+		//only checked after the password so it doesnt reveal account status
+		if (!user.isActive) {
+			const error = getErrorResponse('AUTH_ACCOUNT_INACTIVE');
 			return res.status(error.status).json({
 				success: false,
 				error: error.message,
@@ -100,13 +196,19 @@ export const loginUser = async (req, res) => {
 			});
 		}
 
-		//generate jwt token
-		genTokenAndSetCookie(user._id, res);
+		//start a session and set the token cookies
+		const { accessToken, refreshToken } = await genTokenAndSetCookie(
+			user._id,
+			res,
+			req
+		);
 
 		//update last login
 		user.lastLogin = new Date();
 		await user.save();
 
+		const guestCart = await takeOverGuestCart(req, res, user._id);
+
 		//return success message alongside user and token
 		return res.status(200).json({
 			success: true,
@@ -115,7 +217,11 @@ export const loginUser = async (req, res) => {
 				id: user._id,
 				name: user.name,
 				email: user.email,
+				role: user.role,
+				emailVerified: user.emailVerified,
 			},
+			...(guestCart && { guestCart }),
+			...(wantsTokensInBody(req) && { accessToken, refreshToken }),
 		});
 	} catch (error) {
 		console.error('Login error:', error.message);
@@ -135,7 +241,21 @@ export const loginUser = async (req, res) => {
  */
 export const logoutUser = async (req, res) => {
 	try {
-		res.cookie('jwt', '', { maxAge: 0 });
+		//revoke the session behind the refresh token, if there is a valid one
+		const refreshToken = req.cookies.refreshToken || req.body?.refreshToken;
+		if (refreshToken) {
+			try {
+				const decoded = verifyRefreshToken(refreshToken);
+				await Session.updateOne(
+					{ _id: decoded.sessionId, revokedAt: null },
+					{ $set: { revokedAt: new Date(), revokedReason: 'logout' } }
+				);
+			} catch (error) {
+				//expired or invalid refresh token, nothing to revoke
+			}
+		}
+
+		clearAuthCookies(res);
 		res.status(200).json({
 			success: true,
 			message: SUCCESS_MESSAGES.AUTH_LOGOUT_SUCCESS,
@@ -150,3 +270,679 @@ export const logoutUser = async (req, res) => {
 		});
 	}
 };
+
+/**
+ * Request a password reset link
+ * @route POST /api/auth/forgot-password
+ * @access Public
+ */
+export const forgotPassword = async (req, res) => {
+	try {
+		const { email } = req.body;
+
+		const user = await User.findOne({ email: email.toLowerCase().trim() });
+
+		//same response whether the user exists or not, dont leak registered emails
+		if (user) {
+			const expiresInMinutes =
+				parseInt(process.env.RESET_PASSWORD_EXPIRE_MINUTES) || 15;
+			const resetToken = user.createPasswordResetToken(expiresInMinutes);
+			await user.save();
+
+			const resetUrl = `${
+				process.env.CLIENT_URL || 'http://localhost:3000'
+			}/reset-password/${resetToken}`;
+			const template = EMAIL_TEMPLATES.PASSWORD_RESET(
+				user,
+				resetUrl,
+				expiresInMinutes
+			);
+
+			try {
+				await sendMail({ to: user.email, ...template });
+			} catch (mailError) {
+				//undo the token so a link that never arrived cant be used
+				user.resetPasswordToken = undefined;
+				user.resetPasswordExpire = undefined;
+				await user.save();
+				throw mailError;
+			}
+		}
+
+		return res.status(200).json({
+			success: true,
+			message: SUCCESS_MESSAGES.AUTH_RESET_EMAIL_SENT,
+		});
+	} catch (error) {
+		console.error('Forgot password error:', error.message);
+		const errResponse = getErrorResponse('INTERNAL_SERVER_ERROR');
+		return res.status(errResponse.status).json({
+			success: false,
+			error: errResponse.message,
+			code: errResponse.code,
+		});
+	}
+};
+
+/**
+ * Reset password using the token from the email
+ * @route POST /api/auth/reset-password/:token
+ * @access Public
+ */
+export const resetPassword = async (req, res) => {
+	try {
+		const { password } = req.body;
+
+		//tokens are stored hashed, so hash the incoming one to look it up
+		const hashedToken = crypto
+			.createHash('sha256')
+			.update(req.params.token)
+			.digest('hex');
+
+		const user = await User.findOne({
+			resetPasswordToken: hashedToken,
+			resetPasswordExpire: { $gt: Date.now() },
+		});
+
+		if (!user) {
+			const error = getErrorResponse('AUTH_RESET_TOKEN_INVALID');
+			return res.status(error.status).json({
+				success: false,
+				error: error.message,
+				code: error.code,
+			});
+		}
+
+		//set new password and burn the token, single use
+		user.passwordHash = await bcrypt.hash(password, 10);
+		user.resetPasswordToken = undefined;
+		user.resetPasswordExpire = undefined;
+
+		//tokens issued before this are rejected by protectRoute
+		//minus a second bc jwt iat only has second precision
+		user.passwordChangedAt = new Date(Date.now() - 1000);
+		await user.save();
+
+		//log out every device, including this one
+		await Session.revokeAllForUser(user._id, 'password_change');
+		clearAuthCookies(res);
+
+		return res.status(200).json({
+			success: true,
+			message: SUCCESS_MESSAGES.AUTH_PASSWORD_RESET_SUCCESS,
+		});
+	} catch (error) {
+		console.error('Reset password error:', error.message);
+		const errResponse = getErrorResponse('INTERNAL_SERVER_ERROR');
+		return res.status(errResponse.status).json({
+			success: false,
+			error: errResponse.message,
+			code: errResponse.code,
+		});
+	}
+};
+
+/**
+ * Rotate the refresh token and issue a new access token
+ * presenting an already rotated refresh token revokes the whole session (token family)
+ * @route POST /api/auth/refresh
+ * @access Public, needs refresh token cookie
+ */
+export const refreshAccessToken = async (req, res) => {
+	try {
+		const refreshToken = req.cookies.refreshToken || req.body?.refreshToken;
+
+		let decoded;
+		try {
+			decoded = verifyRefreshToken(refreshToken);
+		} catch (error) {
+			const errResp = getErrorResponse('AUTH_REFRESH_TOKEN_INVALID');
+			return res.status(errResp.status).json({
+				success: false,
+				error: errResp.message,
+				code: errResp.code,
+			});
+		}
+
+		const session = await Session.findById(decoded.sessionId);
+		if (!session || !session.isActive()) {
+			clearAuthCookies(res);
+			const error = getErrorResponse('AUTH_SESSION_REVOKED');
+			return res.status(error.status).json({
+				success: false,
+				error: error.message,
+				code: error.code,
+			});
+		}
+
+		//user got suspended / deactivated since the session started
+		const user = await User.findById(decoded.userId).select('isActive');
+		if (!user || !user.isActive) {
+			await Session.revokeAllForUser(decoded.userId, 'account_inactive');
+			clearAuthCookies(res);
+			const error = getErrorResponse('AUTH_ACCOUNT_INACTIVE');
+			return res.status(error.status).json({
+				success: false,
+				error: error.message,
+				code: error.code,
+			});
+		}
+
+		//swap the token hash atomically, only the latest token of the family matches
+		const newRefreshToken = generateRefreshToken(decoded.userId, session._id);
+		const rotated = await Session.findOneAndUpdate(
+			{
+				_id: session._id,
+				refreshTokenHash: Session.hashToken(refreshToken),
+				revokedAt: null,
+			},
+			{
+				$set: {
+					refreshTokenHash: Session.hashToken(newRefreshToken),
+					lastUsedAt: new Date(),
+					userAgent: req.get('user-agent'),
+					ip: req.ip,
+				},
+			},
+			{ new: true }
+		);
+
+		//old token used again, someone else has a copy, kill the family
+		if (!rotated) {
+			console.warn(
+				`Refresh token reuse detected for session ${session._id}, revoking`
+			);
+			await Session.updateOne(
+				{ _id: session._id },
+				{ $set: { revokedAt: new Date(), revokedReason: 'reuse_detected' } }
+			);
+			clearAuthCookies(res);
+			const error = getErrorResponse('AUTH_SESSION_REVOKED');
+			return res.status(error.status).json({
+				success: false,
+				error: error.message,
+				code: error.code,
+			});
+		}
+
+		const accessToken = generateToken(decoded.userId, session._id);
+		setAuthCookies(res, accessToken, newRefreshToken);
+
+		return res.status(200).json({
+			success: true,
+			message: SUCCESS_MESSAGES.AUTH_TOKEN_REFRESHED,
+			...(wantsTokensInBody(req) && {
+				accessToken,
+				refreshToken: newRefreshToken,
+			}),
+		});
+	} catch (error) {
+		console.error('Refresh token error:', error.message);
+		const errResponse = getErrorResponse('INTERNAL_SERVER_ERROR');
+		return res.status(errResponse.status).json({
+			success: false,
+			error: errResponse.message,
+			code: errResponse.code,
+		});
+	}
+};
+
+/**
+ * List active sessions (devices) of the logged in user
+ * @route GET /api/auth/sessions
+ * @access Private
+ */
+export const getSessions = async (req, res) => {
+	try {
+		const sessions = await Session.find({
+			userId: req.userId,
+			revokedAt: null,
+			expiresAt: { $gt: new Date() },
+		}).sort({ lastUsedAt: -1 });
+
+		return res.status(200).json({
+			success: true,
+			count: sessions.length,
+			sessions: sessions.map((session) => ({
+				id: session._id,
+				userAgent: session.userAgent,
+				ip: session.ip,
+				createdAt: session.createdAt,
+				lastUsedAt: session.lastUsedAt,
+				expiresAt: session.expiresAt,
+				current: session._id.equals(req.sessionId),
+			})),
+		});
+	} catch (error) {
+		console.error('Get sessions error:', error.message);
+		const errResponse = getErrorResponse('INTERNAL_SERVER_ERROR');
+		return res.status(errResponse.status).json({
+			success: false,
+			error: errResponse.message,
+			code: errResponse.code,
+		});
+	}
+};
+
+/**
+ * Revoke one session of the logged in user
+ * @route DELETE /api/auth/sessions/:sessionId
+ * @access Private
+ */
+export const revokeSession = async (req, res) => {
+	try {
+		const { sessionId } = req.params;
+
+		const session = await Session.findOneAndUpdate(
+			{ _id: sessionId, userId: req.userId, revokedAt: null },
+			{ $set: { revokedAt: new Date(), revokedReason: 'user' } }
+		);
+
+		if (!session) {
+			const error = getErrorResponse('AUTH_SESSION_NOT_FOUND');
+			return res.status(error.status).json({
+				success: false,
+				error: error.message,
+				code: error.code,
+			});
+		}
+
+		//revoking the current device is a logout
+		if (session._id.equals(req.sessionId)) {
+			clearAuthCookies(res);
+		}
+
+		return res.status(200).json({
+			success: true,
+			message: SUCCESS_MESSAGES.AUTH_SESSION_REVOKED,
+		});
+	} catch (error) {
+		console.error('Revoke session error:', error.message);
+		const errResponse = getErrorResponse('INTERNAL_SERVER_ERROR');
+		return res.status(errResponse.status).json({
+			success: false,
+			error: errResponse.message,
+			code: errResponse.code,
+		});
+	}
+};
+
+/**
+ * Revoke all sessions of the logged in user
+ * @route DELETE /api/auth/sessions
+ * @access Private
+ * @queryParam {boolean} keepCurrent - optional, true keeps this device logged in
+ */
+export const revokeAllSessions = async (req, res) => {
+	try {
+		const keepCurrent = req.query.keepCurrent === 'true';
+
+		const result = await Session.revokeAllForUser(
+			req.userId,
+			'user',
+			keepCurrent ? req.sessionId : undefined
+		);
+
+		if (!keepCurrent) {
+			clearAuthCookies(res);
+		}
+
+		return res.status(200).json({
+			success: true,
+			message: SUCCESS_MESSAGES.AUTH_SESSIONS_REVOKED,
+			revokedCount: result.modifiedCount,
+		});
+	} catch (error) {
+		console.error('Revoke all sessions error:', error.message);
+		const errResponse = getErrorResponse('INTERNAL_SERVER_ERROR');
+		return res.status(errResponse.status).json({
+			success: false,
+			error: errResponse.message,
+			code: errResponse.code,
+		});
+	}
+};
+
+/**
+ * Verify email with the signed link from the verification mail
+ * @route POST /api/auth/verify-email/:token
+ * @access Public
+ */
+export const verifyEmail = async (req, res) => {
+	try {
+		let decoded;
+		try {
+			decoded = verifyEmailVerificationToken(req.params.token);
+		} catch (error) {
+			const errResp = getErrorResponse('AUTH_VERIFICATION_TOKEN_INVALID');
+			return res.status(errResp.status).json({
+				success: false,
+				error: errResp.message,
+				code: errResp.code,
+			});
+		}
+
+		//email must still match, changing the email kills old links
+		const user = await User.findOne({
+			_id: decoded.userId,
+			email: decoded.email,
+		});
+		if (!user) {
+			const error = getErrorResponse('AUTH_VERIFICATION_TOKEN_INVALID');
+			return res.status(error.status).json({
+				success: false,
+				error: error.message,
+				code: error.code,
+			});
+		}
+
+		//clicking the link twice is fine
+		if (!user.emailVerified) {
+			user.emailVerified = true;
+			user.emailVerifiedAt = new Date();
+			await user.save();
+		}
+
+		return res.status(200).json({
+			success: true,
+			message: SUCCESS_MESSAGES.AUTH_EMAIL_VERIFIED,
+		});
+	} catch (error) {
+		console.error('Verify email error:', error.message);
+		const errResponse = getErrorResponse('INTERNAL_SERVER_ERROR');
+		return res.status(errResponse.status).json({
+			success: false,
+			error: errResponse.message,
+			code: errResponse.code,
+		});
+	}
+};
+
+/**
+ * Resend the verification email, with a cooldown
+ * @route POST /api/auth/verify-email/resend
+ * @access Private
+ */
+export const resendVerificationEmail = async (req, res) => {
+	try {
+		const user = await User.findById(req.userId);
+
+		if (user.emailVerified) {
+			const error = getErrorResponse('AUTH_EMAIL_ALREADY_VERIFIED');
+			return res.status(error.status).json({
+				success: false,
+				error: error.message,
+				code: error.code,
+			});
+		}
+
+		const cooldownSeconds =
+			parseInt(process.env.VERIFICATION_RESEND_COOLDOWN_SECONDS) || 60;
+		if (user.verificationEmailSentAt) {
+			const waitMs =
+				user.verificationEmailSentAt.getTime() +
+				cooldownSeconds * 1000 -
+				Date.now();
+
+			if (waitMs > 0) {
+				const error = getErrorResponse('AUTH_VERIFICATION_COOLDOWN');
+				const retryAfter = Math.ceil(waitMs / 1000);
+				res.set('Retry-After', retryAfter.toString());
+				return res.status(error.status).json({
+					success: false,
+					error: error.message,
+					code: error.code,
+					retryAfter,
+				});
+			}
+		}
+
+		await sendVerificationEmail(user);
+
+		return res.status(200).json({
+			success: true,
+			message: SUCCESS_MESSAGES.AUTH_VERIFICATION_EMAIL_SENT,
+		});
+	} catch (error) {
+		console.error('Resend verification error:', error.message);
+		const errResponse = getErrorResponse('INTERNAL_SERVER_ERROR');
+		return res.status(errResponse.status).json({
+			success: false,
+			error: errResponse.message,
+			code: errResponse.code,
+		});
+	}
+};
+
+/**
+ * Create an api key, the raw key is only returned here
+ * @route POST /api/auth/api-keys
+ * @access Private, api_keys:manage
+ */
+export const createApiKey = async (req, res) => {
+	try {
+		const { name, scopes, expiresAt } = req.body;
+
+		//a key can never do more than the person creating it
+		const notAllowed = scopes.filter((scope) => !req.role.hasPermission(scope));
+		if (notAllowed.length > 0) {
+			const error = getErrorResponse('AUTH_FORBIDDEN');
+			return res.status(error.status).json({
+				success: false,
+				error: error.message,
+				code: error.code,
+				details: notAllowed,
+			});
+		}
+
+		const { rawKey, keyHash, displayPrefix } = ApiKey.generateKey();
+		const apiKey = await ApiKey.create({
+			name,
+			userId: req.userId,
+			keyHash,
+			displayPrefix,
+			scopes: [...new Set(scopes)],
+			expiresAt,
+		});
+
+		return res.status(201).json({
+			success: true,
+			message: SUCCESS_MESSAGES.AUTH_API_KEY_CREATED,
+			apiKey: {
+				id: apiKey._id,
+				name: apiKey.name,
+				key: rawKey,
+				displayPrefix: apiKey.displayPrefix,
+				scopes: apiKey.scopes,
+				expiresAt: apiKey.expiresAt,
+				createdAt: apiKey.createdAt,
+			},
+		});
+	} catch (error) {
+		console.error('Create API key error:', error.message);
+		const errResponse = getErrorResponse('INTERNAL_SERVER_ERROR');
+		return res.status(errResponse.status).json({
+			success: false,
+			error: errResponse.message,
+			code: errResponse.code,
+		});
+	}
+};
+
+/**
+ * List api keys, never includes the key or its hash
+ * @route GET /api/auth/api-keys
+ * @access Private, api_keys:manage
+ */
+export const getApiKeys = async (req, res) => {
+	try {
+		const apiKeys = await ApiKey.find()
+			.select('-keyHash')
+			.populate('userId', 'name email')
+			.sort({ createdAt: -1 });
+
+		return res.status(200).json({
+			success: true,
+			count: apiKeys.length,
+			apiKeys,
+		});
+	} catch (error) {
+		console.error('Get API keys error:', error.message);
+		const errResponse = getErrorResponse('INTERNAL_SERVER_ERROR');
+		return res.status(errResponse.status).json({
+			success: false,
+			error: errResponse.message,
+			code: errResponse.code,
+		});
+	}
+};
+
+/**
+ * Revoke an api key, takes effect on its next request
+ * @route DELETE /api/auth/api-keys/:keyId
+ * @access Private, api_keys:manage
+ */
+export const revokeApiKey = async (req, res) => {
+	try {
+		const apiKey = await ApiKey.findOneAndUpdate(
+			{ _id: req.params.keyId, revokedAt: null },
+			{ $set: { revokedAt: new Date() } }
+		);
+
+		if (!apiKey) {
+			const error = getErrorResponse('AUTH_API_KEY_NOT_FOUND');
+			return res.status(error.status).json({
+				success: false,
+				error: error.message,
+				code: error.code,
+			});
+		}
+
+		return res.status(200).json({
+			success: true,
+			message: SUCCESS_MESSAGES.AUTH_API_KEY_REVOKED,
+		});
+	} catch (error) {
+		console.error('Revoke API key error:', error.message);
+		const errResponse = getErrorResponse('INTERNAL_SERVER_ERROR');
+		return res.status(errResponse.status).json({
+			success: false,
+			error: errResponse.message,
+			code: errResponse.code,
+		});
+	}
+};
+
+/**
+ * Update own profile, only name and phoneNumber
+ * @route PATCH /api/auth/me
+ * @access Private
+ */
+export const updateProfile = async (req, res) => {
+	try {
+		const user = await User.findById(req.userId);
+
+		for (const field of PROFILE_FIELDS) {
+			if (req.body[field] === undefined) continue;
+
+			if (field === 'phoneNumber' && req.body.phoneNumber === '') {
+				user.phoneNumber = undefined;
+			} else {
+				user[field] =
+					typeof req.body[field] === 'string'
+						? req.body[field].trim()
+						: req.body[field];
+			}
+		}
+
+		await user.save();
+
+		return res.status(200).json({
+			success: true,
+			message: SUCCESS_MESSAGES.AUTH_PROFILE_UPDATED,
+			user: {
+				id: user._id,
+				name: user.name,
+				email: user.email,
+				phoneNumber: user.phoneNumber,
+				role: user.role,
+				emailVerified: user.emailVerified,
+			},
+		});
+	} catch (error) {
+		console.error('Update profile error:', error.message);
+		const errResponse = getErrorResponse('INTERNAL_SERVER_ERROR');
+		return res.status(errResponse.status).json({
+			success: false,
+			error: errResponse.message,
+			code: errResponse.code,
+		});
+	}
+};
+
+/**
+ * Change password, logs out every other device, this one gets fresh tokens
+ * @route POST /api/auth/change-password
+ * @access Private
+ */
+export const changePassword = async (req, res) => {
+	try {
+		const { currentPassword, newPassword } = req.body;
+
+		const user = await User.findById(req.userId);
+
+		const isMatch = await bcrypt.compare(currentPassword, user.passwordHash);
+		if (!isMatch) {
+			const error = getErrorResponse('AUTH_INVALID_CREDENTIALS');
+			return res.status(error.status).json({
+				success: false,
+				error: error.message,
+				code: error.code,
+			});
+		}
+
+		if (await bcrypt.compare(newPassword, user.passwordHash)) {
+			const error = getErrorResponse('AUTH_PASSWORD_UNCHANGED');
+			return res.status(error.status).json({
+				success: false,
+				error: error.message,
+				code: error.code,
+			});
+		}
+
+		user.passwordHash = await bcrypt.hash(newPassword, 10);
+		//tokens issued before this are rejected, minus a second bc jwt iat has second precision
+		user.passwordChangedAt = new Date(Date.now() - 1000);
+		await user.save();
+
+		await Session.revokeAllForUser(user._id, 'password_change', req.sessionId);
+
+		//old access token of this device is now stale too, hand out a new pair
+		const accessToken = generateToken(user._id, req.sessionId);
+		const refreshToken = generateRefreshToken(user._id, req.sessionId);
+		await Session.updateOne(
+			{ _id: req.sessionId },
+			{
+				$set: {
+					refreshTokenHash: Session.hashToken(refreshToken),
+					lastUsedAt: new Date(),
+				},
+			}
+		);
+		setAuthCookies(res, accessToken, refreshToken);
+
+		return res.status(200).json({
+			success: true,
+			message: SUCCESS_MESSAGES.AUTH_PASSWORD_CHANGED,
+			...(wantsTokensInBody(req) && { accessToken, refreshToken }),
+		});
+	} catch (error) {
+		console.error('Change password error:', error.message);
+		const errResponse = getErrorResponse('INTERNAL_SERVER_ERROR');
+		return res.status(errResponse.status).json({
+			success: false,
+			error: errResponse.message,
+			code: errResponse.code,
+		});
+	}
+};
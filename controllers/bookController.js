@@ -1,20 +1,152 @@
 import Book from '../models/book.js';
+import BookRevision from '../models/bookRevision.js';
+import Category from '../models/category.js';
 import { getErrorResponse } from '../constants/errors.js';
 import { SUCCESS_MESSAGES } from '../constants/messages.js';
+import { getPaginationMetadata } from '../utils/helpers.js';
+import { normalizeIsbn, validateBookData } from '../utils/validators.js';
+import {
+	BOOK_IMPORT_FIELDS,
+	IMPORT_FORMATS,
+	formatExportLine,
+	getBookRowKey,
+	getImportFormat,
+	getMaxImportRows,
+	normalizeBookRow,
+	parseImportRows,
+	writeExportLine,
+} from '../utils/bookImport.js';
+import { toCsvRow } from '../utils/csv.js';
+import { getStorage, removeStoredFile } from '../utils/storage.js';
+import { recordStockEdits } from '../utils/inventory.js';
+import {
+	buildBookFilter,
+	buildCursorFilter,
+	encodeCursor,
+	parseBookListQuery,
+	resolveCategoryOptions,
+	toMongoSort,
+} from '../utils/bookQuery.js';
+import {
+	buildSearchPipeline,
+	buildSuggestRegex,
+	formatFacets,
+	normalizeSuggestTerm,
+	rankSuggestions,
+} from '../utils/bookSearch.js';
+
+//variant from a request body, only the known fields, isbn without dashes
+const normalizeVariant = ({
+	sku,
+	isbn,
+	format,
+	edition,
+	price,
+	stock,
+	lowStockThreshold,
+	weight,
+}) => ({
+	sku,
+	isbn: isbn && normalizeIsbn(isbn),
+	format,
+	edition,
+	price,
+	stock,
+	lowStockThreshold,
+	weight,
+});
+
+//categories of a request body are ids or slugs, a single one can be a plain string
+const resolveBookCategories = (categories) =>
+	Category.resolve([].concat(categories));
+
+const sendUnknownCategories = (res, unknown) => {
+	const error = getErrorResponse('CATEGORY_UNKNOWN');
+	return res.status(error.status).json({
+		success: false,
+		error: error.message,
+		code: error.code,
+		details: unknown,
+	});
+};
+
+//who made a change, for the revision log
+const revisionMeta = (req, action) => ({
+	action,
+	changedBy: req.userId,
+	apiKeyId: req.apiKey?._id,
+});
+
+//who changed stock and why, for the inventory ledger
+const movementMeta = (req, reason) => ({
+	reason,
+	createdBy: req.userId,
+	apiKeyId: req.apiKey?._id,
+});
+
+//hand an uploaded cover (req.file from uploadCover) to the storage adapter
+const storeCover = (file) =>
+	getStorage().save({
+		buffer: file.buffer,
+		extension: file.extension,
+		folder: 'covers',
+	});
 
 /**
+ * list the catalog, paginated by page or by cursor
  * @route GET /api/books/
  * @access Public
+ * @queryParam {number} page - optional, def to 1
+ * @queryParam {number} limit - optional, def to 20, max 100
+ * @queryParam {string} cursor - optional, nextCursor of the previous page, instead of page
+ * @queryParam {string} category - optional, comma separated slugs or ids, subcategories included
+ * @queryParam {string} author - optional, partial match
+ * @queryParam {number} minPrice - optional
+ * @queryParam {number} maxPrice - optional
+ * @queryParam {boolean} inStock - optional
+ * @queryParam {number} minRating - optional
+ * @queryParam {string} sort - optional, e.g. -rating,price, def to -createdAt
+ * @queryParam {string} fields - optional, comma separated fields to return
  */
 export const getBooks = async (req, res) => {
 	try {
-		const books = await Book.find();
+		const { page, limit, cursor, sort, fields } = req.bookQuery;
+
+		const filter = buildBookFilter(req.bookQuery);
+		const total = await Book.countDocuments(filter);
+
+		let query;
+		if (cursor) {
+			query = Book.find({
+				$and: [filter, buildCursorFilter(cursor, sort)],
+			});
+		} else {
+			query = Book.find(filter).skip((page - 1) * limit);
+		}
+
+		//fetch one extra to know if there is a next page
+		const books = await query
+			.select(fields ? fields.join(' ') : '')
+			.populate('categories', 'name slug')
+			.sort(toMongoSort(sort))
+			.limit(limit + 1);
+
+		const hasNextPage = books.length > limit;
+		if (hasNextPage) books.pop();
+
+		const nextCursor =
+			hasNextPage && books.length > 0
+				? encodeCursor(books[books.length - 1], sort)
+				: null;
 
 		//send with count
 		res.status(200).json({
 			success: true,
 			count: books.length,
 			books,
+			pagination: cursor
+				? { totalItems: total, itemsPerPage: limit, hasNextPage, nextCursor }
+				: { ...getPaginationMetadata(page, limit, total), nextCursor },
 		});
 	} catch (error) {
 		console.error('Get books error:', error.message);
@@ -28,6 +160,7 @@ export const getBooks = async (req, res) => {
 };
 
 /**
+ * archived books are still returned (with archivedAt) so past orders can show them
  * @route GET /api/books/:bookId
  * @access Public
  */
@@ -36,7 +169,10 @@ export const getBookById = async (req, res) => {
 		const bookToFindId = req.params.id;
 
 		//search by id
-		const book = await Book.findById(bookToFindId);
+		const book = await Book.findById(bookToFindId).populate(
+			'categories',
+			'name slug'
+		);
 
 		//return error if no book
 		if (!book) {
@@ -69,8 +205,18 @@ export const getBookById = async (req, res) => {
  * @access Private
  */
 export const addBook = async (req, res) => {
+	let uploadedKey;
 	try {
-		const { title, author, price, description, imagePath } = req.body;
+		const { title, author, price, description, imagePath, stock } = req.body;
+
+		let categories;
+		if (req.body.categories !== undefined) {
+			const resolved = await resolveBookCategories(req.body.categories);
+			if (resolved.unknown.length > 0) {
+				return sendUnknownCategories(res, resolved.unknown);
+			}
+			categories = resolved.ids;
+		}
 
 		//create new book
 		const newBook = await new Book({
@@ -79,11 +225,25 @@ export const addBook = async (req, res) => {
 			price: price,
 			description: description,
 			imagePath: imagePath,
+			stock: stock,
+			categories: categories,
+			isbn: req.body.isbn && normalizeIsbn(req.body.isbn),
+			//without variants the book gets a single one from price / stock / isbn
+			variants: req.body.variants?.map(normalizeVariant),
 		});
 
+		//uploaded cover wins over an imagePath
+		if (req.file) {
+			const stored = await storeCover(req.file);
+			uploadedKey = stored.key;
+			newBook.imagePath = stored.url;
+			newBook.imageKey = stored.key;
+		}
+
 		//save new book
 		if (newBook) {
 			await newBook.save();
+			await recordStockEdits([], newBook, movementMeta(req));
 		}
 
 		//return success
@@ -93,6 +253,9 @@ export const addBook = async (req, res) => {
 			book: newBook,
 		});
 	} catch (error) {
+		//book wasnt saved, dont keep its cover around
+		await removeStoredFile(uploadedKey);
+
 		console.error('Add book error:', error.message);
 		const errResponse = getErrorResponse('INTERNAL_SERVER_ERROR');
 		return res.status(errResponse.status).json({
@@ -124,12 +287,67 @@ export const updateBook = async (req, res) => {
 			});
 		}
 
-		//update the book
-		const updatedData = req.body;
+		//snapshot for the revision log
+		const before = bookToUpdate.toObject({ depopulate: true });
+
+		//update the book, rating and reviewCount come from the reviews
+		//variants have their own endpoints, price / stock / isbn belong to the variant
+		//archiving has its own endpoints too
+		const {
+			rating,
+			reviewCount,
+			archivedAt,
+			archivedBy,
+			imageKey,
+			imagePath,
+			variants,
+			price,
+			stock,
+			isbn,
+			categories,
+			...updatedData
+		} = req.body;
 		Object.assign(bookToUpdate, updatedData);
 
+		if (categories !== undefined) {
+			const resolved = await resolveBookCategories(categories);
+			if (resolved.unknown.length > 0) {
+				return sendUnknownCategories(res, resolved.unknown);
+			}
+			bookToUpdate.categories = resolved.ids;
+		}
+
+		const variantFields = {
+			price,
+			stock,
+			isbn: isbn && normalizeIsbn(isbn),
+		};
+		if (!bookToUpdate.setSingleVariantFields(variantFields)) {
+			const error = getErrorResponse('BOOK_VARIANT_AMBIGUOUS');
+			return res.status(error.status).json({
+				success: false,
+				error: error.message,
+				code: error.code,
+			});
+		}
+
+		//a new imagePath replaces an uploaded cover
+		const replacedKey =
+			imagePath !== undefined && bookToUpdate.setCover(imagePath, undefined);
+
 		//save updated book
 		await bookToUpdate.save();
+		await removeStoredFile(replacedKey);
+		await BookRevision.record(
+			before,
+			bookToUpdate,
+			revisionMeta(req, 'update')
+		);
+		await recordStockEdits(
+			before.variants,
+			bookToUpdate,
+			movementMeta(req, 'Book update')
+		);
 
 		//return sucess
 		return res.status(200).json({
@@ -149,6 +367,8 @@ export const updateBook = async (req, res) => {
 };
 
 /**
+ * archive a book, it leaves the catalog and every cart but orders can still resolve it
+ * reviews and the cover are kept, restoreBook brings it back
  * @route DELETE /api/books/:bookId
  * @access Private
  */
@@ -156,11 +376,11 @@ export const deleteBook = async (req, res) => {
 	try {
 		const bookId = req.params.id;
 
-		//find book
-		const bookToDelete = await Book.findById(bookId);
+		//find book, archiving twice is a not found
+		const bookToArchive = await Book.findOne({ _id: bookId, archivedAt: null });
 
 		//return error if no book found
-		if (!bookToDelete) {
+		if (!bookToArchive) {
 			const error = getErrorResponse('BOOK_NOT_FOUND');
 			return res.status(error.status).json({
 				success: false,
@@ -169,13 +389,18 @@ export const deleteBook = async (req, res) => {
 			});
 		}
 
-		//delete book
-		await bookToDelete.deleteOne();
+		const before = bookToArchive.toObject({ depopulate: true });
+		await bookToArchive.archive(req.userId);
+		await BookRevision.record(
+			before,
+			bookToArchive,
+			revisionMeta(req, 'archive')
+		);
 
 		//return success
 		return res.status(200).json({
 			success: true,
-			message: SUCCESS_MESSAGES.BOOK_DELETED,
+			message: SUCCESS_MESSAGES.BOOK_ARCHIVED,
 		});
 	} catch (error) {
 		console.error('Delete book error:', error.message);
@@ -189,20 +414,151 @@ export const deleteBook = async (req, res) => {
 };
 
 /**
- * search books by author, title, category
+ * put an archived book back in the catalog, carts it was removed from stay as they are
+ * @route POST /api/books/:id/restore
+ * @access Private, books:write
+ */
+export const restoreBook = async (req, res) => {
+	try {
+		const book = await Book.findById(req.params.id);
+		if (!book) {
+			const error = getErrorResponse('BOOK_NOT_FOUND');
+			return res.status(error.status).json({
+				success: false,
+				error: error.message,
+				code: error.code,
+			});
+		}
+
+		if (!book.archivedAt) {
+			const error = getErrorResponse('BOOK_NOT_ARCHIVED');
+			return res.status(error.status).json({
+				success: false,
+				error: error.message,
+				code: error.code,
+			});
+		}
+
+		const before = book.toObject({ depopulate: true });
+		await book.restore();
+		await BookRevision.record(before, book, revisionMeta(req, 'restore'));
+
+		return res.status(200).json({
+			success: true,
+			message: SUCCESS_MESSAGES.BOOK_RESTORED,
+			book,
+		});
+	} catch (error) {
+		console.error('Restore book error:', error.message);
+		const errResponse = getErrorResponse('INTERNAL_SERVER_ERROR');
+		return res.status(errResponse.status).json({
+			success: false,
+			error: errResponse.message,
+			code: errResponse.code,
+		});
+	}
+};
+
+/**
+ * archived books, most recently archived first
+ * @route GET /api/admin/books/archived
+ * @access Private, books:write
+ * @queryParam {number} page - optional, def to 1
+ * @queryParam {number} limit - optional, def to 20
+ */
+export const getArchivedBooks = async (req, res) => {
+	try {
+		const page = Math.max(parseInt(req.query.page) || 1, 1);
+		const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+		const filter = { archivedAt: { $ne: null } };
+		const total = await Book.countDocuments(filter);
+		const books = await Book.find(filter)
+			.select('title author isbn imagePath archivedAt archivedBy')
+			.populate('archivedBy', 'name email')
+			.sort({ archivedAt: -1 })
+			.skip((page - 1) * limit)
+			.limit(limit);
+
+		return res.status(200).json({
+			success: true,
+			data: books,
+			pagination: getPaginationMetadata(page, limit, total),
+		});
+	} catch (error) {
+		console.error('Get archived books error:', error.message);
+		const errResponse = getErrorResponse('INTERNAL_SERVER_ERROR');
+		return res.status(errResponse.status).json({
+			success: false,
+			error: errResponse.message,
+			code: errResponse.code,
+		});
+	}
+};
+
+/**
+ * change log of a book, newest first
+ * @route GET /api/books/:id/revisions
+ * @access Private, books:write
+ * @queryParam {number} page - optional, def to 1
+ * @queryParam {number} limit - optional, def to 20
+ */
+export const getBookRevisions = async (req, res) => {
+	try {
+		const page = Math.max(parseInt(req.query.page) || 1, 1);
+		const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+		const book = await Book.exists({ _id: req.params.id });
+		if (!book) {
+			const error = getErrorResponse('BOOK_NOT_FOUND');
+			return res.status(error.status).json({
+				success: false,
+				error: error.message,
+				code: error.code,
+			});
+		}
+
+		const filter = { bookId: book._id };
+		const total = await BookRevision.countDocuments(filter);
+		const revisions = await BookRevision.find(filter)
+			.populate('changedBy', 'name email')
+			.sort({ createdAt: -1 })
+			.skip((page - 1) * limit)
+			.limit(limit);
+
+		return res.status(200).json({
+			success: true,
+			data: revisions,
+			pagination: getPaginationMetadata(page, limit, total),
+		});
+	} catch (error) {
+		console.error('Get book revisions error:', error.message);
+		const errResponse = getErrorResponse('INTERNAL_SERVER_ERROR');
+		return res.status(errResponse.status).json({
+			success: false,
+			error: errResponse.message,
+			code: errResponse.code,
+		});
+	}
+};
+
+/**
+ * search books by author, title, category, most relevant first
  * @route GET /api/books/search
  * @access Public
  * @queryParam {string} query - search string, required
- * @queryParam {string} category - optional
+ * @queryParam {string} category - optional, comma separated slugs or ids, subcategories included
  * @queryParam {number} page - optional pagination page, def to 1
  * @queryParam {number} limit - optional items per page, def to 10
+ * @queryParam {string} sort - optional, tie breaker after relevance
+ * also takes the getBooks filters (author, minPrice, maxPrice, inStock, minRating, fields)
  */
 export const searchBooks = async (req, res) => {
 	try {
-		const { query, category, page = 1, limit = 10 } = req.query;
+		const { query } = req.query;
 
 		//query params vlaidation
-		if (!query || !query.trim()) {
+		if (typeof query !== 'string' || !query.trim()) {
 			const errRespons = getErrorResponse('SEARCH_INVALID_QUERY');
 			return res.status(errRespons.status).json({
 				success: false,
@@ -211,44 +567,44 @@ export const searchBooks = async (req, res) => {
 			});
 		}
 
-		//build mongoDB filter for text search
-		const filter = { $text: { $search: query.trim() } };
-
-		//add category filter if provided
-		if (category) filter.category = category;
-
-		//count total matching docs
-		const total = await Book.countDocuments(filter);
-
-		//return false if no books found
-		if (total === 0) {
-			const error = getErrorResponse('SEARCH_NO_RESULTS');
-			return res.status(error.status).json({
+		const { errors, options } = parseBookListQuery(req.query, {
+			allowCursor: false,
+			defaultLimit: 10,
+		});
+		if (errors.length === 0) {
+			const unknown = await resolveCategoryOptions(options);
+			if (unknown.length > 0) {
+				errors.push(`Unknown categories: ${unknown.join(', ')}`);
+			}
+		}
+		if (errors.length > 0) {
+			return res.status(400).json({
 				success: false,
-				error: error.message,
-				code: error.code,
+				error: 'Validation failed',
+				details: errors,
 			});
 		}
 
-		//fetch paginated results
-		const books = await Book.find(filter)
-			.skip((page - 1) * limit)
-			.limit(parseInt(limit));
+		//hits, total and facets in one round trip
+		const [result] = await Book.aggregate(
+			buildSearchPipeline(query.trim(), options)
+		);
+		const total = result.total[0]?.count || 0;
+		await Book.populate(result.hits, {
+			path: 'categories',
+			select: 'name slug',
+		});
 
-		//return search resulsts with pagination metadata
+		//no results is still a successful search
 		res.status(200).json({
 			success: true,
 			message: SUCCESS_MESSAGES.SEARCH_SUCCESS,
-			data: books,
-			pagination: {
-				currentPage: parseInt(page),
-				totalPages: Math.ceil(total / limit),
-				totalItems: total,
-				itemsPerPage: parseInt(limit),
-			},
+			data: result.hits,
+			facets: formatFacets(result),
+			pagination: getPaginationMetadata(options.page, options.limit, total),
 		});
 	} catch (error) {
-		console.error('Search Controller Error:', err.message);
+		console.error('Search Controller Error:', error.message);
 		const errorRes = getErrorResponse('INTERNAL_SERVER_ERROR');
 		res.status(errorRes.status).json({
 			success: false,
@@ -257,3 +613,486 @@ export const searchBooks = async (req, res) => {
 		});
 	}
 };
+
+/**
+ * search as you type, prefix matching on title and author, tolerates one typo
+ * @route GET /api/books/suggest
+ * @access Public
+ * @queryParam {string} q - what was typed so far, required
+ * @queryParam {number} limit - optional, def to 5, max 10
+ */
+export const suggestBooks = async (req, res) => {
+	try {
+		const term = normalizeSuggestTerm(req.query.q);
+		if (!term) {
+			const errRespons = getErrorResponse('SEARCH_INVALID_QUERY');
+			return res.status(errRespons.status).json({
+				success: false,
+				error: errRespons.message,
+				code: errRespons.code,
+			});
+		}
+
+		const limit = Math.min(Math.max(parseInt(req.query.limit) || 5, 1), 10);
+
+		//regex narrows it down, ranking happens here, so fetch a few more than needed
+		const regex = buildSuggestRegex(term);
+		const candidates = await Book.find({
+			$or: [{ title: regex }, { author: regex }],
+			archivedAt: null,
+		})
+			.select('title author')
+			.limit(limit * 10)
+			.lean();
+
+		res.status(200).json({
+			success: true,
+			suggestions: rankSuggestions(candidates, term, limit),
+		});
+	} catch (error) {
+		console.error('Suggest books error:', error.message);
+		const errResponse = getErrorResponse('INTERNAL_SERVER_ERROR');
+		return res.status(errResponse.status).json({
+			success: false,
+			error: errResponse.message,
+			code: errResponse.code,
+		});
+	}
+};
+
+//existing book an import row updates, by isbn first, then by title + author (case insensitive)
+const findBookForRow = async (book) => {
+	if (book.isbn) {
+		const byIsbn = await Book.findOne({
+			$or: [{ isbn: book.isbn }, { 'variants.isbn': book.isbn }],
+		});
+		if (byIsbn) return byIsbn;
+	}
+
+	return Book.findOne({
+		title: book.title,
+		author: book.author,
+		//a book that has another isbn is a different edition
+		...(book.isbn && { isbn: { $exists: false } }),
+	}).collation({ locale: 'en', strength: 2 });
+};
+
+/**
+ * bulk create / update books from a csv or json lines file
+ * rows are handled one by one, a bad row doesnt stop the others
+ * @route POST /api/admin/books/import
+ * @access Private, books:write
+ * @queryParam {string} format - optional, csv or jsonl, def from Content-Type
+ * @queryParam {boolean} dryRun - optional, only validate and report what would happen
+ */
+export const importBooks = async (req, res) => {
+	try {
+		const format = getImportFormat(req);
+		if (!format || typeof req.body !== 'string' || !req.body.trim()) {
+			const error = getErrorResponse('BOOK_IMPORT_INVALID');
+			return res.status(error.status).json({
+				success: false,
+				error: error.message,
+				code: error.code,
+				details: [
+					'Send a CSV (text/csv) or JSON lines (application/x-ndjson) body',
+				],
+			});
+		}
+
+		let rows;
+		try {
+			rows = parseImportRows(req.body, format);
+		} catch (parseError) {
+			const error = getErrorResponse('BOOK_IMPORT_INVALID');
+			return res.status(error.status).json({
+				success: false,
+				error: error.message,
+				code: error.code,
+				details: [parseError.message],
+			});
+		}
+
+		if (rows.length > getMaxImportRows()) {
+			const error = getErrorResponse('BOOK_IMPORT_INVALID');
+			return res.status(error.status).json({
+				success: false,
+				error: error.message,
+				code: error.code,
+				details: [`At most ${getMaxImportRows()} rows per import`],
+			});
+		}
+
+		const dryRun = req.query.dryRun === 'true';
+		const summary = { total: rows.length, created: 0, updated: 0, failed: 0 };
+		const errors = [];
+		const seen = new Map();
+
+		const fail = (row, messages) => {
+			summary.failed++;
+			errors.push({ row, errors: messages });
+		};
+
+		for (const { row, data, errors: rowErrors } of rows) {
+			if (rowErrors) {
+				fail(row, rowErrors);
+				continue;
+			}
+
+			const book = normalizeBookRow(data);
+			const validation = validateBookData(book);
+			if (!validation.isValid) {
+				fail(row, Object.values(validation.errors));
+				continue;
+			}
+
+			if (book.categories) {
+				const { ids, unknown } = await Category.resolve(book.categories);
+				if (unknown.length > 0) {
+					fail(row, [`Unknown categories: ${unknown.join(', ')}`]);
+					continue;
+				}
+				book.categories = ids;
+			}
+
+			//same book twice in one file, the first one wins
+			const key = getBookRowKey(book);
+			if (seen.has(key)) {
+				fail(row, [`Same book as row ${seen.get(key)}`]);
+				continue;
+			}
+			seen.set(key, row);
+
+			try {
+				const existing = await findBookForRow(book);
+
+				if (!dryRun) {
+					if (existing) {
+						const { imagePath, price, stock, isbn, ...fields } = book;
+						const before = existing.toObject().variants;
+						Object.assign(existing, fields);
+						if (!existing.setSingleVariantFields({ price, stock, isbn })) {
+							fail(row, [getErrorResponse('BOOK_VARIANT_AMBIGUOUS').message]);
+							continue;
+						}
+						const replacedKey =
+							imagePath && existing.setCover(imagePath, undefined);
+						await existing.save();
+						await removeStoredFile(replacedKey);
+						await recordStockEdits(
+							before,
+							existing,
+							movementMeta(req, 'Catalog import')
+						);
+					} else {
+						const created = await Book.create(book);
+						await recordStockEdits([], created, movementMeta(req));
+					}
+				}
+
+				summary[existing ? 'updated' : 'created']++;
+			} catch (saveError) {
+				if (saveError.code === 11000) {
+					fail(row, ['ISBN is already used by another book']);
+				} else if (saveError.name === 'ValidationError') {
+					fail(
+						row,
+						Object.values(saveError.errors).map((err) => err.message)
+					);
+				} else {
+					throw saveError;
+				}
+			}
+		}
+
+		return res.status(200).json({
+			success: true,
+			message: dryRun
+				? SUCCESS_MESSAGES.BOOK_IMPORT_DRY_RUN
+				: SUCCESS_MESSAGES.BOOK_IMPORT_DONE,
+			dryRun,
+			summary,
+			errors,
+		});
+	} catch (error) {
+		console.error('Import books error:', error.message);
+		const errResponse = getErrorResponse('INTERNAL_SERVER_ERROR');
+		return res.status(errResponse.status).json({
+			success: false,
+			error: errResponse.message,
+			code: errResponse.code,
+		});
+	}
+};
+
+/**
+ * stream the whole catalog as csv or json lines, same columns the import takes
+ * @route GET /api/admin/books/export
+ * @access Private, books:write
+ * @queryParam {string} format - optional, csv or jsonl, def to csv
+ */
+export const exportBooks = async (req, res) => {
+	const format = req.query.format || 'csv';
+	if (!IMPORT_FORMATS[format]) {
+		return res.status(400).json({
+			success: false,
+			error: 'Validation failed',
+			details: ['format must be csv or jsonl'],
+		});
+	}
+
+	const cursor = Book.find({ archivedAt: null })
+		.select(BOOK_IMPORT_FIELDS.join(' '))
+		.populate('categories', 'slug')
+		.sort({ _id: 1 })
+		.lean()
+		.cursor();
+	//client went away, stop reading from mongo
+	res.on('close', () => cursor.close().catch(() => {}));
+
+	try {
+		const { contentType, extension } = IMPORT_FORMATS[format];
+		const date = new Date().toISOString().slice(0, 10);
+		res.setHeader('Content-Type', `${contentType}; charset=utf-8`);
+		res.setHeader(
+			'Content-Disposition',
+			`attachment; filename="books-${date}.${extension}"`
+		);
+
+		if (format === 'csv') {
+			await writeExportLine(res, toCsvRow(BOOK_IMPORT_FIELDS));
+		}
+
+		for await (const book of cursor) {
+			if (!(await writeExportLine(res, formatExportLine(book, format)))) break;
+		}
+
+		res.end();
+	} catch (error) {
+		console.error('Export books error:', error.message);
+
+		//halfway through the file there is no way to send a json error anymore
+		if (res.headersSent) return res.destroy(error);
+
+		const errResponse = getErrorResponse('INTERNAL_SERVER_ERROR');
+		return res.status(errResponse.status).json({
+			success: false,
+			error: errResponse.message,
+			code: errResponse.code,
+		});
+	}
+};
+
+/**
+ * upload / replace a books cover, the old uploaded cover is removed
+ * @route PUT /api/books/:id/cover
+ * @access Private, books:write
+ * @bodyParam {file} cover - multipart, jpeg / png / webp
+ */
+export const uploadBookCover = async (req, res) => {
+	let uploadedKey;
+	try {
+		const book = await Book.findById(req.params.id);
+		if (!book) {
+			const error = getErrorResponse('BOOK_NOT_FOUND');
+			return res.status(error.status).json({
+				success: false,
+				error: error.message,
+				code: error.code,
+			});
+		}
+
+		const stored = await storeCover(req.file);
+		uploadedKey = stored.key;
+
+		const replacedKey = book.setCover(stored.url, stored.key);
+		await book.save();
+		uploadedKey = undefined;
+
+		await removeStoredFile(replacedKey);
+
+		return res.status(200).json({
+			success: true,
+			message: SUCCESS_MESSAGES.BOOK_COVER_UPDATED,
+			book,
+		});
+	} catch (error) {
+		await removeStoredFile(uploadedKey);
+
+		console.error('Upload book cover error:', error.message);
+		const errResponse = getErrorResponse('INTERNAL_SERVER_ERROR');
+		return res.status(errResponse.status).json({
+			success: false,
+			error: errResponse.message,
+			code: errResponse.code,
+		});
+	}
+};
+
+/**
+ * add a variant (format / edition) to a book
+ * @route POST /api/books/:id/variants
+ * @access Private, books:write
+ * @bodyParam {string} format - paperback, hardcover, ebook or audiobook
+ * @bodyParam {number} price
+ * @bodyParam {number} stock - optional, def to 0
+ * @bodyParam {string} sku - optional, generated when missing
+ * @bodyParam {string} isbn - optional
+ * @bodyParam {string} edition - optional
+ */
+export const addVariant = async (req, res) => {
+	try {
+		const book = await Book.findById(req.params.id);
+		if (!book) {
+			const error = getErrorResponse('BOOK_NOT_FOUND');
+			return res.status(error.status).json({
+				success: false,
+				error: error.message,
+				code: error.code,
+			});
+		}
+
+		const before = book.toObject().variants;
+		book.variants.push(normalizeVariant(req.body));
+		await book.save();
+		await recordStockEdits(before, book, movementMeta(req));
+
+		return res.status(201).json({
+			success: true,
+			message: SUCCESS_MESSAGES.BOOK_VARIANT_CREATED,
+			variant: book.variants[book.variants.length - 1],
+			book,
+		});
+	} catch (error) {
+		if (error.code === 11000) {
+			const errResponse = getErrorResponse('BOOK_VARIANT_DUPLICATE');
+			return res.status(errResponse.status).json({
+				success: false,
+				error: errResponse.message,
+				code: errResponse.code,
+			});
+		}
+
+		console.error('Add variant error:', error.message);
+		const errResponse = getErrorResponse('INTERNAL_SERVER_ERROR');
+		return res.status(errResponse.status).json({
+			success: false,
+			error: errResponse.message,
+			code: errResponse.code,
+		});
+	}
+};
+
+/**
+ * update a variant, only the sent fields change
+ * @route PUT /api/books/:id/variants/:variantId
+ * @access Private, books:write
+ */
+export const updateVariant = async (req, res) => {
+	try {
+		const book = await Book.findById(req.params.id);
+		const variant = book?.variants.id(req.params.variantId);
+		if (!variant) {
+			const error = getErrorResponse(
+				book ? 'BOOK_VARIANT_NOT_FOUND' : 'BOOK_NOT_FOUND'
+			);
+			return res.status(error.status).json({
+				success: false,
+				error: error.message,
+				code: error.code,
+			});
+		}
+
+		const before = book.toObject().variants;
+		for (const [field, value] of Object.entries(normalizeVariant(req.body))) {
+			if (value !== undefined) variant[field] = value;
+		}
+		await book.save();
+		await recordStockEdits(before, book, movementMeta(req, 'Variant update'));
+
+		return res.status(200).json({
+			success: true,
+			message: SUCCESS_MESSAGES.BOOK_VARIANT_UPDATED,
+			variant,
+			book,
+		});
+	} catch (error) {
+		if (error.code === 11000) {
+			const errResponse = getErrorResponse('BOOK_VARIANT_DUPLICATE');
+			return res.status(errResponse.status).json({
+				success: false,
+				error: errResponse.message,
+				code: errResponse.code,
+			});
+		}
+
+		console.error('Update variant error:', error.message);
+		const errResponse = getErrorResponse('INTERNAL_SERVER_ERROR');
+		return res.status(errResponse.status).json({
+			success: false,
+			error: errResponse.message,
+			code: errResponse.code,
+		});
+	}
+};
+
+/**
+ * remove a variant, carts holding it get an error at checkout
+ * its stock leaves the ledger as an adjustment, a variant with stock on hold cant be removed
+ * @route DELETE /api/books/:id/variants/:variantId
+ * @access Private, books:write
+ */
+export const deleteVariant = async (req, res) => {
+	try {
+		const book = await Book.findById(req.params.id);
+		const variant = book?.variants.id(req.params.variantId);
+		if (!variant) {
+			const error = getErrorResponse(
+				book ? 'BOOK_VARIANT_NOT_FOUND' : 'BOOK_NOT_FOUND'
+			);
+			return res.status(error.status).json({
+				success: false,
+				error: error.message,
+				code: error.code,
+			});
+		}
+
+		if (book.variants.length === 1) {
+			const error = getErrorResponse('BOOK_VARIANT_LAST');
+			return res.status(error.status).json({
+				success: false,
+				error: error.message,
+				code: error.code,
+			});
+		}
+
+		//held stock belongs to an order, it has to be paid or released first
+		if (variant.reserved > 0) {
+			const error = getErrorResponse('BOOK_VARIANT_RESERVED');
+			return res.status(error.status).json({
+				success: false,
+				error: error.message,
+				code: error.code,
+			});
+		}
+
+		const before = book.toObject().variants;
+		variant.deleteOne();
+		await book.save();
+		await recordStockEdits(before, book, movementMeta(req, 'Variant deleted'));
+
+		return res.status(200).json({
+			success: true,
+			message: SUCCESS_MESSAGES.BOOK_VARIANT_DELETED,
+			book,
+		});
+	} catch (error) {
+		console.error('Delete variant error:', error.message);
+		const errResponse = getErrorResponse('INTERNAL_SERVER_ERROR');
+		return res.status(errResponse.status).json({
+			success: false,
+			error: errResponse.message,
+			code: errResponse.code,
+		});
+	}
+};
@@ -1,30 +1,65 @@
 import Cart from '../models/cart.js';
 import Book from '../models/book.js';
+import Promotion from '../models/promotion.js';
 import { getErrorResponse } from '../constants/errors.js';
+import { SUCCESS_MESSAGES } from '../constants/messages.js';
+import {
+	createGuestCartId,
+	getGuestCartId,
+	setGuestCartCookie,
+} from '../utils/guestCart.js';
+import {
+	applyPromotion,
+	priceCart,
+	toPricingItems,
+} from '../utils/promotions.js';
+
+//book details shown with cart items, categories and archivedAt for pricing / revalidation
+const CART_BOOK_POPULATE = {
+	path: 'items.bookId',
+	select: 'title author price imagePath stock variants categories archivedAt',
+};
+
+//cart filter for the request, the users cart or the guest cart from the cookie, null for a guest without one
+const getCartOwner = (req) => {
+	if (req.userId) return { userId: req.userId };
+
+	const guestId = getGuestCartId(req);
+	return guestId ? { guestId } : null;
+};
 
 /**
- * Get user cart
+ * Get user cart, every item checked against the live price and stock
  * @route GET /api/cart
- * @access Private
+ * @access Public, guests get their cookie cart
+ * @queryParam {boolean} fix - optional, update the cart to match (new prices, lower quantities, unavailable items removed)
  */
 export const getCart = async (req, res) => {
 	try {
-		const userId = req.userId;
+		const owner = getCartOwner(req);
 
 		//fina cart and populate book details
-		let cart = await Cart.findOne({ userId }).populate({
-			path: 'items.bookId',
-			select: 'title author price imagePath stock',
-		});
+		let cart =
+			owner && (await Cart.findOne(owner).populate(CART_BOOK_POPULATE));
 
-		//create empty cart if doesnt exits
+		//create empty cart if doesnt exits, guests only get one once they add something
 		if (!cart) {
-			cart = await Cart.create({ userId, items: [], total: 0 });
+			cart = req.userId
+				? await Cart.create({ userId: req.userId, items: [], total: 0 })
+				: new Cart({ items: [], total: 0 });
+		}
+
+		const fix = req.query.fix === 'true';
+		const warnings = cart.revalidate(fix);
+		if (fix && warnings.length > 0) {
+			await cart.save();
 		}
 
 		return res.status(200).json({
 			success: true,
 			cart,
+			pricing: await priceCart(cart, req.userId),
+			warnings,
 		});
 	} catch (error) {
 		console.log('Get cart error: ', error.message);
@@ -38,94 +73,134 @@ export const getCart = async (req, res) => {
 };
 
 /**
- * Add item to cart
- * @route POST /api/cart/items
+ * add a book variant to a users or guests cart with all the stock checks
+ * shared by addToCart and the wishlist move-to-cart
+ * @param {object} owner = { userId } or { guestId }
+ * @param {string} bookId = book to add, its default variant when no variantId is given
+ * @param {number} quantity = how many to add
+ * @param {string} variantId = optional, variant to add
+ * @returns {Promise<object>} { cart } on success or { error: { status, message, code } }
  */
-export const addToCart = async (req, res) => {
-	try {
-		const userId = req.userId;
-		const { bookId, quantity = 1 } = req.body;
+export const addItemToCart = async (owner, bookId, quantity = 1, variantId) => {
+	//validate quiantity
+	if (quantity < 1) {
+		return { error: getErrorResponse('CART_INVALID_QUANTITY') };
+	}
 
-		//validate quiantity
-		if (quantity < 1) {
-			const error = getErrorResponse('CART_INVALID_QUANTITY');
-			return res.status(error.status).json({
-				success: false,
-				error: error.message,
-				code: error.code,
-			});
-		}
+	//book and variant exist?
+	const book = variantId
+		? await Book.findOne({ 'variants._id': variantId })
+		: await Book.findById(bookId);
+	if (
+		!book ||
+		book.archivedAt ||
+		(variantId && bookId && !book._id.equals(bookId))
+	) {
+		return { error: getErrorResponse('BOOK_NOT_FOUND') };
+	}
 
-		//book exists?
-		const book = await Book.findById(bookId);
-		if (!book) {
-			const error = getErrorResponse('BOOK_NOT_FOUND');
-			return res.status(error.status).json({
-				success: false,
-				error: error.message,
-				code: error.code,
-			});
-		}
+	const variant = variantId
+		? book.variants.id(variantId)
+		: book.getDefaultVariant();
+	if (!variant) {
+		return { error: getErrorResponse('BOOK_VARIANT_NOT_FOUND') };
+	}
 
-		//enuff stocks? not using constants in error messages here bc calculation
-		if (book.stock < quantity) {
-			return res.status(400).json({
-				success: false,
-				error: `Insufficient stock. Only ${book.stock} items available`,
+	//enuff stocks? not using constants in error messages here bc calculation
+	if (variant.stock < quantity) {
+		return {
+			error: {
+				status: 400,
+				message: `Insufficient stock. Only ${variant.stock} items available`,
 				code: 'INSUFFICIENT_STOCK',
-			});
-		}
+			},
+		};
+	}
 
-		//find or create cart
-		let cart = await Cart.findOne({ userId });
-		if (!cart) {
-			cart = new Cart({ userId, items: [] });
+	//find or create cart
+	let cart = await Cart.findOne(owner);
+	if (!cart) {
+		cart = new Cart({ ...owner, items: [] });
+	}
+
+	//check if item alrady is in cart
+	const existIndex = cart.items.findIndex((item) =>
+		variant._id.equals(item.variantId)
+	);
+
+	if (existIndex > -1) {
+		//update quantity if item exits
+		const newQuantity = cart.items[existIndex].quantity + quantity;
+
+		//check stock for new quant
+		if (variant.stock < newQuantity) {
+			return {
+				error: {
+					status: 400,
+					message: `Cannot add ${quantity} more. Only ${
+						variant.stock - cart.items[existIndex].quantity
+					} items available`,
+					code: 'INSUFFICIENT_STOCK',
+				},
+			};
 		}
 
-		//check if item alrady is in cart
-		const existIndex = cart.items.findIndex(
-			(item) => item.bookId.toString() === bookId
-		);
+		cart.items[existIndex].quantity = newQuantity;
+	} else {
+		//add new item
+		cart.items.push({
+			bookId: book._id,
+			variantId: variant._id,
+			quantity,
+			price: variant.price,
+		});
+	}
 
-		if (existIndex > -1) {
-			//update quantity if item exits
-			const newQuantity = cart.items[existIndex].quantity + quantity;
+	//calculate total and save
+	cart.calculateTotal();
+	await cart.save();
 
-			//check stock for new quant
-			if (book.stock < newQuantity) {
-				return res.status(400).json({
-					success: false,
-					error: `Cannot add ${quantity} more. Only ${
-						book.stock - cart.items[existIndex].quantity
-					} items available`,
-					code: 'INSUFFICIENT_STOCK',
-				});
-			}
+	//populate book deets before responidng
+	await cart.populate(CART_BOOK_POPULATE);
 
-			cart.items[existIndex].quantity = newQuantity;
-		} else {
-			//add new item
-			cart.items.push({
-				bookId,
-				quantity,
-				price: book.price,
+	return { cart };
+};
+
+/**
+ * Add item to cart, a guests first item starts their cookie cart
+ * @route POST /api/cart/items
+ * @access Public
+ * @bodyParam {string} variantId - variant to add
+ * @bodyParam {string} bookId - or the book, its default variant is added
+ * @bodyParam {number} quantity - optional, def to 1
+ */
+export const addToCart = async (req, res) => {
+	try {
+		const owner = getCartOwner(req) || { guestId: createGuestCartId() };
+		const { bookId, variantId, quantity = 1 } = req.body;
+
+		const { cart, error } = await addItemToCart(
+			owner,
+			bookId,
+			quantity,
+			variantId
+		);
+		if (error) {
+			return res.status(error.status).json({
+				success: false,
+				error: error.message,
+				code: error.code,
 			});
 		}
 
-		//calculate total and save
-		cart.calculateTotal();
-		await cart.save();
-
-		//populate book deets before responidng
-		await cart.populate({
-			path: 'items.bookId',
-			select: 'title author price imagePath stock',
-		});
+		//every add keeps the guest cookie alive as long as the cart
+		if (owner.guestId) setGuestCartCookie(res, owner.guestId);
 
 		return res.status(200).json({
 			success: true,
 			message: 'Item added to cart',
 			cart,
+			pricing: await priceCart(cart, req.userId),
 		});
 	} catch (error) {
 		console.error('Add to Cart Error:', error.message);
@@ -140,13 +215,12 @@ export const addToCart = async (req, res) => {
 
 /**
  * update cart wuantity
- * @route PUT api/cart/items/:bookId
- * @access Private
+ * @route PUT api/cart/items/:variantId
+ * @access Public
  */
 export const updateCartItem = async (req, res) => {
 	try {
-		const userId = req.userId;
-		const { bookId } = req.params;
+		const { variantId } = req.params;
 		const { quantity } = req.body;
 
 		// Validate quantity
@@ -160,7 +234,8 @@ export const updateCartItem = async (req, res) => {
 		}
 
 		// Find cart
-		const cart = await Cart.findOne({ userId });
+		const owner = getCartOwner(req);
+		const cart = owner && (await Cart.findOne(owner));
 		if (!cart) {
 			const error = getErrorResponse('CART_NOT_FOUND');
 			return res.status(error.status).json({
@@ -172,7 +247,7 @@ export const updateCartItem = async (req, res) => {
 
 		// Find item in cart
 		const itemIndex = cart.items.findIndex(
-			(item) => item.bookId.toString() === bookId
+			(item) => item.variantId?.toString() === variantId
 		);
 
 		if (itemIndex === -1) {
@@ -184,10 +259,13 @@ export const updateCartItem = async (req, res) => {
 			});
 		}
 
-		// Check book stock
-		const book = await Book.findById(bookId);
-		if (!book) {
-			const error = getErrorResponse('BOOK_NOT_FOUND');
+		// Check variant stock
+		const book = await Book.findById(cart.items[itemIndex].bookId);
+		const variant = book?.variants.id(variantId);
+		if (!variant) {
+			const error = getErrorResponse(
+				book ? 'BOOK_VARIANT_NOT_FOUND' : 'BOOK_NOT_FOUND'
+			);
 			return res.status(error.status).json({
 				success: false,
 				error: error.message,
@@ -195,32 +273,30 @@ export const updateCartItem = async (req, res) => {
 			});
 		}
 
-		if (book.stock < quantity) {
+		if (variant.stock < quantity) {
 			return res.status(400).json({
 				success: false,
-				error: `Insufficient stock. Only ${book.stock} items available`,
+				error: `Insufficient stock. Only ${variant.stock} items available`,
 				code: 'INSUFFICIENT_STOCK',
 			});
 		}
 
 		// Update quantity
 		cart.items[itemIndex].quantity = quantity;
-		cart.items[itemIndex].price = book.price; // Update price in case it changed
+		cart.items[itemIndex].price = variant.price; // Update price in case it changed
 
 		// Calculate total and save
 		cart.calculateTotal();
 		await cart.save();
 
 		// Populate book details
-		await cart.populate({
-			path: 'items.bookId',
-			select: 'title author price imagePath stock',
-		});
+		await cart.populate(CART_BOOK_POPULATE);
 
 		return res.status(200).json({
 			success: true,
 			message: 'Cart updated',
 			cart,
+			pricing: await priceCart(cart, req.userId),
 		});
 	} catch (error) {
 		console.error('Update Cart Error:', error.message);
@@ -235,16 +311,16 @@ export const updateCartItem = async (req, res) => {
 
 /**
  * Remove item
- * @route   DELETE /api/cart/items/:bookId
- * @access  Private
+ * @route   DELETE /api/cart/items/:variantId
+ * @access  Public
  */
 export const removeFromCart = async (req, res) => {
 	try {
-		const userId = req.userId;
-		const { bookId } = req.params;
+		const { variantId } = req.params;
 
 		// Find cart
-		const cart = await Cart.findOne({ userId });
+		const owner = getCartOwner(req);
+		const cart = owner && (await Cart.findOne(owner));
 		if (!cart) {
 			const error = getErrorResponse('CART_NOT_FOUND');
 			return res.status(error.status).json({
@@ -256,7 +332,7 @@ export const removeFromCart = async (req, res) => {
 
 		// Find item index
 		const itemIndex = cart.items.findIndex(
-			(item) => item.bookId.toString() === bookId
+			(item) => item.variantId?.toString() === variantId
 		);
 
 		if (itemIndex === -1) {
@@ -276,15 +352,13 @@ export const removeFromCart = async (req, res) => {
 		await cart.save();
 
 		// Populate book details
-		await cart.populate({
-			path: 'items.bookId',
-			select: 'title author price imagePath stock',
-		});
+		await cart.populate(CART_BOOK_POPULATE);
 
 		return res.status(200).json({
 			success: true,
 			message: 'Item removed from cart',
 			cart,
+			pricing: await priceCart(cart, req.userId),
 		});
 	} catch (error) {
 		console.error('Remove from Cart Error:', error.message);
@@ -300,14 +374,13 @@ export const removeFromCart = async (req, res) => {
 /**
  * Clear cart
  * @route   DELETE /api/cart
- * @access  Private
+ * @access  Public
  */
 export const clearCart = async (req, res) => {
 	try {
-		const userId = req.userId;
-
 		// Find and clear cart
-		const cart = await Cart.findOne({ userId });
+		const owner = getCartOwner(req);
+		const cart = owner && (await Cart.findOne(owner));
 		if (!cart) {
 			const error = getErrorResponse('CART_NOT_FOUND');
 			return res.status(error.status).json({
@@ -319,6 +392,7 @@ export const clearCart = async (req, res) => {
 
 		cart.items = [];
 		cart.total = 0;
+		cart.promotionCode = undefined;
 		await cart.save();
 
 		return res.status(200).json({
@@ -336,3 +410,159 @@ export const clearCart = async (req, res) => {
 		});
 	}
 };
+
+/**
+ * apply a promotion code to the cart, replaces the code it had
+ * @route POST /api/cart/promotion
+ * @access Public
+ * @bodyParam {string} code - promotion code, case insensitive
+ */
+export const applyCartPromotion = async (req, res) => {
+	try {
+		const owner = getCartOwner(req);
+		const cart =
+			owner && (await Cart.findOne(owner).populate(CART_BOOK_POPULATE));
+		if (!cart || cart.items.length === 0) {
+			const error = getErrorResponse('CART_NOT_FOUND');
+			return res.status(error.status).json({
+				success: false,
+				error: error.message,
+				code: error.code,
+			});
+		}
+
+		const promotion = await Promotion.findByCode(req.body.code);
+		const { errorKey, details } = await applyPromotion(
+			promotion,
+			toPricingItems(cart.items),
+			req.userId
+		);
+		if (errorKey) {
+			const error = getErrorResponse(errorKey);
+			return res.status(error.status).json({
+				success: false,
+				error: error.message,
+				code: error.code,
+				...(details && { details }),
+			});
+		}
+
+		cart.promotionCode = promotion.code;
+		await cart.save();
+
+		return res.status(200).json({
+			success: true,
+			message: SUCCESS_MESSAGES.PROMOTION_APPLIED,
+			cart,
+			pricing: await priceCart(cart, req.userId),
+		});
+	} catch (error) {
+		console.error('Apply promotion error:', error.message);
+		const errResponse = getErrorResponse('INTERNAL_SERVER_ERROR');
+		return res.status(errResponse.status).json({
+			success: false,
+			error: errResponse.message,
+			code: errResponse.code,
+		});
+	}
+};
+
+/**
+ * take the promotion code off the cart
+ * @route DELETE /api/cart/promotion
+ * @access Public
+ */
+export const removeCartPromotion = async (req, res) => {
+	try {
+		const owner = getCartOwner(req);
+		const cart =
+			owner && (await Cart.findOne(owner).populate(CART_BOOK_POPULATE));
+		if (!cart) {
+			const error = getErrorResponse('CART_NOT_FOUND');
+			return res.status(error.status).json({
+				success: false,
+				error: error.message,
+				code: error.code,
+			});
+		}
+
+		cart.promotionCode = undefined;
+		await cart.save();
+
+		return res.status(200).json({
+			success: true,
+			message: SUCCESS_MESSAGES.PROMOTION_REMOVED,
+			cart,
+			pricing: await priceCart(cart, req.userId),
+		});
+	} catch (error) {
+		console.error('Remove promotion error:', error.message);
+		const errResponse = getErrorResponse('INTERNAL_SERVER_ERROR');
+		return res.status(errResponse.status).json({
+			success: false,
+			error: errResponse.message,
+			code: errResponse.code,
+		});
+	}
+};
+
+/**
+ * move a guests cart into the users own cart, on login / register
+ * quantities are added up but never beyond the stock, sold out or removed items are dropped
+ * @param {string} guestId = id from the guest cart cookie
+ * @param {string} userId = user who just logged in
+ * @returns {Promise<object|null>} { merged, limited, dropped } item counts, null without a guest cart
+ */
+export const mergeGuestCart = async (guestId, userId) => {
+	const guestCart = guestId && (await Cart.findOne({ guestId }));
+	if (!guestCart) return null;
+
+	let cart = await Cart.findOne({ userId });
+	if (!cart) {
+		cart = new Cart({ userId, items: [] });
+	}
+
+	//the guests code comes along unless the user already has one
+	if (!cart.promotionCode) cart.promotionCode = guestCart.promotionCode;
+
+	const books = await Book.find({
+		_id: { $in: guestCart.items.map((item) => item.bookId) },
+		archivedAt: null,
+	});
+
+	const summary = { merged: 0, limited: 0, dropped: 0 };
+	for (const item of guestCart.items) {
+		const book = books.find((book) => book._id.equals(item.bookId));
+		const variant = book?.variants.id(item.variantId);
+		const existing =
+			variant &&
+			cart.items.find((cartItem) => variant._id.equals(cartItem.variantId));
+
+		//whats left after the copies already in the users cart
+		const available = (variant?.stock || 0) - (existing?.quantity || 0);
+		const quantity = Math.min(item.quantity, available);
+		if (quantity <= 0) {
+			summary.dropped++;
+			continue;
+		}
+		summary[quantity < item.quantity ? 'limited' : 'merged']++;
+
+		if (existing) {
+			existing.quantity += quantity;
+			existing.price = variant.price;
+		} else {
+			cart.items.push({
+				bookId: book._id,
+				variantId: variant._id,
+				quantity,
+				price: variant.price,
+			});
+		}
+	}
+
+	cart.calculateTotal();
+	await cart.save();
+	await guestCart.deleteOne();
+
+	return summary;
+};
@@ -0,0 +1,274 @@
+import Category from '../models/category.js';
+import Book from '../models/book.js';
+import { getErrorResponse } from '../constants/errors.js';
+import { SUCCESS_MESSAGES } from '../constants/messages.js';
+
+//parent from a request body, null for a top level category or an unknown id
+const findParent = async (parentId) =>
+	parentId ? Category.findById(parentId) : null;
+
+//rules of the model the validator doesnt cover
+const sendValidationError = (res, error) =>
+	res.status(400).json({
+		success: false,
+		error: 'Validation failed',
+		details: Object.values(error.errors).map((err) => err.message),
+	});
+
+/**
+ * all categories as a tree, children sorted by name
+ * @route GET /api/categories
+ * @access Public
+ */
+export const getCategories = async (req, res) => {
+	try {
+		const categories = await Category.find()
+			.select('name slug description parent')
+			.sort({ name: 1 })
+			.lean();
+
+		//flat list to tree, every category is either a root or the child of another one
+		const byId = new Map(
+			categories.map((category) => [
+				category._id.toString(),
+				{ ...category, children: [] },
+			])
+		);
+		const tree = [];
+		for (const category of byId.values()) {
+			const parent = category.parent && byId.get(category.parent.toString());
+			(parent ? parent.children : tree).push(category);
+		}
+
+		return res.status(200).json({
+			success: true,
+			count: categories.length,
+			categories: tree,
+		});
+	} catch (error) {
+		console.error('Get categories error:', error.message);
+		const errResponse = getErrorResponse('INTERNAL_SERVER_ERROR');
+		return res.status(errResponse.status).json({
+			success: false,
+			error: errResponse.message,
+			code: errResponse.code,
+		});
+	}
+};
+
+/**
+ * one category with its path from the top (breadcrumb) and its direct children
+ * @route GET /api/categories/:slug
+ * @access Public
+ */
+export const getCategoryBySlug = async (req, res) => {
+	try {
+		const category = await Category.findOne({
+			slug: `${req.params.slug}`.toLowerCase(),
+		}).populate('ancestors', 'name slug');
+		if (!category) {
+			const error = getErrorResponse('CATEGORY_NOT_FOUND');
+			return res.status(error.status).json({
+				success: false,
+				error: error.message,
+				code: error.code,
+			});
+		}
+
+		const children = await Category.find({ parent: category._id })
+			.select('name slug description')
+			.sort({ name: 1 });
+
+		return res.status(200).json({
+			success: true,
+			category,
+			children,
+		});
+	} catch (error) {
+		console.error('Get category error:', error.message);
+		const errResponse = getErrorResponse('INTERNAL_SERVER_ERROR');
+		return res.status(errResponse.status).json({
+			success: false,
+			error: errResponse.message,
+			code: errResponse.code,
+		});
+	}
+};
+
+/**
+ * @route POST /api/admin/categories
+ * @access Private, books:write
+ * @bodyParam {string} name - category name
+ * @bodyParam {string} slug - optional, def from the name
+ * @bodyParam {string} parent - optional, parent category id
+ * @bodyParam {string} description - optional
+ */
+export const createCategory = async (req, res) => {
+	try {
+		const { name, slug, description } = req.body;
+
+		const parent = await findParent(req.body.parent);
+		if (req.body.parent && !parent) {
+			const error = getErrorResponse('CATEGORY_NOT_FOUND');
+			return res.status(error.status).json({
+				success: false,
+				error: error.message,
+				code: error.code,
+			});
+		}
+
+		const category = new Category({ name, slug, description });
+		category.setParent(parent);
+		await category.save();
+
+		return res.status(201).json({
+			success: true,
+			message: SUCCESS_MESSAGES.CATEGORY_CREATED,
+			category,
+		});
+	} catch (error) {
+		if (error.code === 11000) {
+			const errResponse = getErrorResponse('CATEGORY_EXISTS');
+			return res.status(errResponse.status).json({
+				success: false,
+				error: errResponse.message,
+				code: errResponse.code,
+			});
+		}
+
+		if (error.name === 'ValidationError') {
+			return sendValidationError(res, error);
+		}
+
+		console.error('Create category error:', error.message);
+		const errResponse = getErrorResponse('INTERNAL_SERVER_ERROR');
+		return res.status(errResponse.status).json({
+			success: false,
+			error: errResponse.message,
+			code: errResponse.code,
+		});
+	}
+};
+
+/**
+ * rename or move a category, everything under it moves along
+ * @route PUT /api/admin/categories/:categoryId
+ * @access Private, books:write
+ * @bodyParam {string} parent - optional, null for top level
+ */
+export const updateCategory = async (req, res) => {
+	try {
+		const category = await Category.findById(req.params.categoryId);
+		if (!category) {
+			const error = getErrorResponse('CATEGORY_NOT_FOUND');
+			return res.status(error.status).json({
+				success: false,
+				error: error.message,
+				code: error.code,
+			});
+		}
+
+		const { name, slug, description } = req.body;
+		if (name !== undefined) category.name = name;
+		if (slug !== undefined) category.slug = slug;
+		if (description !== undefined) category.description = description;
+
+		if (req.body.parent !== undefined) {
+			const parent = await findParent(req.body.parent);
+			if (req.body.parent && !parent) {
+				const error = getErrorResponse('CATEGORY_NOT_FOUND');
+				return res.status(error.status).json({
+					success: false,
+					error: error.message,
+					code: error.code,
+				});
+			}
+
+			if (!category.setParent(parent)) {
+				const error = getErrorResponse('CATEGORY_INVALID_PARENT');
+				return res.status(error.status).json({
+					success: false,
+					error: error.message,
+					code: error.code,
+				});
+			}
+		}
+
+		const moved = category.isModified('ancestors');
+		await category.save();
+		if (moved) await category.syncDescendants();
+
+		return res.status(200).json({
+			success: true,
+			message: SUCCESS_MESSAGES.CATEGORY_UPDATED,
+			category,
+		});
+	} catch (error) {
+		if (error.code === 11000) {
+			const errResponse = getErrorResponse('CATEGORY_EXISTS');
+			return res.status(errResponse.status).json({
+				success: false,
+				error: errResponse.message,
+				code: errResponse.code,
+			});
+		}
+
+		if (error.name === 'ValidationError') {
+			return sendValidationError(res, error);
+		}
+
+		console.error('Update category error:', error.message);
+		const errResponse = getErrorResponse('INTERNAL_SERVER_ERROR');
+		return res.status(errResponse.status).json({
+			success: false,
+			error: errResponse.message,
+			code: errResponse.code,
+		});
+	}
+};
+
+/**
+ * only empty categories can be deleted, move the books and subcategories first
+ * @route DELETE /api/admin/categories/:categoryId
+ * @access Private, books:write
+ */
+export const deleteCategory = async (req, res) => {
+	try {
+		const category = await Category.findById(req.params.categoryId);
+		if (!category) {
+			const error = getErrorResponse('CATEGORY_NOT_FOUND');
+			return res.status(error.status).json({
+				success: false,
+				error: error.message,
+				code: error.code,
+			});
+		}
+
+		const inUse =
+			(await Category.exists({ parent: category._id })) ||
+			(await Book.exists({ categories: category._id }));
+		if (inUse) {
+			const error = getErrorResponse('CATEGORY_IN_USE');
+			return res.status(error.status).json({
+				success: false,
+				error: error.message,
+				code: error.code,
+			});
+		}
+
+		await category.deleteOne();
+
+		return res.status(200).json({
+			success: true,
+			message: SUCCESS_MESSAGES.CATEGORY_DELETED,
+		});
+	} catch (error) {
+		console.error('Delete category error:', error.message);
+		const errResponse = getErrorResponse('INTERNAL_SERVER_ERROR');
+		return res.status(errResponse.status).json({
+			success: false,
+			error: errResponse.message,
+			code: errResponse.code,
+		});
+	}
+};
@@ -0,0 +1,263 @@
+import Book from '../models/book.js';
+import InventoryMovement, {
+	INVENTORY_MOVEMENT_TYPES,
+} from '../models/inventoryMovement.js';
+import StockSubscription from '../models/stockSubscription.js';
+import { getErrorResponse } from '../constants/errors.js';
+import { SUCCESS_MESSAGES } from '../constants/messages.js';
+import { getPaginationMetadata } from '../utils/helpers.js';
+import { getDefaultLowStockThreshold, moveStock } from '../utils/inventory.js';
+
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+
+/**
+ * the stock ledger, newest first
+ * @route GET /api/admin/inventory/movements
+ * @access Private, books:write
+ * @queryParam {string} bookId - optional
+ * @queryParam {string} variantId - optional
+ * @queryParam {string} type - optional, sale, restock, adjustment or return
+ * @queryParam {number} page - optional, def to 1
+ * @queryParam {number} limit - optional, def to 20
+ */
+export const getInventoryMovements = async (req, res) => {
+	try {
+		const page = Math.max(parseInt(req.query.page) || 1, 1);
+		const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+		const filter = {};
+		for (const field of ['bookId', 'variantId']) {
+			if (OBJECT_ID_PATTERN.test(req.query[field])) {
+				filter[field] = req.query[field];
+			}
+		}
+		if (INVENTORY_MOVEMENT_TYPES.includes(req.query.type)) {
+			filter.type = req.query.type;
+		}
+
+		const total = await InventoryMovement.countDocuments(filter);
+		const movements = await InventoryMovement.find(filter)
+			.populate('bookId', 'title author')
+			.populate('createdBy', 'name email')
+			.sort({ createdAt: -1 })
+			.skip((page - 1) * limit)
+			.limit(limit);
+
+		return res.status(200).json({
+			success: true,
+			data: movements,
+			pagination: getPaginationMetadata(page, limit, total),
+		});
+	} catch (error) {
+		console.error('Get inventory movements error:', error.message);
+		const errResponse = getErrorResponse('INTERNAL_SERVER_ERROR');
+		return res.status(errResponse.status).json({
+			success: false,
+			error: errResponse.message,
+			code: errResponse.code,
+		});
+	}
+};
+
+/**
+ * restock, take back a return or correct the stock of a variant, logged in the ledger
+ * @route POST /api/admin/inventory/movements
+ * @access Private, books:write
+ * @bodyParam {string} variantId
+ * @bodyParam {string} type - restock, return or adjustment
+ * @bodyParam {number} quantity - added copies, adjustments can be negative
+ * @bodyParam {string} reason - optional, required for adjustments
+ * @bodyParam {string} orderId - optional, the order a return came from
+ */
+export const createInventoryMovement = async (req, res) => {
+	try {
+		const { variantId, type, quantity, reason, orderId } = req.body;
+
+		const book = await Book.findOne({ 'variants._id': variantId }).select(
+			'_id'
+		);
+		if (!book) {
+			const error = getErrorResponse('BOOK_VARIANT_NOT_FOUND');
+			return res.status(error.status).json({
+				success: false,
+				error: error.message,
+				code: error.code,
+			});
+		}
+
+		const result = await moveStock(book._id, variantId, {
+			type,
+			quantity,
+			reason,
+			orderId,
+			createdBy: req.userId,
+			apiKeyId: req.apiKey?._id,
+		});
+		if (!result) {
+			const error = getErrorResponse('INVENTORY_INSUFFICIENT_STOCK');
+			return res.status(error.status).json({
+				success: false,
+				error: error.message,
+				code: error.code,
+			});
+		}
+
+		return res.status(201).json({
+			success: true,
+			message: SUCCESS_MESSAGES.INVENTORY_MOVEMENT_RECORDED,
+			movement: result.movement,
+			variant: result.book.variants.id(variantId),
+		});
+	} catch (error) {
+		console.error('Create inventory movement error:', error.message);
+		const errResponse = getErrorResponse('INTERNAL_SERVER_ERROR');
+		return res.status(errResponse.status).json({
+			success: false,
+			error: errResponse.message,
+			code: errResponse.code,
+		});
+	}
+};
+
+/**
+ * variants at or below their low stock threshold, lowest stock first
+ * @route GET /api/admin/inventory/low-stock
+ * @access Private, books:write
+ */
+export const getLowStock = async (req, res) => {
+	try {
+		const variants = await Book.aggregate([
+			{ $match: { archivedAt: null } },
+			{ $unwind: '$variants' },
+			{
+				$project: {
+					title: 1,
+					author: 1,
+					variant: '$variants',
+					threshold: {
+						$ifNull: [
+							'$variants.lowStockThreshold',
+							getDefaultLowStockThreshold(),
+						],
+					},
+				},
+			},
+			{ $match: { $expr: { $lte: ['$variant.stock', '$threshold'] } } },
+			{ $sort: { 'variant.stock': 1, title: 1 } },
+		]);
+
+		return res.status(200).json({
+			success: true,
+			count: variants.length,
+			data: variants,
+		});
+	} catch (error) {
+		console.error('Get low stock error:', error.message);
+		const errResponse = getErrorResponse('INTERNAL_SERVER_ERROR');
+		return res.status(errResponse.status).json({
+			success: false,
+			error: errResponse.message,
+			code: errResponse.code,
+		});
+	}
+};
+
+/**
+ * email me once this out of stock book is back
+ * @route POST /api/books/:id/notify
+ * @access Private
+ * @bodyParam {string} variantId - optional, only this format, def to any format
+ */
+export const subscribeBackInStock = async (req, res) => {
+	try {
+		const book = await Book.findOne({ _id: req.params.id, archivedAt: null });
+		if (!book) {
+			const error = getErrorResponse('BOOK_NOT_FOUND');
+			return res.status(error.status).json({
+				success: false,
+				error: error.message,
+				code: error.code,
+			});
+		}
+
+		const variantId = req.body?.variantId || null;
+		const variant =
+			variantId && OBJECT_ID_PATTERN.test(variantId)
+				? book.variants.id(variantId)
+				: null;
+		if (variantId && !variant) {
+			const error = getErrorResponse('BOOK_VARIANT_NOT_FOUND');
+			return res.status(error.status).json({
+				success: false,
+				error: error.message,
+				code: error.code,
+			});
+		}
+
+		if ((variant || book).stock > 0) {
+			const error = getErrorResponse('INVENTORY_IN_STOCK');
+			return res.status(error.status).json({
+				success: false,
+				error: error.message,
+				code: error.code,
+			});
+		}
+
+		//subscribing again after a mail went out starts over
+		const subscription = await StockSubscription.findOneAndUpdate(
+			{ userId: req.userId, bookId: book._id, variantId },
+			{ $set: { notifiedAt: null } },
+			{ upsert: true, new: true, setDefaultsOnInsert: true }
+		);
+
+		return res.status(201).json({
+			success: true,
+			message: SUCCESS_MESSAGES.STOCK_NOTIFY_SUBSCRIBED,
+			subscription,
+		});
+	} catch (error) {
+		console.error('Subscribe back in stock error:', error.message);
+		const errResponse = getErrorResponse('INTERNAL_SERVER_ERROR');
+		return res.status(errResponse.status).json({
+			success: false,
+			error: errResponse.message,
+			code: errResponse.code,
+		});
+	}
+};
+
+/**
+ * stop waiting for a book, removes the notifications for all its formats
+ * @route DELETE /api/books/:id/notify
+ * @access Private
+ */
+export const unsubscribeBackInStock = async (req, res) => {
+	try {
+		const result = await StockSubscription.deleteMany({
+			userId: req.userId,
+			bookId: req.params.id,
+			notifiedAt: null,
+		});
+		if (result.deletedCount === 0) {
+			const error = getErrorResponse('INVENTORY_SUBSCRIPTION_NOT_FOUND');
+			return res.status(error.status).json({
+				success: false,
+				error: error.message,
+				code: error.code,
+			});
+		}
+
+		return res.status(200).json({
+			success: true,
+			message: SUCCESS_MESSAGES.STOCK_NOTIFY_UNSUBSCRIBED,
+		});
+	} catch (error) {
+		console.error('Unsubscribe back in stock error:', error.message);
+		const errResponse = getErrorResponse('INTERNAL_SERVER_ERROR');
+		return res.status(errResponse.status).json({
+			success: false,
+			error: errResponse.message,
+			code: errResponse.code,
+		});
+	}
+};
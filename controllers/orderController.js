@@ -1,17 +1,65 @@
 import Order from '../models/order.js';
 import Cart from '../models/cart.js';
 import Book from '../models/book.js';
+import User from '../models/user.js';
+import Promotion from '../models/promotion.js';
 import { ERROR_CODES, getErrorResponse } from '../constants/errors.js';
 import { SUCCESS_MESSAGES } from '../constants/messages.js';
+import { getPaginationMetadata } from '../utils/helpers.js';
+import {
+	cancelOrder,
+	getReservationExpiry,
+	releaseStock,
+	reserveStock,
+	takeBackOrder,
+} from '../utils/reservations.js';
+import {
+	getRequestActor,
+	getTransitionDetails,
+	transitionOrder,
+} from '../utils/orderStatus.js';
+import { priceCart } from '../utils/promotions.js';
+import { getVariantWeight, priceCheckout } from '../utils/pricing.js';
+
+//409 pointing at the users order that is already holding stock
+const sendOnHold = (res, order) => {
+	const err = getErrorResponse('ORDER_ON_HOLD');
+	return res.status(err.status).json({
+		success: false,
+		error: err.message,
+		code: err.code,
+		details: { orderId: order._id, expiresAt: order.reservation.expiresAt },
+	});
+};
 
 /**
- * create new order from user cart
+ * create new order from user cart, its stock is held until it is paid or the hold runs out
  * @route POST /api/orders
  * @access Private
+ * @bodyParam {string} addressId - optional, defaults to the users default address
+ * @bodyParam {boolean} fix - optional, when the cart is out of date update it to match, the order still has to be sent again
  */
 export const createOrder = async (req, res) => {
 	try {
 		const userId = req.userId;
+		const { addressId, fix } = req.body || {};
+
+		//pick the shipping address, given one or the default
+		const user = await User.findById(userId).select('addresses');
+		const address = addressId
+			? user.addresses.id(addressId)
+			: user.getDefaultAddress();
+
+		if (!address) {
+			const err = getErrorResponse(
+				addressId ? 'ADDRESS_NOT_FOUND' : 'ORDER_ADDRESS_REQUIRED'
+			);
+			return res.status(err.status).json({
+				success: false,
+				error: err.message,
+				code: err.code,
+			});
+		}
 
 		//get the user cart
 		const cart = await Cart.findOne({ userId }).populate('items.bookId');
@@ -25,42 +73,140 @@ export const createOrder = async (req, res) => {
 			});
 		}
 
-		//map the cart items to order items, validate stocl
-		const orderItems = [];
-		for (const item of cart.items) {
-			const book = item.bookId;
-			if (!book) continue; //skip invalids
-
-			//validate stokc
-			if (book.stock < item.quantity) {
-				return res.status(400).json({
-					success: false,
-					error: `Not enough stock for ${book.title}`,
-					code: 'ORDER_STOCK_ERROR',
-				});
-			}
+		//an order still on hold has to be paid or cancelled first, else repeats keep the stock off sale
+		const held = await Order.findOne({
+			userId,
+			'reservation.status': 'held',
+		}).select('reservation');
+		if (held) return sendOnHold(res, held);
 
-			orderItems.push({
-				bookId: book._id,
+		//the customer has to see price / stock changes before ordering
+		const warnings = cart.revalidate(fix === true);
+		if (warnings.length > 0) {
+			if (fix === true) await cart.save();
+
+			const err = getErrorResponse('CART_CHANGED');
+			return res.status(err.status).json({
+				success: false,
+				error: err.message,
+				code: err.code,
+				warnings,
+				...(fix === true && { cart }),
+			});
+		}
+
+		//map the cart items to order items
+		const orderItems = cart.items.map((item) => {
+			const variant = item.bookId.variants.id(item.variantId);
+			return {
+				bookId: item.bookId._id,
+				variantId: variant._id,
+				sku: variant.sku,
+				format: variant.format,
+				weight: getVariantWeight(variant),
 				quantity: item.quantity,
-				price: book.price,
+				price: variant.price,
+			};
+		});
+
+		//items total, a code on the cart that stopped applying has to be removed first
+		const pricing = await priceCart(cart, userId);
+		if (pricing.promotionError) {
+			return res.status(400).json({
+				success: false,
+				error: pricing.promotionError.message,
+				code: pricing.promotionError.code,
+				...(pricing.promotionError.details && {
+					details: pricing.promotionError.details,
+				}),
 			});
 		}
 
-		//calculate total
-		const totalAmount = orderItems.reduce(
-			(acc, item) => acc + item.price * item.quantity,
-			0
-		);
+		//tax, delivery and service charge for the address
+		const checkout = priceCheckout(pricing, orderItems, address);
+		if (!checkout) {
+			const err = getErrorResponse('ORDER_NOT_DELIVERABLE');
+			return res.status(err.status).json({
+				success: false,
+				error: err.message,
+				code: err.code,
+			});
+		}
+
+		//the check above can race with another checkout, holding the stock is what counts
+		const missing = await reserveStock(orderItems);
+		if (missing) {
+			const book = cart.items.find((item) =>
+				missing.variantId.equals(item.variantId)
+			).bookId;
+			return res.status(400).json({
+				success: false,
+				error: `Not enough stock for ${book.title} (${missing.format})`,
+				code: 'ORDER_STOCK_ERROR',
+			});
+		}
+
+		//same for the last use of a code
+		const { discount } = pricing;
+		const claimError =
+			discount && (await Promotion.claimUse(discount.promotionId, userId));
+		if (claimError) {
+			await releaseStock(orderItems, false);
+			const err = getErrorResponse(claimError);
+			return res.status(err.status).json({
+				success: false,
+				error: err.message,
+				code: err.code,
+			});
+		}
 
 		//create the order
-		const order = await Order.create({
+		const order = new Order({
 			userId,
 			items: orderItems,
-			totalAmount,
+			subtotal: pricing.subtotal,
+			discount: discount || undefined,
+			charges: {
+				taxRate: checkout.taxRate,
+				tax: checkout.tax,
+				delivery: checkout.delivery,
+				deliveryZone: checkout.deliveryZone,
+				weight: checkout.weight,
+				service: checkout.service,
+			},
+			totalAmount: checkout.total,
 			status: 'pending',
+			statusHistory: [{ status: 'pending', actor: 'customer', userId }],
+			reservation: { status: 'held', expiresAt: getReservationExpiry() },
+			shippingAddress: {
+				fullName: address.fullName,
+				phoneNumber: address.phoneNumber,
+				address: address.address,
+				city: address.city,
+				state: address.state,
+				zipCode: address.zipCode,
+				country: address.country,
+			},
 		});
 
+		try {
+			await order.save();
+		} catch (saveError) {
+			//order wasnt created, dont keep its stock on hold or its code used
+			await releaseStock(orderItems, false);
+			if (discount) await Promotion.releaseUse(discount.promotionId, userId);
+
+			//another checkout of the user got its hold in first
+			if (saveError.code === 11000) {
+				const other = await Order.findOne({
+					userId,
+					'reservation.status': 'held',
+				}).select('reservation');
+				if (other) return sendOnHold(res, other);
+			}
+			throw saveError;
+		}
+
 		//clear the cart after order creation?
 
 		res.status(201).json({
@@ -69,7 +215,7 @@ export const createOrder = async (req, res) => {
 			data: order,
 		});
 	} catch (error) {
-		console.error('Order Creation Error:', err.message);
+		console.error('Order Creation Error:', error.message);
 		const err = getErrorResponse('INTERNAL_SERVER_ERROR');
 		res.status(err.status).json({
 			success: false,
@@ -108,7 +254,7 @@ export const getOrderById = async (req, res) => {
 			data: order,
 		});
 	} catch (error) {
-		console.error('Order Creation Error:', err.message);
+		console.error('Order Creation Error:', error.message);
 		const err = getErrorResponse('INTERNAL_SERVER_ERROR');
 		res.status(err.status).json({
 			success: false,
@@ -146,3 +292,155 @@ export const getUserOrders = async (req, res) => {
 		});
 	}
 };
+
+/**
+ * cancel own unpaid order, its held stock goes back on sale
+ * @route POST /api/orders/:orderId/cancel
+ * @access Private
+ * @bodyParam {string} note - optional, why
+ */
+export const cancelUserOrder = async (req, res) => {
+	try {
+		const order = await Order.findOne({
+			_id: req.params.orderId,
+			userId: req.userId,
+		});
+		if (!order) {
+			const err = getErrorResponse('ORDER_NOT_FOUND');
+			return res.status(err.status).json({
+				success: false,
+				error: err.message,
+				code: err.code,
+			});
+		}
+
+		const details = getTransitionDetails(order, 'cancelled');
+		const cancelled = await cancelOrder(
+			order,
+			getRequestActor(req, 'customer', req.body?.note)
+		);
+		if (!cancelled) {
+			const err = getErrorResponse('ORDER_INVALID_TRANSITION');
+			return res.status(err.status).json({
+				success: false,
+				error: err.message,
+				code: err.code,
+				details,
+			});
+		}
+
+		res.status(200).json({
+			success: true,
+			message: SUCCESS_MESSAGES.ORDER_CANCELLED,
+			data: order,
+		});
+	} catch (error) {
+		console.error('Cancel Order Error:', error.message);
+		const err = getErrorResponse('INTERNAL_SERVER_ERROR');
+		res.status(err.status).json({
+			success: false,
+			error: err.message,
+			code: err.code,
+		});
+	}
+};
+
+/**
+ * move an order along its lifecycle (processing, shipped, delivered, returned, refunded) or cancel an unpaid one
+ * returns and refunds put the stock back and give the promotion use back, see takeBackOrder
+ * only moves in ORDER_TRANSITIONS are allowed, each one is added to statusHistory
+ * @route PATCH /api/admin/orders/:orderId/status
+ * @access Private, orders:write
+ * @bodyParam {string} status - new status
+ * @bodyParam {string} note - optional, e.g. tracking number or refund reference
+ */
+export const updateOrderStatus = async (req, res) => {
+	try {
+		const { status, note } = req.body;
+
+		const order = await Order.findById(req.params.orderId);
+		if (!order) {
+			const err = getErrorResponse('ORDER_NOT_FOUND');
+			return res.status(err.status).json({
+				success: false,
+				error: err.message,
+				code: err.code,
+			});
+		}
+
+		const details = getTransitionDetails(order, status);
+		const change = getRequestActor(req, 'staff', note);
+		let updated;
+		if (status === 'cancelled') {
+			updated = await cancelOrder(order, change);
+		} else if (['returned', 'refunded'].includes(status)) {
+			updated = await takeBackOrder(order, status, change);
+		} else {
+			updated = await transitionOrder(order, status, change);
+		}
+		if (!updated) {
+			const err = getErrorResponse('ORDER_INVALID_TRANSITION');
+			return res.status(err.status).json({
+				success: false,
+				error: err.message,
+				code: err.code,
+				details,
+			});
+		}
+
+		res.status(200).json({
+			success: true,
+			message: SUCCESS_MESSAGES.ORDER_STATUS_UPDATED,
+			data: order,
+		});
+	} catch (err) {
+		console.error('Update Order Status Error:', err.message);
+		const error = getErrorResponse('INTERNAL_SERVER_ERROR');
+		res.status(error.status).json({
+			success: false,
+			error: error.message,
+			code: error.code,
+		});
+	}
+};
+
+/**
+ * get orders of all users, for staff / admins
+ * @route GET /api/admin/orders
+ * @access Private, orders:read_all
+ * @queryParam {string} status - optional
+ * @queryParam {string} userId - optional
+ * @queryParam {number} page - optional, def to 1
+ * @queryParam {number} limit - optional, def to 20
+ */
+export const getAllOrders = async (req, res) => {
+	try {
+		const page = Math.max(parseInt(req.query.page) || 1, 1);
+		const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+		const filter = {};
+		if (req.query.status) filter.status = req.query.status;
+		if (req.query.userId) filter.userId = req.query.userId;
+
+		const total = await Order.countDocuments(filter);
+		const orders = await Order.find(filter)
+			.populate('userId', 'name email')
+			.sort({ createdAt: -1 })
+			.skip((page - 1) * limit)
+			.limit(limit);
+
+		res.status(200).json({
+			success: true,
+			data: orders,
+			pagination: getPaginationMetadata(page, limit, total),
+		});
+	} catch (err) {
+		console.error('Get All Orders Error:', err.message);
+		const error = getErrorResponse('INTERNAL_SERVER_ERROR');
+		res.status(error.status).json({
+			success: false,
+			error: error.message,
+			code: error.code,
+		});
+	}
+};
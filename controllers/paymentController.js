@@ -3,8 +3,14 @@ import crypto, { sign } from 'crypto';
 import Order from '../models/order.js';
 import { getErrorResponse } from '../constants/errors.js';
 import { generateSignature } from '../utils/helpers.js';
-import Book from '../models/book.js';
+import { getEsewaAmounts } from '../utils/pricing.js';
+import { canTransition, transitionOrder } from '../utils/orderStatus.js';
 import Cart from '../models/cart.js';
+import {
+	convertReservation,
+	isReservationExpired,
+	releaseReservation,
+} from '../utils/reservations.js';
 
 /**
  * step 1: initiate payment by generating esewa url
@@ -23,8 +29,8 @@ export const initEsewaPayment = async (req, res) => {
 			return res.status(err.status).json({ success: false });
 		}
 
-		//check if order is already paid or cancelled
-		if (order.status === 'paid') {
+		//check if order is already paid (or shipped, refunded, ...) or cancelled
+		if (!['pending', 'failed', 'cancelled'].includes(order.status)) {
 			return res.status(400).json({
 				success: false,
 				error: 'Order is already paid',
@@ -40,9 +46,22 @@ export const initEsewaPayment = async (req, res) => {
 			});
 		}
 
+		//the stock hold ran out, it went back on sale and the order is cancelled
+		if (isReservationExpired(order)) {
+			await releaseReservation(order);
+			return res.status(400).json({
+				success: false,
+				error: 'Order reservation expired, please order again',
+				code: 'ORDER_CANCELLED',
+			});
+		}
+
+		//the charges stored on the order, total_amount is what gets signed
+		const amounts = getEsewaAmounts(order);
+
 		//generate signature for the request
 		const message = `total_amount=${
-			order.totalAmount
+			amounts.total_amount
 		},transaction_uuid=${order._id.toString()},product_code=${
 			process.env.ESEWA_MERCHANT_CODE
 		}`;
@@ -51,12 +70,8 @@ export const initEsewaPayment = async (req, res) => {
 
 		//esewa params, defined in their docs
 		const esewaParams = {
-			amount: order.totalAmount,
-			tax_amount: 0,
-			product_service_charge: 0,
-			product_delivery_charge: 0,
+			...amounts, //total_amount = amount + tax_amount + product_service_charge + product_delivery_charge
 			product_code: process.env.ESEWA_MERCHANT_CODE,
-			total_amount: order.totalAmount + 0 + 0 + 0, //total = amt + tax + service + delivery
 			transaction_uuid: order._id.toString(),
 			success_url: `${process.env.SERVER_URL}/api/payment/esewa/verify`,
 			failure_url: `${process.env.SERVER_URL}/api/payment/esewa/failed`,
@@ -172,26 +187,27 @@ export const verifyEsewaPayment = async (req, res) => {
 
 		//check status from esewa
 		if (status === 'COMPLETE') {
-			//update order status
-			order.status = 'paid';
-			order.paymentRefId = transaction_code;
-			await order.save();
-
-			//reduce stock for each book in the order
-			for (const item of order.items) {
-				await Book.findByIdAndUpdate(item.bookId, {
-					$inc: { stock: -item.quantity },
-				});
-			}
-
-			//clear cart after successfull payment
-			await Cart.findOneAndUpdate(
-				{
-					userId: order.userId,
-				},
-				{ $set: { items: [] } }
+			//update order status, null when the status check already marked it paid
+			const paid = await transitionOrder(
+				order,
+				'paid',
+				{ actor: 'payment', note: `eSewa ${transaction_code}` },
+				{ set: { paymentRefId: transaction_code } }
 			);
 
+			if (paid) {
+				//the stock held for the order is sold now
+				await convertReservation(order);
+
+				//clear cart after successfull payment
+				await Cart.findOneAndUpdate(
+					{
+						userId: order.userId,
+					},
+					{ $set: { items: [] }, $unset: { promotionCode: '' } }
+				);
+			}
+
 			//return sucess render
 			return res.render('payment/success', {
 				order,
@@ -200,9 +216,11 @@ export const verifyEsewaPayment = async (req, res) => {
 			});
 		} else {
 			//payment not complete
-			//update order status to failed
-			order.status = 'failed';
-			await order.save();
+			//update order status to failed, an order that is paid already stays paid
+			await transitionOrder(order, 'failed', {
+				actor: 'payment',
+				note: `eSewa status ${status}`,
+			});
 
 			//render error view again
 			return res.render('payment/failed', {
@@ -277,35 +295,39 @@ export const checkEsewaPaymentStatus = async (req, res) => {
 		const statusData = response.data;
 
 		//update order status based on esewa status
+		//only moves the transition table allows, an order that is paid, shipped, ... is never moved back
+		const change = {
+			actor: 'payment',
+			note: `eSewa status check ${statusData.status}`,
+		};
 		if (statusData.status === 'COMPLETE') {
-			if (order.status !== 'paid') {
-				(order.status = 'paid'), (order.paymentRefId = statusData.red_id);
-				await order.save();
-
-				//reduce stock
-				for (const item of order.items) {
-					await Book.findByIdAndUpdate(item.bookId, {
-						$inc: { stock: -item.quantity },
-					});
-				}
+			if (canTransition(order.status, 'paid')) {
+				const paid = await transitionOrder(order, 'paid', change, {
+					set: { paymentRefId: statusData.ref_id },
+				});
 
-				//clear cart
-				await Cart.findOneAndUpdate(
-					{ userId: order.userId },
-					{ $set: { items: [] } }
-				);
+				if (paid) {
+					//held stock is sold now
+					await convertReservation(order);
+
+					//clear cart
+					await Cart.findOneAndUpdate(
+						{ userId: order.userId },
+						{ $set: { items: [] }, $unset: { promotionCode: '' } }
+					);
+				}
 			}
 		} else if (
 			statusData.status === 'PENDING' ||
 			statusData.status === 'AMBIGUOUS'
 		) {
 			//payment still processing
-			order.status = 'pending';
-			await order.save();
-		} else {
+			if (canTransition(order.status, 'pending')) {
+				await transitionOrder(order, 'pending', change);
+			}
+		} else if (canTransition(order.status, 'failed')) {
 			//payment failed, cancelled, not found
-			order.status = 'failed';
-			await order.save();
+			await transitionOrder(order, 'failed', change);
 		}
 
 		//return updated order ingo
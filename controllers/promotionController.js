@@ -0,0 +1,257 @@
+import Promotion from '../models/promotion.js';
+import Book from '../models/book.js';
+import Category from '../models/category.js';
+import { getErrorResponse } from '../constants/errors.js';
+import { SUCCESS_MESSAGES } from '../constants/messages.js';
+import { getPaginationMetadata } from '../utils/helpers.js';
+
+//fields an admin can set, usedCount is kept by the orders
+const PROMOTION_FIELDS = [
+	'code',
+	'description',
+	'type',
+	'value',
+	'buyQuantity',
+	'getQuantity',
+	'minSpend',
+	'usageLimit',
+	'perUserLimit',
+	'startsAt',
+	'endsAt',
+	'isActive',
+];
+
+/**
+ * targeted books / categories of a request body, categories can be ids or slugs
+ * @returns {Promise<object>} { targets } or { error, details }
+ */
+const resolveTargets = async ({ books, categories }) => {
+	const targets = {};
+
+	if (categories !== undefined) {
+		const { ids, unknown } = await Category.resolve(categories);
+		if (unknown.length > 0) {
+			return { error: getErrorResponse('CATEGORY_UNKNOWN'), details: unknown };
+		}
+		targets.categories = ids;
+	}
+
+	if (books !== undefined) {
+		const found = await Book.find({ _id: { $in: books } }).select('_id');
+		const unknown = books.filter(
+			(id) => !found.some((book) => book._id.equals(id))
+		);
+		if (unknown.length > 0) {
+			return { error: getErrorResponse('BOOK_NOT_FOUND'), details: unknown };
+		}
+		targets.books = found.map((book) => book._id);
+	}
+
+	return { targets };
+};
+
+const pickPromotionFields = (body) =>
+	Object.fromEntries(
+		PROMOTION_FIELDS.filter((field) => body[field] !== undefined).map(
+			(field) => [field, body[field]]
+		)
+	);
+
+//duplicate code and the type dependent rules of the model
+const sendSaveError = (res, error) => {
+	if (error.code === 11000) {
+		const errResponse = getErrorResponse('PROMOTION_EXISTS');
+		return res.status(errResponse.status).json({
+			success: false,
+			error: errResponse.message,
+			code: errResponse.code,
+		});
+	}
+
+	return res.status(400).json({
+		success: false,
+		error: 'Validation failed',
+		details: Object.values(error.errors).map((err) => err.message),
+	});
+};
+
+/**
+ * @route GET /api/admin/promotions
+ * @access Private, promotions:manage
+ * @queryParam {boolean} active - optional, only active (true) or inactive (false) codes
+ * @queryParam {number} page - optional, def to 1
+ * @queryParam {number} limit - optional, def to 20
+ */
+export const getPromotions = async (req, res) => {
+	try {
+		const page = Math.max(parseInt(req.query.page) || 1, 1);
+		const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+		const filter = {};
+		if (['true', 'false'].includes(req.query.active)) {
+			filter.isActive = req.query.active === 'true';
+		}
+
+		const total = await Promotion.countDocuments(filter);
+		const promotions = await Promotion.find(filter)
+			.populate('categories', 'name slug')
+			.populate('books', 'title author')
+			.sort({ createdAt: -1 })
+			.skip((page - 1) * limit)
+			.limit(limit);
+
+		return res.status(200).json({
+			success: true,
+			data: promotions,
+			pagination: getPaginationMetadata(page, limit, total),
+		});
+	} catch (error) {
+		console.error('Get promotions error:', error.message);
+		const errResponse = getErrorResponse('INTERNAL_SERVER_ERROR');
+		return res.status(errResponse.status).json({
+			success: false,
+			error: errResponse.message,
+			code: errResponse.code,
+		});
+	}
+};
+
+/**
+ * @route POST /api/admin/promotions
+ * @access Private, promotions:manage
+ * @bodyParam {string} code - what customers type, stored uppercase
+ * @bodyParam {string} type - percentage, fixed, buy_x_get_y or free_shipping
+ * @bodyParam {number} value - percent or amount off, for percentage / fixed
+ * @bodyParam {number} buyQuantity, getQuantity - for buy_x_get_y
+ * @bodyParam {Array} books, categories - optional targeting, def to the whole cart
+ * @bodyParam {number} minSpend - optional cart subtotal needed
+ * @bodyParam {number} usageLimit, perUserLimit - optional, def to no limit
+ * @bodyParam {string} startsAt, endsAt - optional validity window
+ */
+export const createPromotion = async (req, res) => {
+	try {
+		const { targets, error, details } = await resolveTargets(req.body);
+		if (error) {
+			return res.status(error.status).json({
+				success: false,
+				error: error.message,
+				code: error.code,
+				details,
+			});
+		}
+
+		const promotion = new Promotion({
+			...pickPromotionFields(req.body),
+			...targets,
+		});
+
+		try {
+			await promotion.save();
+		} catch (saveError) {
+			if (saveError.code === 11000 || saveError.name === 'ValidationError') {
+				return sendSaveError(res, saveError);
+			}
+			throw saveError;
+		}
+
+		return res.status(201).json({
+			success: true,
+			message: SUCCESS_MESSAGES.PROMOTION_CREATED,
+			promotion,
+		});
+	} catch (error) {
+		console.error('Create promotion error:', error.message);
+		const errResponse = getErrorResponse('INTERNAL_SERVER_ERROR');
+		return res.status(errResponse.status).json({
+			success: false,
+			error: errResponse.message,
+			code: errResponse.code,
+		});
+	}
+};
+
+/**
+ * only the sent fields change, isActive: false switches a code off
+ * @route PUT /api/admin/promotions/:promotionId
+ * @access Private, promotions:manage
+ */
+export const updatePromotion = async (req, res) => {
+	try {
+		const promotion = await Promotion.findById(req.params.promotionId);
+		if (!promotion) {
+			const error = getErrorResponse('PROMOTION_NOT_FOUND');
+			return res.status(error.status).json({
+				success: false,
+				error: error.message,
+				code: error.code,
+			});
+		}
+
+		const { targets, error, details } = await resolveTargets(req.body);
+		if (error) {
+			return res.status(error.status).json({
+				success: false,
+				error: error.message,
+				code: error.code,
+				details,
+			});
+		}
+
+		promotion.set({ ...pickPromotionFields(req.body), ...targets });
+
+		try {
+			await promotion.save();
+		} catch (saveError) {
+			if (saveError.code === 11000 || saveError.name === 'ValidationError') {
+				return sendSaveError(res, saveError);
+			}
+			throw saveError;
+		}
+
+		return res.status(200).json({
+			success: true,
+			message: SUCCESS_MESSAGES.PROMOTION_UPDATED,
+			promotion,
+		});
+	} catch (error) {
+		console.error('Update promotion error:', error.message);
+		const errResponse = getErrorResponse('INTERNAL_SERVER_ERROR');
+		return res.status(errResponse.status).json({
+			success: false,
+			error: errResponse.message,
+			code: errResponse.code,
+		});
+	}
+};
+
+/**
+ * orders placed with the code keep their copy of the discount
+ * @route DELETE /api/admin/promotions/:promotionId
+ * @access Private, promotions:manage
+ */
+export const deletePromotion = async (req, res) => {
+	try {
+		const promotion = await Promotion.findByIdAndDelete(req.params.promotionId);
+		if (!promotion) {
+			const error = getErrorResponse('PROMOTION_NOT_FOUND');
+			return res.status(error.status).json({
+				success: false,
+				error: error.message,
+				code: error.code,
+			});
+		}
+
+		return res.status(200).json({
+			success: true,
+			message: SUCCESS_MESSAGES.PROMOTION_DELETED,
+		});
+	} catch (error) {
+		console.error('Delete promotion error:', error.message);
+		const errResponse = getErrorResponse('INTERNAL_SERVER_ERROR');
+		return res.status(errResponse.status).json({
+			success: false,
+			error: errResponse.message,
+			code: errResponse.code,
+		});
+	}
+};
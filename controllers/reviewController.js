@@ -0,0 +1,373 @@
+import Review from '../models/review.js';
+import Book from '../models/book.js';
+import Order, { PAID_ORDER_STATUSES } from '../models/order.js';
+import { getErrorResponse } from '../constants/errors.js';
+import { SUCCESS_MESSAGES } from '../constants/messages.js';
+import { getPaginationMetadata } from '../utils/helpers.js';
+
+//only people who paid for the book can review it
+const hasPaidOrderFor = (userId, bookId) =>
+	Order.exists({
+		userId,
+		status: { $in: PAID_ORDER_STATUSES },
+		'items.bookId': bookId,
+	});
+
+/**
+ * published reviews of a book, newest first
+ * @route GET /api/books/:id/reviews
+ * @access Public
+ * @queryParam {number} page - optional, def to 1
+ * @queryParam {number} limit - optional, def to 10
+ */
+export const getBookReviews = async (req, res) => {
+	try {
+		const page = Math.max(parseInt(req.query.page) || 1, 1);
+		const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+
+		const book = await Book.findById(req.params.id).select(
+			'rating reviewCount'
+		);
+		if (!book) {
+			const error = getErrorResponse('BOOK_NOT_FOUND');
+			return res.status(error.status).json({
+				success: false,
+				error: error.message,
+				code: error.code,
+			});
+		}
+
+		const filter = { bookId: book._id, status: 'published' };
+		const total = await Review.countDocuments(filter);
+		const reviews = await Review.find(filter)
+			.select('rating text userId createdAt updatedAt')
+			.populate('userId', 'name')
+			.sort({ createdAt: -1 })
+			.skip((page - 1) * limit)
+			.limit(limit);
+
+		res.status(200).json({
+			success: true,
+			rating: book.rating,
+			reviewCount: book.reviewCount,
+			data: reviews,
+			pagination: getPaginationMetadata(page, limit, total),
+		});
+	} catch (error) {
+		console.error('Get book reviews error:', error.message);
+		const errResponse = getErrorResponse('INTERNAL_SERVER_ERROR');
+		return res.status(errResponse.status).json({
+			success: false,
+			error: errResponse.message,
+			code: errResponse.code,
+		});
+	}
+};
+
+/**
+ * review a book, one review per user per book
+ * @route POST /api/books/:id/reviews
+ * @access Private, needs a paid order containing the book
+ * @bodyParam {number} rating - 1 to 5
+ * @bodyParam {string} text - optional
+ */
+export const createReview = async (req, res) => {
+	try {
+		const bookId = req.params.id;
+		const { rating, text } = req.body;
+
+		const book = await Book.exists({ _id: bookId, archivedAt: null });
+		if (!book) {
+			const error = getErrorResponse('BOOK_NOT_FOUND');
+			return res.status(error.status).json({
+				success: false,
+				error: error.message,
+				code: error.code,
+			});
+		}
+
+		if (!(await hasPaidOrderFor(req.userId, bookId))) {
+			const error = getErrorResponse('REVIEW_NOT_PURCHASED');
+			return res.status(error.status).json({
+				success: false,
+				error: error.message,
+				code: error.code,
+			});
+		}
+
+		const existing = await Review.exists({ bookId, userId: req.userId });
+		if (existing) {
+			const error = getErrorResponse('REVIEW_EXISTS');
+			return res.status(error.status).json({
+				success: false,
+				error: error.message,
+				code: error.code,
+			});
+		}
+
+		const review = await Review.create({
+			bookId,
+			userId: req.userId,
+			rating,
+			text,
+		});
+
+		await Review.syncBookRating(bookId);
+
+		return res.status(201).json({
+			success: true,
+			message: SUCCESS_MESSAGES.REVIEW_CREATED,
+			review,
+		});
+	} catch (error) {
+		//two requests at once, the unique index catches the second one
+		if (error.code === 11000) {
+			const errResponse = getErrorResponse('REVIEW_EXISTS');
+			return res.status(errResponse.status).json({
+				success: false,
+				error: errResponse.message,
+				code: errResponse.code,
+			});
+		}
+
+		console.error('Create review error:', error.message);
+		const errResponse = getErrorResponse('INTERNAL_SERVER_ERROR');
+		return res.status(errResponse.status).json({
+			success: false,
+			error: errResponse.message,
+			code: errResponse.code,
+		});
+	}
+};
+
+/**
+ * own reviews, hidden ones included so the user knows
+ * @route GET /api/users/me/reviews
+ * @access Private
+ */
+export const getMyReviews = async (req, res) => {
+	try {
+		const reviews = await Review.find({ userId: req.userId })
+			.select('bookId rating text status createdAt updatedAt')
+			.populate('bookId', 'title author imagePath')
+			.sort({ createdAt: -1 });
+
+		return res.status(200).json({
+			success: true,
+			count: reviews.length,
+			reviews,
+		});
+	} catch (error) {
+		console.error('Get my reviews error:', error.message);
+		const errResponse = getErrorResponse('INTERNAL_SERVER_ERROR');
+		return res.status(errResponse.status).json({
+			success: false,
+			error: errResponse.message,
+			code: errResponse.code,
+		});
+	}
+};
+
+/**
+ * edit own review, a hidden review stays hidden
+ * @route PUT /api/users/me/reviews/:reviewId
+ * @access Private
+ * @bodyParam {number} rating - optional
+ * @bodyParam {string} text - optional
+ */
+export const updateReview = async (req, res) => {
+	try {
+		const review = await Review.findOne({
+			_id: req.params.reviewId,
+			userId: req.userId,
+		});
+		if (!review) {
+			const error = getErrorResponse('REVIEW_NOT_FOUND');
+			return res.status(error.status).json({
+				success: false,
+				error: error.message,
+				code: error.code,
+			});
+		}
+
+		if (req.body.rating !== undefined) review.rating = req.body.rating;
+		if (req.body.text !== undefined) review.text = req.body.text;
+		await review.save();
+
+		await Review.syncBookRating(review.bookId);
+
+		return res.status(200).json({
+			success: true,
+			message: SUCCESS_MESSAGES.REVIEW_UPDATED,
+			review,
+		});
+	} catch (error) {
+		console.error('Update review error:', error.message);
+		const errResponse = getErrorResponse('INTERNAL_SERVER_ERROR');
+		return res.status(errResponse.status).json({
+			success: false,
+			error: errResponse.message,
+			code: errResponse.code,
+		});
+	}
+};
+
+/**
+ * delete own review
+ * @route DELETE /api/users/me/reviews/:reviewId
+ * @access Private
+ */
+export const deleteReview = async (req, res) => {
+	try {
+		const review = await Review.findOneAndDelete({
+			_id: req.params.reviewId,
+			userId: req.userId,
+		});
+		if (!review) {
+			const error = getErrorResponse('REVIEW_NOT_FOUND');
+			return res.status(error.status).json({
+				success: false,
+				error: error.message,
+				code: error.code,
+			});
+		}
+
+		await Review.syncBookRating(review.bookId);
+
+		return res.status(200).json({
+			success: true,
+			message: SUCCESS_MESSAGES.REVIEW_DELETED,
+		});
+	} catch (error) {
+		console.error('Delete review error:', error.message);
+		const errResponse = getErrorResponse('INTERNAL_SERVER_ERROR');
+		return res.status(errResponse.status).json({
+			success: false,
+			error: errResponse.message,
+			code: errResponse.code,
+		});
+	}
+};
+
+/**
+ * list reviews for moderation
+ * @route GET /api/admin/reviews
+ * @access Private, reviews:moderate
+ * @queryParam {string} status - optional, published or hidden
+ * @queryParam {string} bookId - optional
+ * @queryParam {number} page - optional, def to 1
+ * @queryParam {number} limit - optional, def to 20
+ */
+export const getReviewsForModeration = async (req, res) => {
+	try {
+		const page = Math.max(parseInt(req.query.page) || 1, 1);
+		const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+		const filter = {};
+		if (['published', 'hidden'].includes(req.query.status)) {
+			filter.status = req.query.status;
+		}
+		if (/^[0-9a-fA-F]{24}$/.test(req.query.bookId)) {
+			filter.bookId = req.query.bookId;
+		}
+
+		const total = await Review.countDocuments(filter);
+		const reviews = await Review.find(filter)
+			.populate('userId', 'name email')
+			.populate('bookId', 'title')
+			.sort({ createdAt: -1 })
+			.skip((page - 1) * limit)
+			.limit(limit);
+
+		return res.status(200).json({
+			success: true,
+			data: reviews,
+			pagination: getPaginationMetadata(page, limit, total),
+		});
+	} catch (error) {
+		console.error('Get reviews for moderation error:', error.message);
+		const errResponse = getErrorResponse('INTERNAL_SERVER_ERROR');
+		return res.status(errResponse.status).json({
+			success: false,
+			error: errResponse.message,
+			code: errResponse.code,
+		});
+	}
+};
+
+/**
+ * hide or republish a review
+ * @route PATCH /api/admin/reviews/:reviewId
+ * @access Private, reviews:moderate
+ * @bodyParam {string} status - published or hidden
+ * @bodyParam {string} note - optional, why it was hidden
+ */
+export const moderateReview = async (req, res) => {
+	try {
+		const review = await Review.findById(req.params.reviewId);
+		if (!review) {
+			const error = getErrorResponse('REVIEW_NOT_FOUND');
+			return res.status(error.status).json({
+				success: false,
+				error: error.message,
+				code: error.code,
+			});
+		}
+
+		review.status = req.body.status;
+		review.moderationNote = req.body.note;
+		review.moderatedBy = req.userId;
+		review.moderatedAt = new Date();
+		await review.save();
+
+		await Review.syncBookRating(review.bookId);
+
+		return res.status(200).json({
+			success: true,
+			message: SUCCESS_MESSAGES.REVIEW_MODERATED,
+			review,
+		});
+	} catch (error) {
+		console.error('Moderate review error:', error.message);
+		const errResponse = getErrorResponse('INTERNAL_SERVER_ERROR');
+		return res.status(errResponse.status).json({
+			success: false,
+			error: errResponse.message,
+			code: errResponse.code,
+		});
+	}
+};
+
+/**
+ * delete any review (spam, abuse)
+ * @route DELETE /api/admin/reviews/:reviewId
+ * @access Private, reviews:moderate
+ */
+export const removeReview = async (req, res) => {
+	try {
+		const review = await Review.findByIdAndDelete(req.params.reviewId);
+		if (!review) {
+			const error = getErrorResponse('REVIEW_NOT_FOUND');
+			return res.status(error.status).json({
+				success: false,
+				error: error.message,
+				code: error.code,
+			});
+		}
+
+		await Review.syncBookRating(review.bookId);
+
+		return res.status(200).json({
+			success: true,
+			message: SUCCESS_MESSAGES.REVIEW_DELETED,
+		});
+	} catch (error) {
+		console.error('Remove review error:', error.message);
+		const errResponse = getErrorResponse('INTERNAL_SERVER_ERROR');
+		return res.status(errResponse.status).json({
+			success: false,
+			error: errResponse.message,
+			code: errResponse.code,
+		});
+	}
+};
@@ -0,0 +1,514 @@
+import bcrypt from 'bcryptjs';
+import User from '../models/user.js';
+import Book from '../models/book.js';
+import Cart from '../models/cart.js';
+import Order from '../models/order.js';
+import Session from '../models/session.js';
+import Review from '../models/review.js';
+import StockSubscription from '../models/stockSubscription.js';
+import { addItemToCart } from './cartController.js';
+import { getErrorResponse } from '../constants/errors.js';
+import { SUCCESS_MESSAGES } from '../constants/messages.js';
+import { clearAuthCookies } from '../utils/genTokenAndSetCookie.js';
+
+const ADDRESS_FIELDS = [
+	'fullName',
+	'phoneNumber',
+	'address',
+	'city',
+	'state',
+	'zipCode',
+	'country',
+];
+
+//only copy whitelisted address fields from the body
+const pickAddressFields = (body) => {
+	const picked = {};
+	for (const field of ADDRESS_FIELDS) {
+		if (body[field] !== undefined) picked[field] = body[field];
+	}
+	return picked;
+};
+
+/**
+ * get address book of logged in user
+ * @route GET /api/users/me/addresses
+ * @access Private
+ */
+export const getAddresses = async (req, res) => {
+	try {
+		const user = await User.findById(req.userId).select('addresses');
+
+		return res.status(200).json({
+			success: true,
+			count: user.addresses.length,
+			addresses: user.addresses,
+		});
+	} catch (error) {
+		console.error('Get addresses error:', error.message);
+		const errResponse = getErrorResponse('INTERNAL_SERVER_ERROR');
+		return res.status(errResponse.status).json({
+			success: false,
+			error: errResponse.message,
+			code: errResponse.code,
+		});
+	}
+};
+
+/**
+ * add an address, the first address is always the default
+ * @route POST /api/users/me/addresses
+ * @access Private
+ */
+export const addAddress = async (req, res) => {
+	try {
+		const user = await User.findById(req.userId);
+
+		user.addresses.push(pickAddressFields(req.body));
+		const newAddress = user.addresses[user.addresses.length - 1];
+
+		if (req.body.isDefault || user.addresses.length === 1) {
+			user.setDefaultAddress(newAddress._id);
+		}
+
+		await user.save();
+
+		return res.status(201).json({
+			success: true,
+			message: SUCCESS_MESSAGES.ADDRESS_ADDED,
+			address: newAddress,
+			addresses: user.addresses,
+		});
+	} catch (error) {
+		console.error('Add address error:', error.message);
+		const errResponse = getErrorResponse('INTERNAL_SERVER_ERROR');
+		return res.status(errResponse.status).json({
+			success: false,
+			error: errResponse.message,
+			code: errResponse.code,
+		});
+	}
+};
+
+/**
+ * update an address, isDefault true makes it the default
+ * @route PUT /api/users/me/addresses/:addressId
+ * @access Private
+ */
+export const updateAddress = async (req, res) => {
+	try {
+		const user = await User.findById(req.userId);
+		const address = user.addresses.id(req.params.addressId);
+
+		if (!address) {
+			const error = getErrorResponse('ADDRESS_NOT_FOUND');
+			return res.status(error.status).json({
+				success: false,
+				error: error.message,
+				code: error.code,
+			});
+		}
+
+		Object.assign(address, pickAddressFields(req.body));
+
+		//unsetting the default is done by picking another default, never zero defaults
+		if (req.body.isDefault === true) {
+			user.setDefaultAddress(address._id);
+		}
+
+		await user.save();
+
+		return res.status(200).json({
+			success: true,
+			message: SUCCESS_MESSAGES.ADDRESS_UPDATED,
+			address,
+			addresses: user.addresses,
+		});
+	} catch (error) {
+		console.error('Update address error:', error.message);
+		const errResponse = getErrorResponse('INTERNAL_SERVER_ERROR');
+		return res.status(errResponse.status).json({
+			success: false,
+			error: errResponse.message,
+			code: errResponse.code,
+		});
+	}
+};
+
+/**
+ * delete an address, if it was the default the first remaining one takes over
+ * @route DELETE /api/users/me/addresses/:addressId
+ * @access Private
+ */
+export const deleteAddress = async (req, res) => {
+	try {
+		const user = await User.findById(req.userId);
+		const address = user.addresses.id(req.params.addressId);
+
+		if (!address) {
+			const error = getErrorResponse('ADDRESS_NOT_FOUND');
+			return res.status(error.status).json({
+				success: false,
+				error: error.message,
+				code: error.code,
+			});
+		}
+
+		const wasDefault = address.isDefault;
+		address.deleteOne();
+
+		if (wasDefault && user.addresses.length > 0) {
+			user.setDefaultAddress(user.addresses[0]._id);
+		}
+
+		await user.save();
+
+		return res.status(200).json({
+			success: true,
+			message: SUCCESS_MESSAGES.ADDRESS_DELETED,
+			addresses: user.addresses,
+		});
+	} catch (error) {
+		console.error('Delete address error:', error.message);
+		const errResponse = getErrorResponse('INTERNAL_SERVER_ERROR');
+		return res.status(errResponse.status).json({
+			success: false,
+			error: errResponse.message,
+			code: errResponse.code,
+		});
+	}
+};
+
+/**
+ * get wishlist with current price and stock
+ * @route GET /api/users/me/wishlist
+ * @access Private
+ */
+export const getWishlist = async (req, res) => {
+	try {
+		const user = await User.findById(req.userId).select('wishlist').populate({
+			path: 'wishlist',
+			select: 'title author price imagePath stock rating archivedAt',
+		});
+
+		//books that were deleted populate as null, leave them out
+		//archived ones stay so the user sees they are gone, but never in stock
+		const books = user.wishlist.filter(Boolean).map((book) => ({
+			...book.toObject(),
+			inStock: !book.archivedAt && book.stock > 0,
+		}));
+
+		return res.status(200).json({
+			success: true,
+			count: books.length,
+			wishlist: books,
+		});
+	} catch (error) {
+		console.error('Get wishlist error:', error.message);
+		const errResponse = getErrorResponse('INTERNAL_SERVER_ERROR');
+		return res.status(errResponse.status).json({
+			success: false,
+			error: errResponse.message,
+			code: errResponse.code,
+		});
+	}
+};
+
+/**
+ * add a book to the wishlist, adding twice is a no-op
+ * @route POST /api/users/me/wishlist
+ * @access Private
+ */
+export const addToWishlist = async (req, res) => {
+	try {
+		const { bookId } = req.body;
+
+		const book = await Book.findOne({ _id: bookId, archivedAt: null });
+		if (!book) {
+			const error = getErrorResponse('BOOK_NOT_FOUND');
+			return res.status(error.status).json({
+				success: false,
+				error: error.message,
+				code: error.code,
+			});
+		}
+
+		await User.updateOne(
+			{ _id: req.userId },
+			{ $addToSet: { wishlist: book._id } }
+		);
+
+		return res.status(200).json({
+			success: true,
+			message: SUCCESS_MESSAGES.WISHLIST_ITEM_ADDED,
+		});
+	} catch (error) {
+		console.error('Add to wishlist error:', error.message);
+		const errResponse = getErrorResponse('INTERNAL_SERVER_ERROR');
+		return res.status(errResponse.status).json({
+			success: false,
+			error: errResponse.message,
+			code: errResponse.code,
+		});
+	}
+};
+
+/**
+ * remove a book from the wishlist
+ * @route DELETE /api/users/me/wishlist/:bookId
+ * @access Private
+ */
+export const removeFromWishlist = async (req, res) => {
+	try {
+		const result = await User.updateOne(
+			{ _id: req.userId, wishlist: req.params.bookId },
+			{ $pull: { wishlist: req.params.bookId } }
+		);
+
+		if (result.modifiedCount === 0) {
+			const error = getErrorResponse('WISHLIST_ITEM_NOT_FOUND');
+			return res.status(error.status).json({
+				success: false,
+				error: error.message,
+				code: error.code,
+			});
+		}
+
+		return res.status(200).json({
+			success: true,
+			message: SUCCESS_MESSAGES.WISHLIST_ITEM_REMOVED,
+		});
+	} catch (error) {
+		console.error('Remove from wishlist error:', error.message);
+		const errResponse = getErrorResponse('INTERNAL_SERVER_ERROR');
+		return res.status(errResponse.status).json({
+			success: false,
+			error: errResponse.message,
+			code: errResponse.code,
+		});
+	}
+};
+
+/**
+ * move a wishlist book into the cart, same stock checks as addToCart
+ * the book is pulled from the wishlist first so two parallel moves cant both add it,
+ * if the cart rejects it (stock etc) it goes back on the wishlist
+ * not a transaction (the app runs without a replica set), the put back is best effort: until it is done
+ * other requests see the book missing from the wishlist, and if it fails the book stays off it (logged)
+ * @route POST /api/users/me/wishlist/:bookId/move-to-cart
+ * @access Private
+ */
+export const moveWishlistItemToCart = async (req, res) => {
+	try {
+		const { bookId } = req.params;
+		const { quantity = 1 } = req.body || {};
+
+		const pulled = await User.updateOne(
+			{ _id: req.userId, wishlist: bookId },
+			{ $pull: { wishlist: bookId } }
+		);
+		if (pulled.modifiedCount === 0) {
+			const error = getErrorResponse('WISHLIST_ITEM_NOT_FOUND');
+			return res.status(error.status).json({
+				success: false,
+				error: error.message,
+				code: error.code,
+			});
+		}
+
+		let result;
+		try {
+			result = await addItemToCart({ userId: req.userId }, bookId, quantity);
+		} catch (cartError) {
+			result = { cartError };
+		}
+
+		//cart said no, put it back on the wishlist
+		if (result.error || result.cartError) {
+			await User.updateOne(
+				{ _id: req.userId },
+				{ $addToSet: { wishlist: bookId } }
+			).catch((error) => {
+				console.error(
+					`Book ${bookId} could not be put back on the wishlist of ${req.userId}:`,
+					error.message
+				);
+			});
+			if (result.cartError) throw result.cartError;
+
+			return res.status(result.error.status).json({
+				success: false,
+				error: result.error.message,
+				code: result.error.code,
+			});
+		}
+
+		return res.status(200).json({
+			success: true,
+			message: SUCCESS_MESSAGES.WISHLIST_MOVED_TO_CART,
+			cart: result.cart,
+		});
+	} catch (error) {
+		console.error('Move to cart error:', error.message);
+		const errResponse = getErrorResponse('INTERNAL_SERVER_ERROR');
+		return res.status(errResponse.status).json({
+			success: false,
+			error: errResponse.message,
+			code: errResponse.code,
+		});
+	}
+};
+
+/**
+ * deactivate own account, logs out everywhere, only an admin can reactivate
+ * @route POST /api/users/me/deactivate
+ * @access Private
+ */
+export const deactivateAccount = async (req, res) => {
+	try {
+		const user = await User.findById(req.userId);
+
+		const isMatch = await bcrypt.compare(req.body.password, user.passwordHash);
+		if (!isMatch) {
+			const error = getErrorResponse('AUTH_INVALID_CREDENTIALS');
+			return res.status(error.status).json({
+				success: false,
+				error: error.message,
+				code: error.code,
+			});
+		}
+
+		//someone has to be left who can manage roles
+		if (await User.isLastAdmin(user)) {
+			const error = getErrorResponse('ROLE_LAST_ADMIN');
+			return res.status(error.status).json({
+				success: false,
+				error: error.message,
+				code: error.code,
+			});
+		}
+
+		user.deactivate('self');
+		await user.save();
+
+		await Session.revokeAllForUser(user._id, 'account_inactive');
+		clearAuthCookies(res);
+
+		return res.status(200).json({
+			success: true,
+			message: SUCCESS_MESSAGES.ACCOUNT_DEACTIVATED,
+		});
+	} catch (error) {
+		console.error('Deactivate account error:', error.message);
+		const errResponse = getErrorResponse('INTERNAL_SERVER_ERROR');
+		return res.status(errResponse.status).json({
+			success: false,
+			error: errResponse.message,
+			code: errResponse.code,
+		});
+	}
+};
+
+/**
+ * download everything we store about the logged in user
+ * @route GET /api/users/me/export
+ * @access Private
+ */
+export const exportMyData = async (req, res) => {
+	try {
+		const userId = req.userId;
+
+		const [user, cart, orders, sessions, reviews] = await Promise.all([
+			User.findById(userId)
+				.select('-passwordHash -resetPasswordToken -resetPasswordExpire')
+				.populate('wishlist', 'title author'),
+			Cart.findOne({ userId }).populate('items.bookId', 'title author'),
+			Order.find({ userId })
+				.populate('items.bookId', 'title author')
+				.sort({ createdAt: -1 }),
+			Session.find({ userId }).select(
+				'userAgent ip createdAt lastUsedAt expiresAt revokedAt'
+			),
+			Review.find({ userId }).populate('bookId', 'title author'),
+		]);
+
+		res.setHeader(
+			'Content-Disposition',
+			`attachment; filename="my-data-${userId}.json"`
+		);
+
+		return res.status(200).json({
+			success: true,
+			exportedAt: new Date().toISOString(),
+			data: {
+				profile: user,
+				cart,
+				orders,
+				sessions,
+				reviews,
+			},
+		});
+	} catch (error) {
+		console.error('Export data error:', error.message);
+		const errResponse = getErrorResponse('INTERNAL_SERVER_ERROR');
+		return res.status(errResponse.status).json({
+			success: false,
+			error: errResponse.message,
+			code: errResponse.code,
+		});
+	}
+};
+
+/**
+ * erase own account, personal data is anonymized
+ * orders stay (with their items, totals and shipping snapshot) for accounting
+ * @route DELETE /api/users/me
+ * @access Private
+ */
+export const eraseAccount = async (req, res) => {
+	try {
+		const user = await User.findById(req.userId);
+
+		const isMatch = await bcrypt.compare(req.body.password, user.passwordHash);
+		if (!isMatch) {
+			const error = getErrorResponse('AUTH_INVALID_CREDENTIALS');
+			return res.status(error.status).json({
+				success: false,
+				error: error.message,
+				code: error.code,
+			});
+		}
+
+		//someone has to be left who can manage roles
+		if (await User.isLastAdmin(user)) {
+			const error = getErrorResponse('ROLE_LAST_ADMIN');
+			return res.status(error.status).json({
+				success: false,
+				error: error.message,
+				code: error.code,
+			});
+		}
+
+		user.anonymize();
+		await user.save();
+
+		//cart, sessions and stock notifications have no accounting value, drop them
+		await Cart.deleteOne({ userId: user._id });
+		await Session.deleteMany({ userId: user._id });
+		await StockSubscription.deleteMany({ userId: user._id });
+		clearAuthCookies(res);
+
+		return res.status(200).json({
+			success: true,
+			message: SUCCESS_MESSAGES.ACCOUNT_ERASED,
+		});
+	} catch (error) {
+		console.error('Erase account error:', error.message);
+		const errResponse = getErrorResponse('INTERNAL_SERVER_ERROR');
+		return res.status(errResponse.status).json({
+			success: false,
+			error: errResponse.message,
+			code: errResponse.code,
+		});
+	}
+};
@@ -1,89 +1,220 @@
 import jwt, { decode } from 'jsonwebtoken';
 import User from '../models/user.js';
+import Session from '../models/session.js';
+import Role from '../models/role.js';
+import ApiKey from '../models/apiKey.js';
 import { ERROR_CODES } from '../constants/errors.js';
+import { isEmailVerificationRequired } from '../utils/emailVerification.js';
+
+//send the error response, every auth failure looks the same
+const sendAuthError = (res, errorKey) => {
+	const error = ERROR_CODES[errorKey];
+	return res.status(error.status).json({
+		success: false,
+		error: error.message,
+		code: error.code,
+	});
+};
 
 /**
- * protect routes, verify jwt token from the cookie
- * extract the user from the token, which is extracted from the cookie.
- * attach user to the request then
+ * get the credential from the request
+ * Authorization: Bearer <jwt | api key> wins over the jwt cookie
+ * @returns {string|undefined}
  */
+const getRequestToken = (req) => {
+	const header = req.get('authorization');
+	if (header && header.startsWith('Bearer ')) {
+		return header.slice(7).trim();
+	}
+	return req.cookies?.jwt;
+};
 
-export const protectRoute = async (req, res, next) => {
+/**
+ * verify an access JWT, the session in the token must not be revoked
+ * @returns {Promise<object>} { user, session } or { errorKey }
+ */
+const authenticateJwt = async (token) => {
+	//verify token
+	let decoded;
 	try {
-		//get token from cookie
-		const token = req.cookies.jwt;
-
-		//check token existence
-		if (!token) {
-			const errResp = ERROR_CODES.AUTH_NO_TOKEN;
-			return res.status(errResp.status).json({
-				success: false,
-				error: errResp.message,
-				code: errResp.code,
-			});
-		}
+		decoded = jwt.verify(token, process.env.JWT_SECRET);
+	} catch (error) {
+		return { errorKey: 'AUTH_INVALID_TOKEN' };
+	}
+
+	//refresh tokens can only be used on /api/auth/refresh
+	if (
+		!decoded ||
+		!decoded.userId ||
+		!decoded.sessionId ||
+		decoded.type === 'refresh'
+	) {
+		return { errorKey: 'AUTH_INVALID_TOKEN' };
+	}
+
+	//session must still be active, logout / revoke kills the access token too
+	const session = await Session.findById(decoded.sessionId);
+	if (
+		!session ||
+		!session.isActive() ||
+		session.userId.toString() !== decoded.userId
+	) {
+		return { errorKey: 'AUTH_SESSION_REVOKED' };
+	}
+
+	//find user
+	const user = await User.findById(decoded.userId).select(
+		'-passwordHash -resetPasswordToken -resetPasswordExpire'
+	);
+	if (!user) {
+		return { errorKey: 'AUTH_USER_NOT_FOUND' };
+	}
+
+	//reject tokens issued before a password change / reset
+	if (user.changedPasswordAfter(decoded.iat)) {
+		return { errorKey: 'AUTH_INVALID_TOKEN' };
+	}
+
+	return { user, session };
+};
+
+/**
+ * verify an api key, the key acts as its owner limited to its scopes
+ * @returns {Promise<object>} { user, apiKey } or { errorKey }
+ */
+const authenticateApiKey = async (rawKey) => {
+	const apiKey = await ApiKey.findOne({ keyHash: ApiKey.hashKey(rawKey) });
+	if (!apiKey || !apiKey.isActive()) {
+		return { errorKey: 'AUTH_API_KEY_INVALID' };
+	}
+
+	const user = await User.findById(apiKey.userId).select(
+		'-passwordHash -resetPasswordToken -resetPasswordExpire'
+	);
+	if (!user) {
+		return { errorKey: 'AUTH_API_KEY_INVALID' };
+	}
+
+	await apiKey.touch();
+
+	return { user, apiKey };
+};
 
-		//verify token
-		let decoded;
+/**
+ * build the auth middleware
+ * @param {object} options
+ * @param {boolean} options.allowApiKey = accept api keys, only for routes that check a permission
+ * @param {boolean} options.optional = requests without any token go through as guests
+ */
+const authenticate = ({ allowApiKey, optional = false }) => {
+	return async (req, res, next) => {
 		try {
-			decoded = jwt.verify(token, process.env.JWT_SECRET);
+			//get token from header or cookie
+			const token = getRequestToken(req);
+
+			//check token existence
+			if (!token) {
+				if (optional) return next();
+				return sendAuthError(res, 'AUTH_NO_TOKEN');
+			}
+
+			const isApiKey = ApiKey.looksLikeKey(token);
+			if (isApiKey && !allowApiKey) {
+				return sendAuthError(res, 'AUTH_API_KEY_NOT_ALLOWED');
+			}
+
+			const result = isApiKey
+				? await authenticateApiKey(token)
+				: await authenticateJwt(token);
+
+			if (result.errorKey) {
+				return sendAuthError(res, result.errorKey);
+			}
+
+			//suspended / deactivated accounts are locked out right away
+			if (!result.user.isActive) {
+				return sendAuthError(res, 'AUTH_ACCOUNT_INACTIVE');
+			}
+
+			//attach to request
+			req.user = result.user;
+			req.userId = result.user._id;
+			req.sessionId = result.session?._id;
+			req.apiKey = result.apiKey;
+
+			//next middleware
+			next();
 		} catch (error) {
-			const errRespoonse = ERROR_CODES.AUTH_INVALID_TOKEN;
-			return res.status(errRespoonse.status).json({
-				success: false,
-				error: errRespoonse.message,
-				code: errRespoonse.code,
-			});
+			console.error('Auth Middleware Error: ', error.message);
+			return sendAuthError(res, 'INTERNAL_SERVER_ERROR');
 		}
+	};
+};
 
-		if (!decoded || !decoded.userId) {
-			const error = ERROR_CODES.AUTH_INVALID_TOKEN;
-			return res.status(error.status).json({
-				success: false,
-				error: error.message,
-				code: error.code,
-			});
-		}
+/**
+ * protect routes, verify jwt token from the Authorization: Bearer header or the cookie
+ * the session in the token must not be revoked
+ * attach user and session to the request then
+ */
+export const protectRoute = authenticate({ allowApiKey: false });
+
+/**
+ * same as protectRoute but also accepts api keys (Authorization: Bearer bsk_...)
+ * use only in front of requirePermission, which enforces the key scopes
+ */
+export const protectRouteOrApiKey = authenticate({ allowApiKey: true });
 
-		//find user and attach to request
-		const user = await User.findById(decoded.userId).select('-passwordHash');
+/**
+ * same as protectRoute for requests with a token, requests without one go on as guests (no req.userId)
+ * a token that is sent but invalid is still rejected, the client should refresh it instead
+ */
+export const optionalAuth = authenticate({
+	allowApiKey: false,
+	optional: true,
+});
 
-		if (!user) {
-			const error = ERROR_CODES.AUTH_USER_NOT_FOUND;
-			return res.status(error.status).json({
-				success: false,
-				error: error.message,
-				code: error.code,
-			});
-		}
+/**
+ * permission check middleware, use after protectRoute
+ * user passes if their role has every listed permission (or the '*' wildcard)
+ * api keys also need every permission in their scopes
+ * @param {...string} permissions = e.g. 'books:write'
+ */
+export const requirePermission = (...permissions) => {
+	return async (req, res, next) => {
+		try {
+			if (
+				req.apiKey &&
+				!permissions.every((permission) => req.apiKey.hasScope(permission))
+			) {
+				return sendAuthError(res, 'AUTH_API_KEY_SCOPE');
+			}
 
-		req.user = user;
-		req.userId = user._id;
+			const role = await Role.findOne({ name: req.user.role });
 
-		//next middleware
-		next();
-	} catch (error) {
-		console.error('Auth Middleware Error: ', error.message);
-		const errResponse = ERROR_CODES.INTERNAL_SERVER_ERROR;
-		return res.status(errResponse.status).json({
-			success: false,
-			error: errResponse.message,
-			code: errResponse.code,
-		});
-	}
+			const allowed =
+				role &&
+				permissions.every((permission) => role.hasPermission(permission));
+
+			if (!allowed) {
+				return sendAuthError(res, 'AUTH_FORBIDDEN');
+			}
+
+			req.role = role;
+			next();
+		} catch (error) {
+			console.error('Permission Middleware Error: ', error.message);
+			return sendAuthError(res, 'INTERNAL_SERVER_ERROR');
+		}
+	};
 };
 
 /**
- * admin check middleware
- * not implemented yet
+ * verified email check middleware, use after protectRoute
+ * only enforced while REQUIRE_EMAIL_VERIFICATION is not 'false'
  */
-export const adminOnly = (req, res, next) => {
-	if (!req.user.isAdmin) {
-		return res.status(403).json({
-			success: false,
-			error: 'Access denied, Admin privileges required',
-			code: 'ADMIN_ONLY',
-		});
+export const requireVerifiedEmail = (req, res, next) => {
+	if (isEmailVerificationRequired() && !req.user.emailVerified) {
+		return sendAuthError(res, 'AUTH_EMAIL_NOT_VERIFIED');
 	}
 
 	next();
@@ -0,0 +1,95 @@
+import multer from 'multer';
+import { getErrorResponse } from '../constants/errors.js';
+
+//allowed cover types, checked on the file content, not on what the client claims
+const IMAGE_SIGNATURES = [
+	{
+		extension: 'jpg',
+		test: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff,
+	},
+	{
+		extension: 'png',
+		test: (b) =>
+			b
+				.subarray(0, 8)
+				.equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+	},
+	{
+		extension: 'webp',
+		test: (b) =>
+			b.subarray(0, 4).toString('ascii') === 'RIFF' &&
+			b.subarray(8, 12).toString('ascii') === 'WEBP',
+	},
+];
+
+const ALLOWED_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+export const getMaxCoverSizeBytes = () =>
+	Math.floor((parseFloat(process.env.COVER_MAX_SIZE_MB) || 2) * 1024 * 1024);
+
+const sendUploadError = (res, key) => {
+	const error = getErrorResponse(key);
+	return res.status(error.status).json({
+		success: false,
+		error: error.message,
+		code: error.code,
+	});
+};
+
+/**
+ * read an optional cover image from the multipart field "cover" into req.file
+ * the file stays in memory, the controller hands it to the storage adapter
+ * sets req.file.extension from the file content, json requests pass straight through
+ */
+export const uploadCover = (req, res, next) => {
+	const upload = multer({
+		storage: multer.memoryStorage(),
+		limits: { fileSize: getMaxCoverSizeBytes(), files: 1 },
+		fileFilter: (req, file, cb) => {
+			if (ALLOWED_MIME_TYPES.includes(file.mimetype)) return cb(null, true);
+			cb(
+				Object.assign(new Error('Unsupported file type'), {
+					code: 'INVALID_TYPE',
+				})
+			);
+		},
+	}).single('cover');
+
+	upload(req, res, (err) => {
+		if (err?.code === 'LIMIT_FILE_SIZE') {
+			return sendUploadError(res, 'UPLOAD_TOO_LARGE');
+		}
+		if (err?.code === 'INVALID_TYPE') {
+			return sendUploadError(res, 'UPLOAD_INVALID_TYPE');
+		}
+		if (err) {
+			return res.status(400).json({
+				success: false,
+				error: 'Upload failed',
+				details: [err.message],
+			});
+		}
+
+		if (req.file) {
+			const signature = IMAGE_SIGNATURES.find(({ test }) =>
+				test(req.file.buffer)
+			);
+			if (!signature) {
+				return sendUploadError(res, 'UPLOAD_INVALID_TYPE');
+			}
+			req.file.extension = signature.extension;
+		}
+
+		next();
+	});
+};
+
+/**
+ * for routes where the cover is the whole point of the request
+ */
+export const requireCoverFile = (req, res, next) => {
+	if (!req.file) {
+		return sendUploadError(res, 'UPLOAD_MISSING');
+	}
+	next();
+};
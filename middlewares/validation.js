@@ -1,8 +1,28 @@
 import {
 	validateEmail,
+	validateName,
 	validatePassword,
+	validatePhoneNumber,
 	validateBookData,
+	validateAddressData,
+	validateVariantData,
 } from '../utils/validators.js';
+import {
+	ALL_PERMISSIONS,
+	WILDCARD_PERMISSION,
+} from '../constants/permissions.js';
+import {
+	parseBookListQuery,
+	resolveCategoryOptions,
+} from '../utils/bookQuery.js';
+import { CATEGORY_SLUG_PATTERN, slugify } from '../models/category.js';
+import { INVENTORY_MOVEMENT_TYPES } from '../models/inventoryMovement.js';
+import { STAFF_ORDER_STATUSES } from '../models/order.js';
+import { PROFILE_FIELDS } from '../models/user.js';
+import {
+	PROMOTION_CODE_PATTERN,
+	PROMOTION_TYPES,
+} from '../models/promotion.js';
 
 /**
  * Validate registration data
@@ -11,8 +31,8 @@ export const validateRegister = (req, res, next) => {
 	const { name, email, password } = req.body;
 	const errors = [];
 
-	if (!name || name.trim().length < 2) {
-		errors.push('Name must be at least 2 characters long');
+	if (!validateName(name)) {
+		errors.push('Name must be between 2 and 50 characters long');
 	}
 
 	if (!validateEmail(email)) {
@@ -34,6 +54,74 @@ export const validateRegister = (req, res, next) => {
 	next();
 };
 
+/**
+ * Validate profile update, only whitelisted fields, same rules as registration
+ */
+export const validateProfileUpdate = (req, res, next) => {
+	const body = req.body || {};
+	const errors = [];
+
+	const unknown = Object.keys(body).filter(
+		(field) => !PROFILE_FIELDS.includes(field)
+	);
+	if (unknown.length > 0) {
+		errors.push(`These fields cannot be updated here: ${unknown.join(', ')}`);
+	}
+
+	if (!PROFILE_FIELDS.some((field) => body[field] !== undefined)) {
+		errors.push(`Provide at least one of: ${PROFILE_FIELDS.join(', ')}`);
+	}
+
+	if (body.name !== undefined && !validateName(body.name)) {
+		errors.push('Name must be between 2 and 50 characters long');
+	}
+
+	//empty string removes the phone number
+	if (
+		body.phoneNumber !== undefined &&
+		body.phoneNumber !== '' &&
+		!validatePhoneNumber(body.phoneNumber)
+	) {
+		errors.push('Invalid phone number format');
+	}
+
+	if (errors.length > 0) {
+		return res.status(400).json({
+			success: false,
+			error: 'Validation failed',
+			details: errors,
+		});
+	}
+
+	next();
+};
+
+/**
+ * Validate change password data
+ */
+export const validateChangePassword = (req, res, next) => {
+	const { currentPassword, newPassword } = req.body || {};
+	const errors = [];
+
+	if (!currentPassword) {
+		errors.push('Current password is required');
+	}
+
+	if (!validatePassword(newPassword)) {
+		errors.push('New password must be at least 6 characters long');
+	}
+
+	if (errors.length > 0) {
+		return res.status(400).json({
+			success: false,
+			error: 'Validation failed',
+			details: errors,
+		});
+	}
+
+	next();
+};
+
 /**
  * Validate login data
  */
@@ -60,11 +148,82 @@ export const validateLogin = (req, res, next) => {
 	next();
 };
 
+/**
+ * Validate forgot password data
+ */
+export const validateForgotPassword = (req, res, next) => {
+	const { email } = req.body;
+
+	if (!validateEmail(email)) {
+		return res.status(400).json({
+			success: false,
+			error: 'Validation failed',
+			details: ['Invalid email format'],
+		});
+	}
+
+	next();
+};
+
+/**
+ * Validate reset password data
+ */
+export const validateResetPassword = (req, res, next) => {
+	const { password } = req.body;
+
+	if (!validatePassword(password)) {
+		return res.status(400).json({
+			success: false,
+			error: 'Validation failed',
+			details: ['Password must be at least 6 characters long'],
+		});
+	}
+
+	next();
+};
+
+/**
+ * Validate current password confirmation for sensitive account actions
+ */
+export const validatePasswordConfirm = (req, res, next) => {
+	if (!req.body?.password) {
+		return res.status(400).json({
+			success: false,
+			error: 'Validation failed',
+			details: ['Current password is required'],
+		});
+	}
+
+	next();
+};
+
 /**
  * Validate book data
  */
 export const validateBook = (req, res, next) => {
-	const validation = validateBookData(req.body);
+	//an uploaded cover (uploadCover) stands in for imagePath
+	const validation = validateBookData(
+		req.file
+			? { ...req.body, imagePath: req.file.originalname }
+			: req.body || {}
+	);
+
+	if (!validation.isValid) {
+		return res.status(400).json({
+			success: false,
+			error: 'Validation failed',
+			details: validation.errors,
+		});
+	}
+
+	next();
+};
+
+/**
+ * Validate variant data, PUT requests only check the sent fields
+ */
+export const validateVariant = (req, res, next) => {
+	const validation = validateVariantData(req.body || {}, req.method === 'PUT');
 
 	if (!validation.isValid) {
 		return res.status(400).json({
@@ -77,6 +236,513 @@ export const validateBook = (req, res, next) => {
 	next();
 };
 
+/**
+ * Validate the catalog listing query, the parsed options end up in req.bookQuery
+ */
+export const validateBookListQuery = async (req, res, next) => {
+	const { errors, options } = parseBookListQuery(req.query);
+
+	if (errors.length === 0) {
+		const unknown = await resolveCategoryOptions(options);
+		if (unknown.length > 0) {
+			errors.push(`Unknown categories: ${unknown.join(', ')}`);
+		}
+	}
+
+	if (errors.length > 0) {
+		return res.status(400).json({
+			success: false,
+			error: 'Validation failed',
+			details: errors,
+		});
+	}
+
+	req.bookQuery = options;
+	next();
+};
+
+/**
+ * Validate review data, rating is only required when creating
+ */
+export const validateReview = (req, res, next) => {
+	const { rating, text } = req.body || {};
+	const errors = [];
+
+	if (req.method === 'POST' && rating === undefined) {
+		errors.push('Rating is required');
+	}
+
+	if (
+		rating !== undefined &&
+		!(Number.isInteger(rating) && rating >= 1 && rating <= 5)
+	) {
+		errors.push('Rating must be a whole number between 1 and 5');
+	}
+
+	if (text !== undefined && typeof text !== 'string') {
+		errors.push('Review text must be a string');
+	} else if (text && text.length > 2000) {
+		errors.push('Review cannot exceed 2000 characters');
+	}
+
+	if (req.method === 'PUT' && rating === undefined && text === undefined) {
+		errors.push('Provide a rating or a text to update');
+	}
+
+	if (errors.length > 0) {
+		return res.status(400).json({
+			success: false,
+			error: 'Validation failed',
+			details: errors,
+		});
+	}
+
+	next();
+};
+
+/**
+ * Validate a moderation decision
+ */
+export const validateReviewModeration = (req, res, next) => {
+	const { status, note } = req.body || {};
+	const errors = [];
+
+	if (!['published', 'hidden'].includes(status)) {
+		errors.push('Status must be published or hidden');
+	}
+
+	if (note !== undefined && typeof note !== 'string') {
+		errors.push('Note must be a string');
+	}
+
+	if (errors.length > 0) {
+		return res.status(400).json({
+			success: false,
+			error: 'Validation failed',
+			details: errors,
+		});
+	}
+
+	next();
+};
+
+//optional note of an order status change
+const validateOrderNote = (note, errors) => {
+	if (
+		note !== undefined &&
+		!(typeof note === 'string' && note.trim().length <= 500)
+	) {
+		errors.push('Note must be a string of at most 500 characters');
+	}
+};
+
+/**
+ * Validate an order status change by staff
+ */
+export const validateOrderStatus = (req, res, next) => {
+	const { status, note } = req.body || {};
+	const errors = [];
+
+	if (!STAFF_ORDER_STATUSES.includes(status)) {
+		errors.push(`Status must be one of: ${STAFF_ORDER_STATUSES.join(', ')}`);
+	}
+	validateOrderNote(note, errors);
+
+	if (errors.length > 0) {
+		return res.status(400).json({
+			success: false,
+			error: 'Validation failed',
+			details: errors,
+		});
+	}
+
+	next();
+};
+
+/**
+ * Validate a customer cancelling their order
+ */
+export const validateOrderCancel = (req, res, next) => {
+	const errors = [];
+	validateOrderNote(req.body?.note, errors);
+
+	if (errors.length > 0) {
+		return res.status(400).json({
+			success: false,
+			error: 'Validation failed',
+			details: errors,
+		});
+	}
+
+	next();
+};
+
+/**
+ * Validate category data, name is only required when creating
+ */
+export const validateCategory = (req, res, next) => {
+	const { name, slug, description, parent } = req.body || {};
+	const errors = [];
+
+	if (req.method === 'POST' || name !== undefined) {
+		if (
+			typeof name !== 'string' ||
+			name.trim().length < 2 ||
+			name.trim().length > 50
+		) {
+			errors.push('Name must be between 2 and 50 characters');
+		} else if (slug === undefined && !slugify(name)) {
+			//the slug comes from the name when none is given
+			errors.push('Name needs a letter or number, or send a slug');
+		}
+	}
+
+	if (
+		slug !== undefined &&
+		!(typeof slug === 'string' && CATEGORY_SLUG_PATTERN.test(slug))
+	) {
+		errors.push('Slug can only contain lowercase letters, numbers and -');
+	}
+
+	if (description !== undefined) {
+		if (typeof description !== 'string') {
+			errors.push('Description must be a string');
+		} else if (description.trim().length > 200) {
+			errors.push('Description cannot exceed 200 characters');
+		}
+	}
+
+	//null moves the category to the top level
+	if (
+		parent !== undefined &&
+		parent !== null &&
+		!(typeof parent === 'string' && /^[0-9a-fA-F]{24}$/.test(parent))
+	) {
+		errors.push('Parent must be a category id or null');
+	}
+
+	if (
+		req.method === 'PUT' &&
+		[name, slug, description, parent].every((value) => value === undefined)
+	) {
+		errors.push('Provide at least one field to update');
+	}
+
+	if (errors.length > 0) {
+		return res.status(400).json({
+			success: false,
+			error: 'Validation failed',
+			details: errors,
+		});
+	}
+
+	next();
+};
+
+/**
+ * Validate a manual stock movement, sales only come from paid orders
+ */
+export const validateInventoryMovement = (req, res, next) => {
+	const { variantId, type, quantity, reason, orderId } = req.body || {};
+	const errors = [];
+	const manualTypes = INVENTORY_MOVEMENT_TYPES.filter((t) => t !== 'sale');
+
+	if (!/^[0-9a-fA-F]{24}$/.test(variantId)) {
+		errors.push('Valid variantId is required');
+	}
+
+	if (!manualTypes.includes(type)) {
+		errors.push(`Type must be one of: ${manualTypes.join(', ')}`);
+	}
+
+	//adjustments can go both ways, restocks and returns only add
+	if (!Number.isInteger(quantity) || quantity === 0) {
+		errors.push('Quantity must be a whole number other than 0');
+	} else if (type !== 'adjustment' && quantity < 0) {
+		errors.push('Quantity must be positive for restocks and returns');
+	}
+
+	if (reason !== undefined && typeof reason !== 'string') {
+		errors.push('Reason must be a string');
+	} else if (reason && reason.length > 200) {
+		errors.push('Reason cannot exceed 200 characters');
+	} else if (type === 'adjustment' && !reason?.trim()) {
+		errors.push('Reason is required for adjustments');
+	}
+
+	if (orderId !== undefined && !/^[0-9a-fA-F]{24}$/.test(orderId)) {
+		errors.push('orderId must be an order id');
+	}
+
+	if (errors.length > 0) {
+		return res.status(400).json({
+			success: false,
+			error: 'Validation failed',
+			details: errors,
+		});
+	}
+
+	next();
+};
+
+/**
+ * Validate promotion data, code and type are only required when creating
+ * the rules that depend on the type are checked by the model
+ */
+export const validatePromotion = (req, res, next) => {
+	const {
+		code,
+		description,
+		type,
+		value,
+		buyQuantity,
+		getQuantity,
+		books,
+		categories,
+		minSpend,
+		usageLimit,
+		perUserLimit,
+		startsAt,
+		endsAt,
+		isActive,
+	} = req.body || {};
+	const errors = [];
+	const creating = req.method === 'POST';
+
+	if (
+		(creating || code !== undefined) &&
+		!(
+			typeof code === 'string' &&
+			PROMOTION_CODE_PATTERN.test(code.trim().toUpperCase())
+		)
+	) {
+		errors.push('Code can only contain letters, numbers, _ and - (3-30)');
+	}
+
+	if ((creating || type !== undefined) && !PROMOTION_TYPES.includes(type)) {
+		errors.push(`Type must be one of: ${PROMOTION_TYPES.join(', ')}`);
+	}
+
+	if (description !== undefined && typeof description !== 'string') {
+		errors.push('Description must be a string');
+	}
+
+	for (const [field, number] of Object.entries({ value, minSpend })) {
+		if (number !== undefined && !(typeof number === 'number' && number >= 0)) {
+			errors.push(`${field} must be a number of at least 0`);
+		}
+	}
+
+	for (const [field, number] of Object.entries({ buyQuantity, getQuantity })) {
+		if (number !== undefined && !(Number.isInteger(number) && number >= 1)) {
+			errors.push(`${field} must be a whole number of at least 1`);
+		}
+	}
+
+	//null removes the limit
+	for (const [field, number] of Object.entries({ usageLimit, perUserLimit })) {
+		if (number != null && !(Number.isInteger(number) && number >= 1)) {
+			errors.push(`${field} must be a whole number of at least 1 or null`);
+		}
+	}
+
+	if (
+		books !== undefined &&
+		!(Array.isArray(books) && books.every((id) => /^[0-9a-fA-F]{24}$/.test(id)))
+	) {
+		errors.push('Books must be an array of book ids');
+	}
+
+	if (
+		categories !== undefined &&
+		!(
+			Array.isArray(categories) &&
+			categories.every((value) => typeof value === 'string' && value.trim())
+		)
+	) {
+		errors.push('Categories must be an array of category ids or slugs');
+	}
+
+	for (const [field, date] of Object.entries({ startsAt, endsAt })) {
+		if (date != null && Number.isNaN(Date.parse(date))) {
+			errors.push(`${field} must be a date`);
+		}
+	}
+
+	if (isActive !== undefined && typeof isActive !== 'boolean') {
+		errors.push('isActive must be true or false');
+	}
+
+	if (errors.length > 0) {
+		return res.status(400).json({
+			success: false,
+			error: 'Validation failed',
+			details: errors,
+		});
+	}
+
+	next();
+};
+
+/**
+ * Validate a promotion code sent to the cart
+ */
+export const validatePromotionCode = (req, res, next) => {
+	const { code } = req.body || {};
+
+	if (typeof code !== 'string' || !code.trim()) {
+		return res.status(400).json({
+			success: false,
+			error: 'Validation failed',
+			details: ['Promotion code is required'],
+		});
+	}
+
+	next();
+};
+
+/**
+ * Validate the book added to the wishlist
+ */
+export const validateWishlistItem = (req, res, next) => {
+	const { bookId } = req.body || {};
+
+	if (typeof bookId !== 'string' || !/^[0-9a-fA-F]{24}$/.test(bookId)) {
+		return res.status(400).json({
+			success: false,
+			error: 'Validation failed',
+			details: ['bookId must be a valid book id'],
+		});
+	}
+
+	next();
+};
+
+/**
+ * Validate a wishlist book moved to the cart, quantity is optional
+ */
+export const validateWishlistMove = (req, res, next) => {
+	const { quantity } = req.body || {};
+
+	if (
+		quantity !== undefined &&
+		!(Number.isInteger(quantity) && quantity >= 1)
+	) {
+		return res.status(400).json({
+			success: false,
+			error: 'Validation failed',
+			details: ['Quantity must be a whole number of at least 1'],
+		});
+	}
+
+	next();
+};
+
+/**
+ * Validate address data, PUT requests only check the sent fields
+ */
+export const validateAddress = (req, res, next) => {
+	const validation = validateAddressData(req.body, req.method === 'PUT');
+
+	if (!validation.isValid) {
+		return res.status(400).json({
+			success: false,
+			error: 'Validation failed',
+			details: validation.errors,
+		});
+	}
+
+	next();
+};
+
+/**
+ * Validate role data, name is only required when creating
+ */
+export const validateRole = (req, res, next) => {
+	const { name, description, permissions } = req.body || {};
+	const errors = [];
+
+	if (req.method === 'POST' && !name) {
+		errors.push('Role name is required');
+	}
+
+	if (
+		name !== undefined &&
+		!(typeof name === 'string' && /^[a-z0-9_-]{2,30}$/i.test(name))
+	) {
+		errors.push('Role name can only contain letters, numbers, _ and -');
+	}
+
+	if (description !== undefined) {
+		if (typeof description !== 'string') {
+			errors.push('Description must be a string');
+		} else if (description.trim().length > 200) {
+			errors.push('Description cannot exceed 200 characters');
+		}
+	}
+
+	if (permissions !== undefined) {
+		if (!Array.isArray(permissions)) {
+			errors.push('Permissions must be an array');
+		} else {
+			const unknown = permissions.filter(
+				(p) => p !== WILDCARD_PERMISSION && !ALL_PERMISSIONS.includes(p)
+			);
+			if (unknown.length > 0) {
+				errors.push(`Unknown permissions: ${unknown.join(', ')}`);
+			}
+		}
+	}
+
+	if (errors.length > 0) {
+		return res.status(400).json({
+			success: false,
+			error: 'Validation failed',
+			details: errors,
+		});
+	}
+
+	next();
+};
+
+/**
+ * Validate api key data
+ */
+export const validateApiKey = (req, res, next) => {
+	const { name, scopes, expiresAt } = req.body;
+	const errors = [];
+
+	if (!name || !name.trim()) {
+		errors.push('Key name is required');
+	}
+
+	if (!Array.isArray(scopes) || scopes.length === 0) {
+		errors.push('At least one scope is required');
+	} else {
+		const unknown = scopes.filter((scope) => !ALL_PERMISSIONS.includes(scope));
+		if (unknown.length > 0) {
+			errors.push(`Unknown scopes: ${unknown.join(', ')}`);
+		}
+	}
+
+	if (expiresAt !== undefined) {
+		const date = new Date(expiresAt);
+		if (isNaN(date.getTime()) || date <= new Date()) {
+			errors.push('expiresAt must be a date in the future');
+		}
+	}
+
+	if (errors.length > 0) {
+		return res.status(400).json({
+			success: false,
+			error: 'Validation failed',
+			details: errors,
+		});
+	}
+
+	next();
+};
+
 /**
  * Validate MongoDB ObjectId
  */
@@ -0,0 +1,89 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+//every key starts with this so protectRoute can tell keys and jwts apart
+const KEY_PREFIX = 'bsk_';
+
+/**
+ * api keys for server to server integrations
+ * the key acts as the user who created it, limited to its scopes
+ * only the sha256 hash is stored, the raw key is shown once on creation
+ */
+const apiKeySchema = new mongoose.Schema(
+	{
+		name: {
+			type: String,
+			required: [true, 'Key name is required'],
+			trim: true,
+			maxlength: [100, 'Key name cannot exceed 100 characters'],
+		},
+		userId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+			required: true,
+		},
+		keyHash: {
+			type: String,
+			required: true,
+			unique: true,
+		},
+		//first characters of the key, so admins can tell keys apart
+		displayPrefix: {
+			type: String,
+			required: true,
+		},
+		scopes: [{ type: String }],
+		lastUsedAt: Date,
+		expiresAt: Date,
+		revokedAt: Date,
+	},
+	{ timestamps: true }
+);
+
+apiKeySchema.index({ userId: 1 });
+
+// Hash a raw key before storing / looking it up
+apiKeySchema.statics.hashKey = function (rawKey) {
+	return crypto.createHash('sha256').update(rawKey).digest('hex');
+};
+
+// Check if a bearer credential is an api key rather than a jwt
+apiKeySchema.statics.looksLikeKey = function (token) {
+	return token.startsWith(KEY_PREFIX);
+};
+
+// Generate a new raw key, returns { rawKey, keyHash, displayPrefix }
+apiKeySchema.statics.generateKey = function () {
+	const rawKey = `${KEY_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+	return {
+		rawKey,
+		keyHash: this.hashKey(rawKey),
+		displayPrefix: rawKey.slice(0, KEY_PREFIX.length + 8),
+	};
+};
+
+// Method to check if the key can still be used
+apiKeySchema.methods.isActive = function () {
+	return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+// Method to check a single scope
+apiKeySchema.methods.hasScope = function (scope) {
+	return this.scopes.includes(scope);
+};
+
+// Method to record usage, at most one write a minute per key
+apiKeySchema.methods.touch = async function () {
+	const now = new Date();
+	if (this.lastUsedAt && now - this.lastUsedAt < 60 * 1000) return;
+
+	this.lastUsedAt = now;
+	await this.constructor.updateOne(
+		{ _id: this._id },
+		{ $set: { lastUsedAt: now } }
+	);
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+export default ApiKey;
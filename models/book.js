@@ -1,4 +1,62 @@
 import mongoose from 'mongoose';
+import Cart from './cart.js';
+import Order from './order.js';
+import Category, { slugify } from './category.js';
+import VariantIsbn from './variantIsbn.js';
+
+export const BOOK_FORMATS = ['paperback', 'hardcover', 'ebook', 'audiobook'];
+
+//a sellable version of a book, carts and orders point at one of these
+const variantSchema = new mongoose.Schema({
+	sku: {
+		type: String,
+		trim: true,
+		uppercase: true,
+	},
+	//unique over all books through VariantIsbn (see the save hooks below), empty = none
+	isbn: {
+		type: String,
+		trim: true,
+		set: (isbn) => isbn || undefined,
+	},
+	format: {
+		type: String,
+		enum: BOOK_FORMATS,
+		required: [true, 'Format is required'],
+	},
+	edition: {
+		type: String,
+		trim: true,
+		maxlength: [100, 'Edition cannot exceed 100 characters'],
+	},
+	price: {
+		type: Number,
+		required: [true, 'Price is required'],
+		min: [0, 'Price cannot be negative'],
+	},
+	//what can still be sold, stock held for unpaid orders is in reserved
+	stock: {
+		type: Number,
+		default: 0,
+		min: [0, 'Stock cannot be negative'],
+	},
+	reserved: {
+		type: Number,
+		default: 0,
+		min: 0,
+	},
+	//low stock alert once stock drops to this, def to LOW_STOCK_THRESHOLD env
+	lowStockThreshold: {
+		type: Number,
+		min: [0, 'Low stock threshold cannot be negative'],
+	},
+	//shipping weight in grams for the delivery charge, def to the weight of the format
+	//0 = not shipped (digital)
+	weight: {
+		type: Number,
+		min: [0, 'Weight cannot be negative'],
+	},
+});
 
 const bookSchema = new mongoose.Schema(
 	{
@@ -13,6 +71,7 @@ const bookSchema = new mongoose.Schema(
 			required: [true, 'Author is required'],
 			trim: true,
 		},
+		//lowest variant price, kept in sync from the variants
 		price: {
 			type: Number,
 			required: [true, 'Price is required'],
@@ -23,40 +82,345 @@ const bookSchema = new mongoose.Schema(
 			trim: true,
 			maxlength: [2000, 'Description cannot exceed 2000 characters'],
 		},
+		//optional, dashes stripped, used to match rows on catalog import
+		isbn: {
+			type: String,
+			trim: true,
+			unique: true,
+			sparse: true,
+			set: (isbn) => isbn || undefined,
+		},
 		imagePath: {
 			type: String,
 			required: [true, 'Image path is required'],
 		},
+		//storage key when the cover was uploaded here, empty for covers hosted elsewhere
+		imageKey: String,
+		//total stock of all variants, kept in sync from the variants
 		stock: {
 			type: Number,
 			default: 0,
 			min: [0, 'Stock cannot be negative'],
 		},
-		category: {
-			type: String,
-			enum: [
-				'Fiction',
-				'Non-Fiction',
-				'Science',
-				'History',
-				'Biography',
-				'Other',
-			],
-			default: 'Other',
-		},
+		variants: [variantSchema],
+		categories: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category' }],
+		//average of the published reviews, kept in sync by Review.syncBookRating
 		rating: {
 			type: Number,
 			default: 0,
 			min: 0,
 			max: 5,
 		},
+		reviewCount: {
+			type: Number,
+			default: 0,
+			min: 0,
+		},
+		//archived books are hidden from the catalog and carts, orders still point at them
+		archivedAt: {
+			type: Date,
+			default: null,
+		},
+		archivedBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+		},
 	},
 	{ timestamps: true }
 );
 
 // Index for faster searches
 bookSchema.index({ title: 'text', author: 'text' });
-bookSchema.index({ category: 1 });
+bookSchema.index({ categories: 1 });
+//indexes for the catalog listing filters / sorts
+bookSchema.index({ categories: 1, price: 1 });
+bookSchema.index({ price: 1 });
+bookSchema.index({ rating: -1 });
+bookSchema.index({ createdAt: -1 });
+//variant ids / skus / isbns are looked up from carts, orders and imports
+bookSchema.index({ 'variants._id': 1 });
+bookSchema.index(
+	{ 'variants.sku': 1 },
+	{
+		unique: true,
+		partialFilterExpression: { 'variants.sku': { $exists: true } },
+	}
+);
+//not unique, a multikey index would index variants without an isbn as null and make those collide
+bookSchema.index({ 'variants.isbn': 1 });
+
+//every book has at least one variant, a book saved without any gets one from its own price / stock / isbn
+//price and stock of the book are then the summary of its variants
+bookSchema.pre('validate', function () {
+	if (this.variants.length === 0 && this.price !== undefined) {
+		this.variants.push({
+			format: BOOK_FORMATS[0],
+			price: this.price,
+			stock: this.stock,
+			isbn: this.isbn,
+		});
+	}
+
+	for (const variant of this.variants) {
+		if (!variant.sku) {
+			variant.sku = `BK-${this._id.toString().slice(-6)}-${variant._id.toString().slice(-6)}`;
+		}
+	}
+
+	if (this.variants.length > 0) {
+		this.price = Math.min(...this.variants.map((variant) => variant.price));
+		this.stock = this.variants.reduce(
+			(total, variant) => total + (variant.stock || 0),
+			0
+		);
+	}
+});
+
+//variant isbns are claimed in VariantIsbn before the book is written, a taken one fails with its duplicate key error
+bookSchema.pre('save', async function () {
+	this.$locals.isbnClaims = undefined;
+	if (!this.isNew && !this.isModified('variants')) return;
+
+	this.$locals.isbnClaims = await VariantIsbn.claim(this);
+});
+
+//isbns the variants dont use anymore are free again once the book is saved
+bookSchema.post('save', async function () {
+	if (!this.$locals.isbnClaims) return;
+
+	this.$locals.isbnClaims = undefined;
+	await VariantIsbn.releaseUnused(this);
+});
+
+//the book wasnt saved, neither are its new claims
+bookSchema.post('save', function (error, doc, next) {
+	const claims = this.$locals.isbnClaims || [];
+	this.$locals.isbnClaims = undefined;
+
+	Promise.resolve(VariantIsbn.unclaim(claims)).then(
+		() => next(error),
+		() => next(error)
+	);
+});
+
+// Method to point the book at another cover
+// returns the key of an uploaded cover that is no longer used, remove it once the book is saved
+bookSchema.methods.setCover = function (imagePath, imageKey) {
+	if (imagePath === this.imagePath) return undefined;
+
+	const replacedKey = this.imageKey;
+	this.imagePath = imagePath;
+	this.imageKey = imageKey;
+	return replacedKey;
+};
+
+// Method to take the book out of the catalog, it is kept for the orders that reference it
+bookSchema.methods.archive = async function (userId) {
+	this.archivedAt = new Date();
+	this.archivedBy = userId;
+	await this.save();
+	await Cart.removeBook(this._id);
+};
+
+// Method to put an archived book back in the catalog
+bookSchema.methods.restore = function () {
+	this.archivedAt = null;
+	this.archivedBy = undefined;
+	return this.save();
+};
+
+// Method for the variant a plain "add this book" means, the first one in stock
+bookSchema.methods.getDefaultVariant = function () {
+	return this.variants.find((variant) => variant.stock > 0) || this.variants[0];
+};
+
+// Method to write book level price / stock / isbn, they belong to the variant
+// only possible while the book has a single variant, returns false otherwise
+bookSchema.methods.setSingleVariantFields = function (fields) {
+	const keys = ['price', 'stock', 'isbn'].filter(
+		(key) => fields[key] !== undefined
+	);
+	if (keys.length === 0) return true;
+	if (this.variants.length > 1) return false;
+
+	const [variant] = this.variants;
+	for (const key of keys) {
+		if (variant) variant[key] = fields[key];
+		//isbn also stays on the book, imports match on it
+		if (!variant || key === 'isbn') this[key] = fields[key];
+	}
+	return true;
+};
+
+/**
+ * change a variants stock and the book total in one atomic update
+ * stock is never taken below 0
+ * @param {ObjectId} bookId = book of the variant
+ * @param {ObjectId} variantId = variant to change
+ * @param {number} delta = negative to take stock out
+ * @returns {Promise<Document|null>} the updated book, null if the variant is gone or there wasnt enough stock
+ */
+bookSchema.statics.adjustVariantStock = function (bookId, variantId, delta) {
+	return this.findOneAndUpdate(
+		{
+			_id: bookId,
+			variants: {
+				$elemMatch: { _id: variantId, stock: { $gte: Math.max(-delta, 0) } },
+			},
+		},
+		{ $inc: { 'variants.$.stock': delta, stock: delta } },
+		{ new: true }
+	);
+};
+
+/**
+ * hold stock of a variant for an order, only if enough is left
+ * @returns {Promise<Document|null>} the updated book, null if there wasnt enough stock
+ */
+bookSchema.statics.reserveVariantStock = function (
+	bookId,
+	variantId,
+	quantity
+) {
+	return this.findOneAndUpdate(
+		{
+			_id: bookId,
+			archivedAt: null,
+			variants: { $elemMatch: { _id: variantId, stock: { $gte: quantity } } },
+		},
+		{
+			$inc: {
+				'variants.$.stock': -quantity,
+				'variants.$.reserved': quantity,
+				stock: -quantity,
+			},
+		},
+		{ new: true }
+	);
+};
+
+/**
+ * put held stock back on sale, the order was not paid
+ * @returns {Promise<Document|null>} the updated book
+ */
+bookSchema.statics.releaseVariantStock = function (
+	bookId,
+	variantId,
+	quantity
+) {
+	return this.findOneAndUpdate(
+		{ _id: bookId, 'variants._id': variantId },
+		{
+			$inc: {
+				'variants.$.stock': quantity,
+				'variants.$.reserved': -quantity,
+				stock: quantity,
+			},
+		},
+		{ new: true }
+	);
+};
+
+/**
+ * held stock was paid for, it is sold and stops being reserved
+ * @returns {Promise<Document|null>} the updated book
+ */
+bookSchema.statics.commitVariantStock = function (bookId, variantId, quantity) {
+	return this.findOneAndUpdate(
+		{ _id: bookId, 'variants._id': variantId },
+		{ $inc: { 'variants.$.reserved': -quantity } },
+		{ new: true }
+	);
+};
+
+/**
+ * give books from before variants existed their single default variant
+ * cart and order items of those books are pointed at it, runs on startup
+ */
+bookSchema.statics.migrateLegacyVariants = async function () {
+	const books = await this.find({ 'variants.0': { $exists: false } });
+
+	for (const book of books) {
+		await book.save();
+
+		const variantId = book.variants[0]._id;
+		const update = { $set: { 'items.$[item].variantId': variantId } };
+		const options = {
+			arrayFilters: [
+				{ 'item.bookId': book._id, 'item.variantId': { $exists: false } },
+			],
+		};
+		await Cart.updateMany({ 'items.bookId': book._id }, update, options);
+		await Order.updateMany({ 'items.bookId': book._id }, update, options);
+	}
+};
+
+/**
+ * the variants.isbn index used to be unique, which failed for books mixing variants with and without an isbn
+ * swap it for the plain one, drop empty isbns and claim the isbns of books saved before VariantIsbn, runs on startup
+ */
+bookSchema.statics.migrateVariantIsbnIndex = async function () {
+	//raw collection, the isbn setter would turn the '' in the filters into undefined
+	await this.collection.updateMany(
+		{ 'variants.isbn': '' },
+		{ $unset: { 'variants.$[variant].isbn': '' } },
+		{ arrayFilters: [{ 'variant.isbn': '' }] }
+	);
+	await this.collection.updateMany({ isbn: '' }, { $unset: { isbn: '' } });
+
+	const indexes = await this.collection.indexes().catch(() => []);
+	const legacy = indexes.find(
+		(index) => index.name === 'variants.isbn_1' && index.unique
+	);
+	if (legacy) {
+		await this.collection.dropIndex('variants.isbn_1');
+		await this.createIndexes();
+	}
+
+	const books = this.find({ 'variants.isbn': { $exists: true } }).select(
+		'variants._id variants.isbn'
+	);
+	for await (const book of books) {
+		try {
+			await VariantIsbn.claim(book);
+		} catch (error) {
+			if (error.code !== 11000) throw error;
+			console.warn(
+				`Book ${book._id} has an ISBN another book already uses (${error.keyValue?.isbn}), fix it by hand`
+			);
+		}
+	}
+};
+
+/**
+ * move books from the old single category string to category references
+ * a name that has no category yet gets one, runs on startup after Category.seedDefaults
+ */
+bookSchema.statics.migrateLegacyCategories = async function () {
+	//the old field is not in the schema anymore, so go through the raw collection
+	const names = await this.collection.distinct('category', {
+		category: { $type: 'string' },
+	});
+
+	for (const name of names) {
+		const slug = slugify(name);
+		const category = slug
+			? await Category.findOneAndUpdate(
+					{ slug },
+					{ $setOnInsert: { name, slug, parent: null, ancestors: [] } },
+					{ upsert: true, new: true }
+				)
+			: null;
+
+		await this.collection.updateMany(
+			{ category: name },
+			{
+				$set: { categories: category ? [category._id] : [] },
+				$unset: { category: '' },
+			}
+		);
+	}
+};
 
 const Book = mongoose.model('Book', bookSchema);
 
@@ -0,0 +1,80 @@
+import mongoose from 'mongoose';
+
+//fields that change on their own or come from elsewhere, not worth a revision
+const UNTRACKED_FIELDS = [
+	'_id',
+	'__v',
+	'createdAt',
+	'updatedAt',
+	'rating',
+	'reviewCount',
+];
+
+/**
+ * change log of a book, one entry per update / archive / restore
+ * each entry lists the fields that changed with their old and new value
+ */
+const bookRevisionSchema = new mongoose.Schema(
+	{
+		bookId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Book',
+			required: true,
+		},
+		action: {
+			type: String,
+			enum: ['update', 'archive', 'restore'],
+			default: 'update',
+		},
+		changes: [
+			{
+				_id: false,
+				field: { type: String, required: true },
+				from: mongoose.Schema.Types.Mixed,
+				to: mongoose.Schema.Types.Mixed,
+			},
+		],
+		changedBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+		},
+		//set when the change came in through an api key
+		apiKeyId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'ApiKey',
+		},
+	},
+	{ timestamps: { createdAt: true, updatedAt: false } }
+);
+
+bookRevisionSchema.index({ bookId: 1, createdAt: -1 });
+
+/**
+ * log what changed on a book, nothing is logged if nothing changed
+ * @param {object} before = book.toObject() taken before the change
+ * @param {Document} book = the saved book
+ * @param {object} meta = { action, changedBy, apiKeyId }
+ * @returns {Promise<Document|null>} the revision, null if there were no changes
+ */
+bookRevisionSchema.statics.record = async function (before, book, meta = {}) {
+	const after = book.toObject({ depopulate: true });
+
+	const changes = Object.keys(book.schema.paths)
+		.map((path) => path.split('.')[0])
+		.filter(
+			(field, i, fields) =>
+				fields.indexOf(field) === i && !UNTRACKED_FIELDS.includes(field)
+		)
+		.filter(
+			(field) => JSON.stringify(before[field]) !== JSON.stringify(after[field])
+		)
+		.map((field) => ({ field, from: before[field], to: after[field] }));
+
+	if (changes.length === 0) return null;
+
+	return this.create({ bookId: book._id, changes, ...meta });
+};
+
+const BookRevision = mongoose.model('BookRevision', bookRevisionSchema);
+
+export default BookRevision;
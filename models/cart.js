@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { CART_WARNINGS } from '../constants/messages.js';
 
 const cartItemSchema = new mongoose.Schema({
 	bookId: {
@@ -6,6 +7,10 @@ const cartItemSchema = new mongoose.Schema({
 		ref: 'Book',
 		required: true,
 	},
+	//variant of the book, set on every new item, older items get it on startup
+	variantId: {
+		type: mongoose.Schema.Types.ObjectId,
+	},
 	quantity: {
 		type: Number,
 		required: true,
@@ -18,15 +23,41 @@ const cartItemSchema = new mongoose.Schema({
 	},
 });
 
+//guest carts are dropped after this many days without a change
+export const getGuestCartDays = () =>
+	parseInt(process.env.GUEST_CART_DAYS) || 30;
+
+//a cart belongs to a user or, before login, to a guest (id from the signed guest cart cookie)
 const cartSchema = new mongoose.Schema({
 	userId: {
 		type: mongoose.Schema.Types.ObjectId,
 		ref: 'User',
-		required: true,
-		unique: true,
+	},
+	guestId: {
+		type: String,
 	},
 	items: [cartItemSchema],
+	//sum of the items, before any discount
 	total: { type: Number, default: 0 },
+	//applied promotion code, its discount is priced live (utils/promotions.js)
+	promotionCode: String,
+	//guest carts only, removed by the ttl index
+	expiresAt: Date,
+});
+
+cartSchema.index({ userId: 1 }, { unique: true, sparse: true });
+cartSchema.index({ guestId: 1 }, { unique: true, sparse: true });
+cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+cartSchema.pre('validate', function () {
+	if (!this.userId && !this.guestId) {
+		this.invalidate('userId', 'A cart needs a user or a guest');
+	}
+	if (this.guestId) {
+		this.expiresAt = new Date(
+			Date.now() + getGuestCartDays() * 24 * 60 * 60 * 1000
+		);
+	}
 });
 
 //total calculation method
@@ -38,6 +69,81 @@ cartSchema.methods.calculateTotal = function () {
 	return this.total;
 };
 
+// Method to check every item against the live book price / stock, items.bookId must be populated
+// returns the warnings, with fix = true the items are changed to match (the cart is not saved)
+cartSchema.methods.revalidate = function (fix = false) {
+	const warnings = [];
+
+	const warn = (item, code, title, details = {}) =>
+		warnings.push({
+			code,
+			variantId: item.variantId,
+			bookId: item.populated('bookId') || item.bookId,
+			title,
+			...details,
+			message: CART_WARNINGS[code](title, ...Object.values(details)),
+		});
+
+	for (const item of [...this.items]) {
+		const book = item.bookId;
+		//deleted / archived books and removed or sold out variants
+		const variant =
+			book && !book.archivedAt && book.variants?.id(item.variantId);
+		const title = book?.title || 'This book';
+
+		if (!variant || variant.stock === 0) {
+			warn(item, 'ITEM_UNAVAILABLE', title);
+			if (fix) this.items.pull(item._id);
+			continue;
+		}
+
+		if (variant.stock < item.quantity) {
+			warn(item, 'QUANTITY_REDUCED', title, { available: variant.stock });
+			if (fix) item.quantity = variant.stock;
+		}
+
+		if (variant.price !== item.price) {
+			warn(item, 'PRICE_CHANGED', title, {
+				oldPrice: item.price,
+				newPrice: variant.price,
+			});
+			if (fix) item.price = variant.price;
+		}
+	}
+
+	if (fix) this.calculateTotal();
+	return warnings;
+};
+
+/**
+ * take a book out of every cart it is in, totals are recalculated
+ * @param {ObjectId} bookId = book to remove
+ */
+cartSchema.statics.removeBook = async function (bookId) {
+	const carts = await this.find({ 'items.bookId': bookId });
+
+	for (const cart of carts) {
+		cart.items = cart.items.filter((item) => !item.bookId.equals(bookId));
+		cart.calculateTotal();
+		await cart.save();
+	}
+};
+
+/**
+ * the first userId index was unique but not sparse, so only one cart without a user could exist
+ * swap it for the sparse one, runs on startup
+ */
+cartSchema.statics.migrateGuestCartIndex = async function () {
+	const indexes = await this.collection.indexes().catch(() => []);
+	const legacy = indexes.find(
+		(index) => index.name === 'userId_1' && !index.sparse
+	);
+	if (!legacy) return;
+
+	await this.collection.dropIndex('userId_1');
+	await this.createIndexes();
+};
+
 const Cart = mongoose.model('Cart', cartSchema);
 
 export default Cart;
@@ -0,0 +1,170 @@
+import mongoose from 'mongoose';
+
+//categories a fresh install starts with, the old hardcoded list
+export const DEFAULT_CATEGORIES = [
+	'Fiction',
+	'Non-Fiction',
+	'Science',
+	'History',
+	'Biography',
+	'Other',
+];
+
+export const CATEGORY_SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+/**
+ * "Non-Fiction & Essays" => "non-fiction-essays"
+ */
+export const slugify = (text) =>
+	`${text}`
+		.normalize('NFKD')
+		.replace(/[\u0300-\u036f]/g, '')
+		.toLowerCase()
+		.replace(/[^a-z0-9]+/g, '-')
+		.replace(/^-+|-+$/g, '');
+
+/**
+ * catalog categories, nested through parent
+ * ancestors holds the whole path (root first) so "this category and everything under it"
+ * is a single query on ancestors
+ */
+const categorySchema = new mongoose.Schema(
+	{
+		name: {
+			type: String,
+			required: [true, 'Category name is required'],
+			trim: true,
+			maxlength: [50, 'Category name cannot exceed 50 characters'],
+		},
+		slug: {
+			type: String,
+			required: [true, 'Slug is required'],
+			unique: true,
+			lowercase: true,
+			trim: true,
+			match: [
+				CATEGORY_SLUG_PATTERN,
+				'Slug can only contain lowercase letters, numbers and -',
+			],
+		},
+		description: {
+			type: String,
+			trim: true,
+			maxlength: [200, 'Description cannot exceed 200 characters'],
+		},
+		parent: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Category',
+			default: null,
+		},
+		ancestors: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category' }],
+	},
+	{ timestamps: true }
+);
+
+categorySchema.index({ parent: 1, name: 1 });
+categorySchema.index({ ancestors: 1 });
+
+//slug from the name when none was given
+categorySchema.pre('validate', function () {
+	if (!this.slug && this.name) {
+		this.slug = slugify(this.name);
+	}
+});
+
+// Method to move the category under another one, null for a top level category
+// returns false if the new parent is the category itself or one of its children
+categorySchema.methods.setParent = function (parent) {
+	if (
+		parent &&
+		(parent._id.equals(this._id) ||
+			parent.ancestors.some((id) => id.equals(this._id)))
+	) {
+		return false;
+	}
+
+	this.parent = parent ? parent._id : null;
+	this.ancestors = parent ? [...parent.ancestors, parent._id] : [];
+	return true;
+};
+
+// Method to fix the ancestors of everything under the category after it was moved
+categorySchema.methods.syncDescendants = async function () {
+	const descendants = await this.constructor.find({ ancestors: this._id });
+
+	for (const descendant of descendants) {
+		const index = descendant.ancestors.findIndex((id) => id.equals(this._id));
+		descendant.ancestors = [
+			...this.ancestors,
+			this._id,
+			...descendant.ancestors.slice(index + 1),
+		];
+		await descendant.save();
+	}
+};
+
+/**
+ * turn category ids or slugs (request bodies, query params, import rows) into ids
+ * @param {Array} values = ids and / or slugs
+ * @returns {Promise<object>} { ids, unknown }, unknown = values that matched nothing
+ */
+categorySchema.statics.resolve = async function (values = []) {
+	const keys = values.map((value) => `${value}`.trim().toLowerCase());
+	const ids = keys.filter((key) => /^[0-9a-f]{24}$/.test(key));
+
+	const categories = await this.find({
+		$or: [{ _id: { $in: ids } }, { slug: { $in: keys } }],
+	}).select('slug');
+
+	const byKey = new Map();
+	for (const category of categories) {
+		byKey.set(category._id.toString(), category._id);
+		byKey.set(category.slug, category._id);
+	}
+
+	const unknown = values.filter((_, i) => !byKey.has(keys[i]));
+	const resolved = keys
+		.filter((key) => byKey.has(key))
+		.map((key) => byKey.get(key));
+
+	return {
+		ids: [...new Map(resolved.map((id) => [id.toString(), id])).values()],
+		unknown,
+	};
+};
+
+/**
+ * the given categories and every category nested under them
+ * @param {Array} ids = category ids
+ * @returns {Promise<Array>} ids
+ */
+categorySchema.statics.findDescendantIds = async function (ids) {
+	const descendants = await this.find({ ancestors: { $in: ids } }).select(
+		'_id'
+	);
+	return [...ids, ...descendants.map((category) => category._id)];
+};
+
+// Create the default categories on a fresh install, after that they are managed by admins
+categorySchema.statics.seedDefaults = async function () {
+	if ((await this.estimatedDocumentCount()) > 0) return;
+
+	for (const name of DEFAULT_CATEGORIES) {
+		await this.updateOne(
+			{ slug: slugify(name) },
+			{
+				$setOnInsert: {
+					name,
+					slug: slugify(name),
+					parent: null,
+					ancestors: [],
+				},
+			},
+			{ upsert: true }
+		);
+	}
+};
+
+const Category = mongoose.model('Category', categorySchema);
+
+export default Category;
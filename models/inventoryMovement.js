@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+
+export const INVENTORY_MOVEMENT_TYPES = [
+	'sale',
+	'restock',
+	'adjustment',
+	'return',
+];
+
+/**
+ * stock ledger, one entry per change of a variants stock on hand
+ * quantity is signed (negative took stock out), balance is the stock on hand after it
+ * holding stock for an unpaid order is not a movement, the copies are still in the warehouse
+ */
+const inventoryMovementSchema = new mongoose.Schema(
+	{
+		bookId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Book',
+			required: true,
+		},
+		variantId: {
+			type: mongoose.Schema.Types.ObjectId,
+			required: true,
+		},
+		sku: String,
+		type: {
+			type: String,
+			enum: INVENTORY_MOVEMENT_TYPES,
+			required: true,
+		},
+		quantity: {
+			type: Number,
+			required: true,
+		},
+		balance: Number,
+		reason: {
+			type: String,
+			trim: true,
+			maxlength: [200, 'Reason cannot exceed 200 characters'],
+		},
+		//the order a sale or return belongs to
+		orderId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Order',
+		},
+		//who did it, none for sales made by the payment flow
+		createdBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+		},
+		apiKeyId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'ApiKey',
+		},
+	},
+	{ timestamps: { createdAt: true, updatedAt: false } }
+);
+
+inventoryMovementSchema.index({ bookId: 1, createdAt: -1 });
+inventoryMovementSchema.index({ variantId: 1, createdAt: -1 });
+inventoryMovementSchema.index({ type: 1, createdAt: -1 });
+
+const InventoryMovement = mongoose.model(
+	'InventoryMovement',
+	inventoryMovementSchema
+);
+
+export default InventoryMovement;
@@ -0,0 +1,152 @@
+import mongoose from 'mongoose';
+
+/**
+ * failed login counters, one document per account (email) and per ip
+ * kept in mongo so every server instance sees the same counts
+ */
+const loginAttemptSchema = new mongoose.Schema({
+	key: {
+		type: String,
+		required: true,
+		unique: true, //'account:<email>' or 'ip:<ip>'
+	},
+	failedCount: {
+		type: Number,
+		default: 0,
+	},
+	lastFailedAt: Date,
+	lockedUntil: Date,
+	expiresAt: {
+		type: Date,
+		required: true,
+	},
+});
+
+//mongo removes counters nobody touched for a while
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+//limits, all configurable through env
+export const getLoginLimits = () => ({
+	maxAccountAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5,
+	maxIpAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS_PER_IP) || 20,
+	windowMinutes: parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES) || 15,
+	lockMinutes: parseInt(process.env.LOGIN_LOCK_MINUTES) || 15,
+	maxDelaySeconds: parseInt(process.env.LOGIN_MAX_DELAY_SECONDS) || 30,
+});
+
+//progressive delay, 2s after the 2nd failure, then 4s, 8s... capped
+const getDelaySeconds = (failedCount, maxDelaySeconds) => {
+	if (failedCount < 2) return 0;
+	return Math.min(2 ** (failedCount - 1), maxDelaySeconds);
+};
+
+/**
+ * check if any of the keys is locked or still inside its delay
+ * @param {string[]} keys = attempt keys to check
+ * @returns {Promise<object|null>} { type: 'locked' | 'delayed', retryAfter } or null
+ */
+loginAttemptSchema.statics.getBlock = async function (keys) {
+	const { maxDelaySeconds } = getLoginLimits();
+	const attempts = await this.find({ key: { $in: keys } });
+	const now = Date.now();
+
+	let block = null;
+	for (const attempt of attempts) {
+		if (attempt.lockedUntil && attempt.lockedUntil.getTime() > now) {
+			const retryAfter = Math.ceil(
+				(attempt.lockedUntil.getTime() - now) / 1000
+			);
+			//a lock wins over a delay, the longest lock wins over a shorter one
+			if (block?.type !== 'locked' || retryAfter > block.retryAfter) {
+				block = { type: 'locked', retryAfter };
+			}
+			continue;
+		}
+
+		const delay = getDelaySeconds(attempt.failedCount, maxDelaySeconds);
+		const nextAllowedAt = attempt.lastFailedAt?.getTime() + delay * 1000;
+		if (delay > 0 && nextAllowedAt > now && block?.type !== 'locked') {
+			const retryAfter = Math.ceil((nextAllowedAt - now) / 1000);
+			if (!block || retryAfter > block.retryAfter) {
+				block = { type: 'delayed', retryAfter };
+			}
+		}
+	}
+
+	return block;
+};
+
+/**
+ * count a failed attempt atomically, locks the key once it hits the limit
+ * failures older than the window dont count anymore
+ * @param {string} key = attempt key
+ * @param {number} maxAttempts = failures before the lock
+ * @returns {Promise<object>} { attempt, lockedNow }
+ */
+loginAttemptSchema.statics.recordFailure = async function (key, maxAttempts) {
+	const { windowMinutes, lockMinutes } = getLoginLimits();
+	const now = new Date();
+	const windowStart = new Date(now.getTime() - windowMinutes * 60 * 1000);
+	const lockUntil = new Date(now.getTime() + lockMinutes * 60 * 1000);
+
+	const update = [
+		{
+			$set: {
+				failedCount: {
+					$cond: [
+						{ $lt: ['$lastFailedAt', windowStart] },
+						1,
+						{ $add: [{ $ifNull: ['$failedCount', 0] }, 1] },
+					],
+				},
+				lastFailedAt: now,
+				expiresAt: new Date(
+					now.getTime() + (windowMinutes + lockMinutes) * 60 * 1000
+				),
+			},
+		},
+		{
+			$set: {
+				lockedUntil: {
+					$cond: [
+						{ $gte: ['$failedCount', maxAttempts] },
+						lockUntil,
+						'$lockedUntil',
+					],
+				},
+			},
+		},
+	];
+
+	//two first failures of a new key can both try the insert, the loser retries and updates the document the other made
+	const options = { upsert: true, new: true };
+	let attempt;
+	try {
+		attempt = await this.findOneAndUpdate({ key }, update, options);
+	} catch (error) {
+		if (error.code !== 11000) throw error;
+		attempt = await this.findOneAndUpdate({ key }, update, options);
+	}
+
+	return {
+		attempt,
+		lockedNow: attempt.lockedUntil?.getTime() === lockUntil.getTime(),
+	};
+};
+
+/**
+ * forget the failures of a key, after a good login or an admin unlock
+ * @param {string} key = attempt key
+ */
+loginAttemptSchema.statics.clear = function (key) {
+	return this.deleteOne({ key });
+};
+
+export const accountAttemptKey = (email) =>
+	`account:${`${email}`.toLowerCase().trim()}`;
+
+export const ipAttemptKey = (ip) => `ip:${ip}`;
+
+const LoginAttempt = mongoose.model('LoginAttempt', loginAttemptSchema);
+
+export default LoginAttempt;
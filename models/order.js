@@ -1,11 +1,69 @@
 import mongoose from 'mongoose';
 
+export const ORDER_STATUSES = [
+	'pending',
+	'paid',
+	'failed',
+	'cancelled',
+	'processing',
+	'shipped',
+	'delivered',
+	'refunded',
+	'returned',
+];
+
+/**
+ * the statuses an order can move to from each status, anything else is rejected by utils/orderStatus.js
+ * a payment that comes in after the hold ran out still counts, so cancelled can become paid
+ * (the stock is taken again or the order is backordered, see convertReservation)
+ * returned / refunded put stock and the promotion use back, see takeBackOrder
+ */
+export const ORDER_TRANSITIONS = {
+	pending: ['paid', 'failed', 'cancelled'],
+	failed: ['pending', 'paid', 'cancelled'],
+	cancelled: ['paid'],
+	paid: ['processing', 'refunded'],
+	processing: ['shipped', 'refunded'],
+	shipped: ['delivered', 'returned'],
+	delivered: ['returned', 'refunded'],
+	returned: ['refunded'],
+	refunded: [],
+};
+
+//paid for and not given back
+export const PAID_ORDER_STATUSES = [
+	'paid',
+	'processing',
+	'shipped',
+	'delivered',
+];
+
+//statuses staff set by hand, the others follow the payment
+export const STAFF_ORDER_STATUSES = [
+	'processing',
+	'shipped',
+	'delivered',
+	'returned',
+	'refunded',
+	'cancelled',
+];
+
+//who changed the status, payment = esewa, system = the reservation sweeper
+export const ORDER_ACTORS = ['customer', 'staff', 'payment', 'system'];
+
 const orderItemSchema = new mongoose.Schema({
 	bookId: {
 		type: mongoose.Schema.Types.ObjectId,
 		ref: 'Book',
 		required: true, //book must exist
 	},
+	//which variant was bought, with a copy of what it was at checkout
+	variantId: {
+		type: mongoose.Schema.Types.ObjectId,
+	},
+	sku: String,
+	format: String,
+	weight: Number, //grams, 0 = not shipped
 	quantity: {
 		type: Number,
 		required: true,
@@ -18,6 +76,72 @@ const orderItemSchema = new mongoose.Schema({
 	},
 });
 
+//promotion used for the order, amount is what it took off, items how that splits over the order items
+const discountSchema = new mongoose.Schema(
+	{
+		promotionId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Promotion',
+		},
+		code: String,
+		type: String,
+		amount: { type: Number, default: 0 },
+		freeShipping: { type: Boolean, default: false },
+		items: [
+			{
+				_id: false,
+				variantId: mongoose.Schema.Types.ObjectId,
+				amount: Number,
+			},
+		],
+	},
+	{ _id: false }
+);
+
+//one status change, newest last
+const statusChangeSchema = new mongoose.Schema(
+	{
+		status: { type: String, enum: ORDER_STATUSES, required: true },
+		actor: { type: String, enum: ORDER_ACTORS, required: true },
+		userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+		apiKeyId: { type: mongoose.Schema.Types.ObjectId, ref: 'ApiKey' },
+		note: {
+			type: String,
+			trim: true,
+			maxlength: [500, 'Note cannot exceed 500 characters'],
+		},
+		at: { type: Date, default: Date.now },
+	},
+	{ _id: false }
+);
+
+//what was charged on top of the items, see utils/pricing.js
+const chargesSchema = new mongoose.Schema(
+	{
+		taxRate: Number, //percent
+		tax: { type: Number, default: 0 },
+		delivery: { type: Number, default: 0 },
+		deliveryZone: String, //null when nothing was shipped
+		weight: Number, //grams shipped
+		service: { type: Number, default: 0 },
+	},
+	{ _id: false }
+);
+
+//copy of the users address at checkout, later address book edits dont touch it
+const shippingAddressSchema = new mongoose.Schema(
+	{
+		fullName: { type: String, required: true, immutable: true },
+		phoneNumber: { type: String, required: true, immutable: true },
+		address: { type: String, required: true, immutable: true },
+		city: { type: String, required: true, immutable: true },
+		state: { type: String, immutable: true },
+		zipCode: { type: String, immutable: true },
+		country: { type: String, required: true, immutable: true },
+	},
+	{ _id: false }
+);
+
 const orderSchema = new mongoose.Schema(
 	{
 		userId: {
@@ -26,17 +150,36 @@ const orderSchema = new mongoose.Schema(
 			required: true, //order must belong to a suer
 		},
 		items: [orderItemSchema],
+		//items before the discount, older orders dont have it
+		subtotal: Number,
+		discount: discountSchema,
+		//tax, delivery and service charge, older orders dont have them
+		charges: chargesSchema,
+		//what is charged, items after the discount + charges
 		totalAmount: {
 			type: Number,
 			required: true,
 			min: [0, 'Total amount can not be negative'],
 		},
+		//only changed through utils/orderStatus.js
 		status: {
 			type: String,
-			enum: ['pending', 'paid', 'failed', 'cancelled'],
+			enum: ORDER_STATUSES,
 			default: 'pending',
 		},
+		//older orders only have the changes made since it was added
+		statusHistory: [statusChangeSchema],
+		shippingAddress: shippingAddressSchema, //required by createOrder, older orders dont have one
 		paymentRefId: { type: String }, //for esewa ref number
+		//stock held for the order until it is paid or the hold runs out, see utils/reservations.js
+		//older orders dont have one
+		reservation: {
+			status: {
+				type: String,
+				enum: ['held', 'converted', 'released', 'backordered'],
+			},
+			expiresAt: Date,
+		},
 	},
 	{ timestamps: true }
 );
@@ -44,6 +187,12 @@ const orderSchema = new mongoose.Schema(
 //index faster searching,
 orderSchema.index({ userId: 1 });
 orderSchema.index({ status: 1 });
+orderSchema.index({ 'reservation.status': 1, 'reservation.expiresAt': 1 });
+//one unpaid order holding stock per user, see createOrder
+orderSchema.index(
+	{ userId: 1, 'reservation.status': 1 },
+	{ unique: true, partialFilterExpression: { 'reservation.status': 'held' } }
+);
 
 const Order = mongoose.model('Order', orderSchema);
 
@@ -0,0 +1,146 @@
+import mongoose from 'mongoose';
+import PromotionUse from './promotionUse.js';
+
+export const PROMOTION_TYPES = [
+	'percentage',
+	'fixed',
+	'buy_x_get_y',
+	'free_shipping',
+];
+
+export const PROMOTION_CODE_PATTERN = /^[A-Z0-9_-]{3,30}$/;
+
+/**
+ * discount codes customers apply to their cart
+ * percentage / fixed take money off the targeted items, buy_x_get_y makes the cheapest copies free,
+ * free_shipping waives the delivery charge
+ */
+const promotionSchema = new mongoose.Schema(
+	{
+		code: {
+			type: String,
+			required: [true, 'Code is required'],
+			unique: true,
+			uppercase: true,
+			trim: true,
+			match: [
+				PROMOTION_CODE_PATTERN,
+				'Code can only contain letters, numbers, _ and - (3-30)',
+			],
+		},
+		description: {
+			type: String,
+			trim: true,
+			maxlength: [200, 'Description cannot exceed 200 characters'],
+		},
+		type: {
+			type: String,
+			enum: PROMOTION_TYPES,
+			required: [true, 'Type is required'],
+		},
+		//percent off for percentage, amount off for fixed
+		value: {
+			type: Number,
+			min: [0, 'Value cannot be negative'],
+		},
+		//buy_x_get_y: out of every buyQuantity + getQuantity copies, the getQuantity cheapest are free
+		buyQuantity: { type: Number, min: 1 },
+		getQuantity: { type: Number, min: 1 },
+		//only these books / categories (subcategories included) count, both empty = the whole cart
+		books: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Book' }],
+		categories: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category' }],
+		//cart subtotal needed before the code applies
+		minSpend: {
+			type: Number,
+			default: 0,
+			min: [0, 'Minimum spend cannot be negative'],
+		},
+		//null = no limit
+		usageLimit: { type: Number, default: null, min: 1 },
+		perUserLimit: { type: Number, default: null, min: 1 },
+		//orders placed with the code, unpaid orders that get released give theirs back
+		usedCount: { type: Number, default: 0, min: 0 },
+		startsAt: Date,
+		endsAt: Date,
+		isActive: { type: Boolean, default: true },
+	},
+	{ timestamps: true }
+);
+
+//rules that depend on the type
+promotionSchema.pre('validate', function () {
+	if (this.type === 'percentage' && !(this.value > 0 && this.value <= 100)) {
+		this.invalidate('value', 'Percentage must be more than 0 and at most 100');
+	}
+	if (this.type === 'fixed' && !(this.value > 0)) {
+		this.invalidate('value', 'Fixed discount must be more than 0');
+	}
+	if (
+		this.type === 'buy_x_get_y' &&
+		!(this.buyQuantity >= 1 && this.getQuantity >= 1)
+	) {
+		this.invalidate('buyQuantity', 'buyQuantity and getQuantity are required');
+	}
+	if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+		this.invalidate('endsAt', 'endsAt must be after startsAt');
+	}
+});
+
+// Method to check the validity window
+promotionSchema.methods.isRunning = function (now = new Date()) {
+	return (
+		(!this.startsAt || this.startsAt <= now) &&
+		(!this.endsAt || this.endsAt > now)
+	);
+};
+
+/**
+ * codes are matched case insensitive
+ */
+promotionSchema.statics.findByCode = function (code) {
+	return this.findOne({ code: `${code}`.trim().toUpperCase() });
+};
+
+/**
+ * count one use for a new order of the user, only while the usage limit and their perUserLimit arent reached
+ * @returns {Promise<string|null>} error key when the use cant be claimed, null when it was
+ */
+promotionSchema.statics.claimUse = async function (promotionId, userId) {
+	const promotion = await this.findOneAndUpdate(
+		{
+			_id: promotionId,
+			$or: [
+				{ usageLimit: null },
+				{ $expr: { $lt: ['$usedCount', '$usageLimit'] } },
+			],
+		},
+		{ $inc: { usedCount: 1 } },
+		{ new: true }
+	);
+	if (!promotion) return 'PROMOTION_USED_UP';
+
+	if (!(await PromotionUse.claim(promotion, userId))) {
+		await this.updateOne(
+			{ _id: promotionId, usedCount: { $gt: 0 } },
+			{ $inc: { usedCount: -1 } }
+		);
+		return 'PROMOTION_USER_LIMIT';
+	}
+
+	return null;
+};
+
+/**
+ * give a use back, the order was never paid
+ */
+promotionSchema.statics.releaseUse = async function (promotionId, userId) {
+	await this.updateOne(
+		{ _id: promotionId, usedCount: { $gt: 0 } },
+		{ $inc: { usedCount: -1 } }
+	);
+	await PromotionUse.release(promotionId, userId);
+};
+
+const Promotion = mongoose.model('Promotion', promotionSchema);
+
+export default Promotion;
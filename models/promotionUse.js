@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+
+/**
+ * how many orders of a user hold a use of a promotion
+ * claimed together with Promotion.usedCount, the unique index keeps perUserLimit under concurrent checkouts
+ */
+const promotionUseSchema = new mongoose.Schema(
+	{
+		promotionId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Promotion',
+			required: true,
+		},
+		userId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+			required: true,
+		},
+		count: { type: Number, default: 0, min: 0 },
+	},
+	{ timestamps: true }
+);
+
+promotionUseSchema.index({ promotionId: 1, userId: 1 }, { unique: true });
+
+/**
+ * count one use for the user, only while they are under the promotions perUserLimit
+ * a user at the limit doesnt match the filter, the upsert then tries to insert a second document and hits the index
+ * @param {Document} promotion
+ * @param {string} userId
+ * @returns {Promise<boolean>} false if the user used the code up
+ */
+promotionUseSchema.statics.claim = async function (promotion, userId) {
+	const filter = { promotionId: promotion._id, userId };
+	if (promotion.perUserLimit !== null) {
+		filter.count = { $lt: promotion.perUserLimit };
+	}
+
+	//the first use of two concurrent checkouts can lose the insert, the retry updates the document the other made
+	for (let attempt = 0; attempt < 2; attempt++) {
+		try {
+			await this.updateOne(filter, { $inc: { count: 1 } }, { upsert: true });
+			return true;
+		} catch (error) {
+			if (error.code !== 11000) throw error;
+		}
+	}
+	return false;
+};
+
+/**
+ * give a use of the user back
+ */
+promotionUseSchema.statics.release = function (promotionId, userId) {
+	return this.updateOne(
+		{ promotionId, userId, count: { $gt: 0 } },
+		{ $inc: { count: -1 } }
+	);
+};
+
+const PromotionUse = mongoose.model('PromotionUse', promotionUseSchema);
+
+export default PromotionUse;
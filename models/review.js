@@ -0,0 +1,89 @@
+import mongoose from 'mongoose';
+import Book from './book.js';
+
+/**
+ * one review per user per book, only buyers of the book can write one
+ * hidden reviews stay in the db but dont count towards the book rating
+ */
+const reviewSchema = new mongoose.Schema(
+	{
+		bookId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Book',
+			required: true,
+		},
+		userId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+			required: true,
+		},
+		rating: {
+			type: Number,
+			required: [true, 'Rating is required'],
+			min: [1, 'Rating must be at least 1'],
+			max: [5, 'Rating cannot exceed 5'],
+			validate: {
+				validator: Number.isInteger,
+				message: 'Rating must be a whole number',
+			},
+		},
+		text: {
+			type: String,
+			trim: true,
+			maxlength: [2000, 'Review cannot exceed 2000 characters'],
+		},
+		status: {
+			type: String,
+			enum: ['published', 'hidden'],
+			default: 'published',
+		},
+		moderationNote: String,
+		moderatedBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+		},
+		moderatedAt: Date,
+	},
+	{ timestamps: true }
+);
+
+reviewSchema.index({ bookId: 1, userId: 1 }, { unique: true });
+//index for a books review page
+reviewSchema.index({ bookId: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ status: 1, createdAt: -1 });
+
+/**
+ * recompute a books rating and reviewCount from its published reviews
+ * @param {ObjectId} bookId = book to update
+ */
+reviewSchema.statics.syncBookRating = async function (bookId) {
+	const [stats] = await this.aggregate([
+		{
+			$match: {
+				bookId: new mongoose.Types.ObjectId(`${bookId}`),
+				status: 'published',
+			},
+		},
+		{
+			$group: {
+				_id: '$bookId',
+				average: { $avg: '$rating' },
+				count: { $sum: 1 },
+			},
+		},
+	]);
+
+	await Book.updateOne(
+		{ _id: bookId },
+		{
+			$set: {
+				rating: stats ? Math.round(stats.average * 10) / 10 : 0,
+				reviewCount: stats?.count || 0,
+			},
+		}
+	);
+};
+
+const Review = mongoose.model('Review', reviewSchema);
+
+export default Review;
@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+import {
+	DEFAULT_ROLES,
+	WILDCARD_PERMISSION,
+} from '../constants/permissions.js';
+
+const roleSchema = new mongoose.Schema(
+	{
+		name: {
+			type: String,
+			required: [true, 'Role name is required'],
+			unique: true,
+			lowercase: true,
+			trim: true,
+			match: [
+				/^[a-z0-9_-]{2,30}$/,
+				'Role name can only contain letters, numbers, _ and -',
+			],
+		},
+		description: {
+			type: String,
+			trim: true,
+			maxlength: [200, 'Description cannot exceed 200 characters'],
+		},
+		permissions: [{ type: String }],
+		isSystem: {
+			type: Boolean,
+			default: false, //built in roles cant be deleted
+		},
+	},
+	{ timestamps: true }
+);
+
+// Method to check a single permission
+roleSchema.methods.hasPermission = function (permission) {
+	return (
+		this.permissions.includes(WILDCARD_PERMISSION) ||
+		this.permissions.includes(permission)
+	);
+};
+
+// Create the built in roles if they dont exist yet, existing ones are left as they are
+roleSchema.statics.seedDefaults = async function () {
+	for (const [name, role] of Object.entries(DEFAULT_ROLES)) {
+		await this.updateOne(
+			{ name },
+			{ $setOnInsert: { name, ...role, isSystem: true } },
+			{ upsert: true }
+		);
+	}
+};
+
+const Role = mongoose.model('Role', roleSchema);
+
+export default Role;
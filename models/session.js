@@ -0,0 +1,76 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+/**
+ * one session per login / device
+ * every refresh token issued for this login belongs to the same family (this session),
+ * only the hash of the latest refresh token is kept, older ones are treated as reused
+ */
+const sessionSchema = new mongoose.Schema(
+	{
+		userId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+			required: true,
+		},
+		refreshTokenHash: {
+			type: String,
+			required: true,
+		},
+		userAgent: String,
+		ip: String,
+		lastUsedAt: {
+			type: Date,
+			default: Date.now,
+		},
+		expiresAt: {
+			type: Date,
+			required: true,
+		},
+		revokedAt: Date,
+		revokedReason: {
+			type: String,
+			enum: [
+				'logout',
+				'user',
+				'password_change',
+				'reuse_detected',
+				'account_inactive',
+			],
+		},
+	},
+	{ timestamps: true }
+);
+
+//index for listing a users sessions
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+//mongo removes sessions once they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Hash a refresh token before storing / comparing
+sessionSchema.statics.hashToken = function (token) {
+	return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Revoke every active session of a user, optionally keeping one
+sessionSchema.statics.revokeAllForUser = function (
+	userId,
+	reason,
+	exceptSessionId
+) {
+	const filter = { userId, revokedAt: null };
+	if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+	return this.updateMany(filter, {
+		$set: { revokedAt: new Date(), revokedReason: reason },
+	});
+};
+
+// Method to check if the session can still be used
+sessionSchema.methods.isActive = function () {
+	return !this.revokedAt && this.expiresAt > new Date();
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
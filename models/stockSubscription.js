@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+/**
+ * "notify me" for an out of stock book, the customer gets one email when it is back
+ * variantId null means any format of the book will do
+ */
+const stockSubscriptionSchema = new mongoose.Schema(
+	{
+		userId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+			required: true,
+		},
+		bookId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Book',
+			required: true,
+		},
+		variantId: {
+			type: mongoose.Schema.Types.ObjectId,
+			default: null,
+		},
+		//set once the email went out, the subscription is done then
+		notifiedAt: {
+			type: Date,
+			default: null,
+		},
+	},
+	{ timestamps: true }
+);
+
+stockSubscriptionSchema.index(
+	{ userId: 1, bookId: 1, variantId: 1 },
+	{ unique: true }
+);
+stockSubscriptionSchema.index({ bookId: 1, notifiedAt: 1 });
+
+const StockSubscription = mongoose.model(
+	'StockSubscription',
+	stockSubscriptionSchema
+);
+
+export default StockSubscription;
@@ -1,4 +1,14 @@
 import mongoose from 'mongoose';
+import crypto from 'crypto';
+import Role from './role.js';
+import {
+	DEFAULT_ROLE,
+	PERMISSIONS,
+	WILDCARD_PERMISSION,
+} from '../constants/permissions.js';
+
+//fields a user can change on their own profile, the rest have their own flows
+export const PROFILE_FIELDS = ['name', 'phoneNumber'];
 
 const userSchema = new mongoose.Schema(
 	{
@@ -17,6 +27,12 @@ const userSchema = new mongoose.Schema(
 			trim: true,
 			match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Please provide a valid email'],
 		},
+		emailVerified: {
+			type: Boolean,
+			default: false,
+		},
+		emailVerifiedAt: Date,
+		verificationEmailSentAt: Date, //for the resend cooldown
 		passwordHash: {
 			type: String,
 			required: [true, 'Password is required'],
@@ -26,14 +42,23 @@ const userSchema = new mongoose.Schema(
 			type: String,
 			match: [/^\+?[\d\s-()]+$/, 'Please provide a valid phone number'],
 		},
-		isAdmin: {
-			type: Boolean,
-			default: false,
+		role: {
+			type: String,
+			lowercase: true,
+			trim: true,
+			default: DEFAULT_ROLE, //name of a Role document
 		},
 		isActive: {
 			type: Boolean,
 			default: true,
 		},
+		deactivatedAt: Date,
+		deactivationReason: {
+			type: String,
+			enum: ['self', 'suspended', 'erased'],
+		},
+		suspensionNote: String, //admins reason for suspending
+		erasedAt: Date,
 		addresses: [
 			{
 				fullName: String,
@@ -54,6 +79,7 @@ const userSchema = new mongoose.Schema(
 		],
 		resetPasswordToken: String,
 		resetPasswordExpire: Date,
+		passwordChangedAt: Date,
 		lastLogin: Date,
 	},
 	{
@@ -64,6 +90,9 @@ const userSchema = new mongoose.Schema(
 // Index for faster email lookups
 userSchema.index({ email: 1 });
 
+// Index for listing users by role
+userSchema.index({ role: 1 });
+
 // Virtual for orders
 userSchema.virtual('orders', {
 	ref: 'Order',
@@ -77,6 +106,120 @@ userSchema.methods.updateLastLogin = function () {
 	return this.save();
 };
 
+// Method to get the default address, falls back to the first one
+userSchema.methods.getDefaultAddress = function () {
+	return (
+		this.addresses.find((address) => address.isDefault) || this.addresses[0]
+	);
+};
+
+// Method to make one address the default, exactly one default at a time
+userSchema.methods.setDefaultAddress = function (addressId) {
+	this.addresses.forEach((address) => {
+		address.isDefault = address._id.equals(addressId);
+	});
+};
+
+// Method to deactivate the account, self service, admin suspension or erasure
+userSchema.methods.deactivate = function (reason, note) {
+	this.isActive = false;
+	this.deactivatedAt = new Date();
+	this.deactivationReason = reason;
+	this.suspensionNote = note;
+};
+
+// Method to reactivate a deactivated / suspended account
+userSchema.methods.reactivate = function () {
+	this.isActive = true;
+	this.deactivatedAt = undefined;
+	this.deactivationReason = undefined;
+	this.suspensionNote = undefined;
+};
+
+// Method to strip personal data, the document (and the orders pointing at it) stays
+userSchema.methods.anonymize = function () {
+	this.deactivate('erased');
+	this.name = 'Deleted User';
+	this.email = `deleted-${this._id}@deleted.invalid`;
+	//random hash nobody knows the password for
+	this.passwordHash = crypto.randomBytes(32).toString('hex');
+	this.phoneNumber = undefined;
+	this.addresses = [];
+	this.wishlist = [];
+	this.resetPasswordToken = undefined;
+	this.resetPasswordExpire = undefined;
+	this.lastLogin = undefined;
+	this.erasedAt = new Date();
+};
+
+// Method to generate a password reset token
+// only the sha256 hash is stored, the raw token goes out in the email
+userSchema.methods.createPasswordResetToken = function (expiresInMinutes) {
+	const resetToken = crypto.randomBytes(32).toString('hex');
+
+	this.resetPasswordToken = crypto
+		.createHash('sha256')
+		.update(resetToken)
+		.digest('hex');
+	this.resetPasswordExpire = new Date(
+		Date.now() + expiresInMinutes * 60 * 1000
+	);
+
+	return resetToken;
+};
+
+// Method to check if a token was issued before the last password change
+userSchema.methods.changedPasswordAfter = function (tokenIssuedAt) {
+	if (!this.passwordChangedAt) return false;
+	return tokenIssuedAt * 1000 < this.passwordChangedAt.getTime();
+};
+
+// Check if the user is the only active account left that can manage roles
+// suspending, deactivating or erasing them would lock everyone out of the admin side
+userSchema.statics.isLastAdmin = async function (user) {
+	const adminRoles = await Role.find({
+		permissions: { $in: [WILDCARD_PERMISSION, PERMISSIONS.ROLES_MANAGE] },
+	}).distinct('name');
+	if (!adminRoles.includes(user.role)) return false;
+
+	const others = await this.countDocuments({
+		_id: { $ne: user._id },
+		role: { $in: adminRoles },
+		isActive: true,
+	});
+	return others === 0;
+};
+
+// Users created before email verification existed are treated as verified
+userSchema.statics.markLegacyUsersVerified = function () {
+	return this.updateMany(
+		{ emailVerified: { $exists: false } },
+		{ $set: { emailVerified: true } }
+	);
+};
+
+// Move users from the old isAdmin flag to the admin role
+userSchema.statics.migrateLegacyAdmins = function () {
+	return this.updateMany(
+		{ isAdmin: { $exists: true } },
+		[
+			{
+				$set: {
+					role: {
+						$cond: [
+							{ $eq: ['$isAdmin', true] },
+							'admin',
+							{ $ifNull: ['$role', DEFAULT_ROLE] },
+						],
+					},
+				},
+			},
+			{ $unset: 'isAdmin' },
+		],
+		{ strict: false }
+	);
+};
+
 const User = mongoose.model('User', userSchema);
 
 export default User;
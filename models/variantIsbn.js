@@ -0,0 +1,77 @@
+import mongoose from 'mongoose';
+
+/**
+ * one document per variant isbn in use, its unique index is what keeps isbns unique over all books
+ * (a unique index on variants.isbn cant do it, variants without an isbn would collide there)
+ * claimed before a book saves and released after, see the save hooks in models/book.js
+ */
+const variantIsbnSchema = new mongoose.Schema(
+	{
+		isbn: { type: String, required: true, unique: true },
+		bookId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Book',
+			required: true,
+		},
+		variantId: {
+			type: mongoose.Schema.Types.ObjectId,
+			required: true,
+		},
+	},
+	{ timestamps: { createdAt: true, updatedAt: false } }
+);
+
+variantIsbnSchema.index({ bookId: 1 });
+
+/**
+ * claim the isbn of every variant of the book
+ * an isbn another variant holds makes the insert hit the unique index, the E11000 is thrown as it is
+ * @param {Document} book
+ * @returns {Promise<Array>} ids of the claims made now, to undo them if the book doesnt save
+ */
+variantIsbnSchema.statics.claim = async function (book) {
+	const claimed = [];
+
+	try {
+		for (const variant of book.variants) {
+			if (!variant.isbn) continue;
+
+			const result = await this.updateOne(
+				{ isbn: variant.isbn, variantId: variant._id },
+				{ $setOnInsert: { bookId: book._id } },
+				{ upsert: true }
+			);
+			if (result.upsertedId) claimed.push(result.upsertedId);
+		}
+	} catch (error) {
+		await this.unclaim(claimed);
+		throw error;
+	}
+
+	return claimed;
+};
+
+/**
+ * give back claims made for a save that failed
+ */
+variantIsbnSchema.statics.unclaim = function (ids) {
+	return ids.length > 0 ? this.deleteMany({ _id: { $in: ids } }) : null;
+};
+
+/**
+ * drop the claims of the book its variants dont use anymore (isbn changed or variant deleted)
+ */
+variantIsbnSchema.statics.releaseUnused = function (book) {
+	const inUse = book.variants
+		.filter((variant) => variant.isbn)
+		.map((variant) => ({ variantId: variant._id, isbn: variant.isbn }));
+
+	return this.deleteMany({
+		bookId: book._id,
+		...(inUse.length > 0 && { $nor: inUse }),
+	});
+};
+
+const VariantIsbn = mongoose.model('VariantIsbn', variantIsbnSchema);
+
+export default VariantIsbn;
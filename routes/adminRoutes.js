@@ -0,0 +1,230 @@
+import express from 'express';
+import {
+	exportBooks,
+	getArchivedBooks,
+	importBooks,
+} from '../controllers/bookController.js';
+import {
+	assignUserRole,
+	createRole,
+	deleteRole,
+	getRoles,
+	getUsers,
+	reactivateUser,
+	suspendUser,
+	unlockUser,
+	updateRole,
+} from '../controllers/adminController.js';
+import {
+	createCategory,
+	deleteCategory,
+	updateCategory,
+} from '../controllers/categoryController.js';
+import {
+	createInventoryMovement,
+	getInventoryMovements,
+	getLowStock,
+} from '../controllers/inventoryController.js';
+import {
+	getAllOrders,
+	updateOrderStatus,
+} from '../controllers/orderController.js';
+import {
+	createPromotion,
+	deletePromotion,
+	getPromotions,
+	updatePromotion,
+} from '../controllers/promotionController.js';
+import {
+	getReviewsForModeration,
+	moderateReview,
+	removeReview,
+} from '../controllers/reviewController.js';
+import {
+	protectRouteOrApiKey,
+	requirePermission,
+} from '../middlewares/authMiddleware.js';
+import {
+	validateCategory,
+	validateInventoryMovement,
+	validateObjectId,
+	validateOrderStatus,
+	validatePromotion,
+	validateReviewModeration,
+	validateRole,
+} from '../middlewares/validation.js';
+import { PERMISSIONS } from '../constants/permissions.js';
+import { IMPORT_CONTENT_TYPES } from '../utils/bookImport.js';
+
+const router = express.Router();
+
+//all admin routes require auth (login or scoped api key), each route checks its own permission
+router.use(protectRouteOrApiKey);
+
+//roles
+router.get('/roles', requirePermission(PERMISSIONS.ROLES_MANAGE), getRoles);
+router.post(
+	'/roles',
+	requirePermission(PERMISSIONS.ROLES_MANAGE),
+	validateRole,
+	createRole
+);
+router.put(
+	'/roles/:roleId',
+	requirePermission(PERMISSIONS.ROLES_MANAGE),
+	validateObjectId('roleId'),
+	validateRole,
+	updateRole
+);
+router.delete(
+	'/roles/:roleId',
+	requirePermission(PERMISSIONS.ROLES_MANAGE),
+	validateObjectId('roleId'),
+	deleteRole
+);
+
+//users
+router.get('/users', requirePermission(PERMISSIONS.USERS_READ), getUsers);
+router.put(
+	'/users/:userId/role',
+	requirePermission(PERMISSIONS.ROLES_MANAGE),
+	validateObjectId('userId'),
+	assignUserRole
+);
+router.patch(
+	'/users/:userId/suspend',
+	requirePermission(PERMISSIONS.USERS_MANAGE),
+	validateObjectId('userId'),
+	suspendUser
+);
+router.patch(
+	'/users/:userId/reactivate',
+	requirePermission(PERMISSIONS.USERS_MANAGE),
+	validateObjectId('userId'),
+	reactivateUser
+);
+router.post(
+	'/users/:userId/unlock',
+	requirePermission(PERMISSIONS.USERS_MANAGE),
+	validateObjectId('userId'),
+	unlockUser
+);
+
+//orders
+router.get(
+	'/orders',
+	requirePermission(PERMISSIONS.ORDERS_READ_ALL),
+	getAllOrders
+);
+router.patch(
+	'/orders/:orderId/status',
+	requirePermission(PERMISSIONS.ORDERS_WRITE),
+	validateObjectId('orderId'),
+	validateOrderStatus,
+	updateOrderStatus
+);
+
+//catalog import / export, import bodies are raw csv or json lines
+router.post(
+	'/books/import',
+	requirePermission(PERMISSIONS.BOOKS_WRITE),
+	express.text({ type: IMPORT_CONTENT_TYPES, limit: '10mb' }),
+	importBooks
+);
+router.get(
+	'/books/export',
+	requirePermission(PERMISSIONS.BOOKS_WRITE),
+	exportBooks
+);
+router.get(
+	'/books/archived',
+	requirePermission(PERMISSIONS.BOOKS_WRITE),
+	getArchivedBooks
+);
+
+//categories, part of the catalog
+router.post(
+	'/categories',
+	requirePermission(PERMISSIONS.BOOKS_WRITE),
+	validateCategory,
+	createCategory
+);
+router.put(
+	'/categories/:categoryId',
+	requirePermission(PERMISSIONS.BOOKS_WRITE),
+	validateObjectId('categoryId'),
+	validateCategory,
+	updateCategory
+);
+router.delete(
+	'/categories/:categoryId',
+	requirePermission(PERMISSIONS.BOOKS_WRITE),
+	validateObjectId('categoryId'),
+	deleteCategory
+);
+
+//inventory, the stock ledger and manual restocks / returns / adjustments
+router.get(
+	'/inventory/movements',
+	requirePermission(PERMISSIONS.BOOKS_WRITE),
+	getInventoryMovements
+);
+router.post(
+	'/inventory/movements',
+	requirePermission(PERMISSIONS.BOOKS_WRITE),
+	validateInventoryMovement,
+	createInventoryMovement
+);
+router.get(
+	'/inventory/low-stock',
+	requirePermission(PERMISSIONS.BOOKS_WRITE),
+	getLowStock
+);
+
+//promotions
+router.get(
+	'/promotions',
+	requirePermission(PERMISSIONS.PROMOTIONS_MANAGE),
+	getPromotions
+);
+router.post(
+	'/promotions',
+	requirePermission(PERMISSIONS.PROMOTIONS_MANAGE),
+	validatePromotion,
+	createPromotion
+);
+router.put(
+	'/promotions/:promotionId',
+	requirePermission(PERMISSIONS.PROMOTIONS_MANAGE),
+	validateObjectId('promotionId'),
+	validatePromotion,
+	updatePromotion
+);
+router.delete(
+	'/promotions/:promotionId',
+	requirePermission(PERMISSIONS.PROMOTIONS_MANAGE),
+	validateObjectId('promotionId'),
+	deletePromotion
+);
+
+//reviews
+router.get(
+	'/reviews',
+	requirePermission(PERMISSIONS.REVIEWS_MODERATE),
+	getReviewsForModeration
+);
+router.patch(
+	'/reviews/:reviewId',
+	requirePermission(PERMISSIONS.REVIEWS_MODERATE),
+	validateObjectId('reviewId'),
+	validateReviewModeration,
+	moderateReview
+);
+router.delete(
+	'/reviews/:reviewId',
+	requirePermission(PERMISSIONS.REVIEWS_MODERATE),
+	validateObjectId('reviewId'),
+	removeReview
+);
+
+export default router;
@@ -1,11 +1,37 @@
 import express from 'express';
 import {
+	changePassword,
+	createApiKey,
+	forgotPassword,
+	getApiKeys,
+	getSessions,
 	loginUser,
 	logoutUser,
+	refreshAccessToken,
 	registerUser,
+	resendVerificationEmail,
+	resetPassword,
+	revokeAllSessions,
+	revokeApiKey,
+	revokeSession,
+	updateProfile,
+	verifyEmail,
 } from '../controllers/authController.js';
-import { protectRoute } from '../middlewares/authMiddleware.js';
-import { validateLogin, validateRegister } from '../middlewares/validation.js';
+import {
+	protectRoute,
+	requirePermission,
+} from '../middlewares/authMiddleware.js';
+import {
+	validateApiKey,
+	validateChangePassword,
+	validateForgotPassword,
+	validateLogin,
+	validateRegister,
+	validateObjectId,
+	validateProfileUpdate,
+	validateResetPassword,
+} from '../middlewares/validation.js';
+import { PERMISSIONS } from '../constants/permissions.js';
 
 const router = express.Router();
 
@@ -13,6 +39,12 @@ const router = express.Router();
 router.post('/register', validateRegister, registerUser);
 router.post('/login', validateLogin, loginUser);
 router.post('/logout', logoutUser);
+router.post('/refresh', refreshAccessToken);
+//resend has to come before :token, else it is taken as a token
+router.post('/verify-email/resend', protectRoute, resendVerificationEmail);
+router.post('/verify-email/:token', verifyEmail);
+router.post('/forgot-password', validateForgotPassword, forgotPassword);
+router.post('/reset-password/:token', validateResetPassword, resetPassword);
 
 //private routes, requires auth
 router.get('/me', protectRoute, async (req, res) => {
@@ -21,5 +53,34 @@ router.get('/me', protectRoute, async (req, res) => {
 		user: req.user,
 	});
 });
+router.patch('/me', protectRoute, validateProfileUpdate, updateProfile);
+router.post(
+	'/change-password',
+	protectRoute,
+	validateChangePassword,
+	changePassword
+);
+router.get('/sessions', protectRoute, getSessions);
+router.delete('/sessions', protectRoute, revokeAllSessions);
+router.delete(
+	'/sessions/:sessionId',
+	protectRoute,
+	validateObjectId('sessionId'),
+	revokeSession
+);
+
+//api keys, managed with a normal login, not with another key
+const canManageApiKeys = [
+	protectRoute,
+	requirePermission(PERMISSIONS.API_KEYS_MANAGE),
+];
+router.get('/api-keys', canManageApiKeys, getApiKeys);
+router.post('/api-keys', canManageApiKeys, validateApiKey, createApiKey);
+router.delete(
+	'/api-keys/:keyId',
+	canManageApiKeys,
+	validateObjectId('keyId'),
+	revokeApiKey
+);
 
 export default router;
@@ -1,25 +1,122 @@
 import express from 'express';
 import {
 	addBook,
+	addVariant,
 	deleteBook,
+	deleteVariant,
 	getBookById,
+	getBookRevisions,
 	getBooks,
 	searchBooks,
+	suggestBooks,
+	restoreBook,
 	updateBook,
+	updateVariant,
+	uploadBookCover,
 } from '../controllers/bookController.js';
-import { protectRoute } from '../middlewares/authMiddleware.js';
-import { validateBook, validateObjectId } from '../middlewares/validation.js';
+import {
+	subscribeBackInStock,
+	unsubscribeBackInStock,
+} from '../controllers/inventoryController.js';
+import {
+	createReview,
+	getBookReviews,
+} from '../controllers/reviewController.js';
+import {
+	protectRoute,
+	protectRouteOrApiKey,
+	requirePermission,
+} from '../middlewares/authMiddleware.js';
+import {
+	validateBook,
+	validateBookListQuery,
+	validateObjectId,
+	validateReview,
+	validateVariant,
+} from '../middlewares/validation.js';
+import { requireCoverFile, uploadCover } from '../middlewares/upload.js';
+import { PERMISSIONS } from '../constants/permissions.js';
 
 const router = express.Router();
 
 //public routes, no auth required
 router.get('/search', searchBooks);
-router.get('/', getBooks);
+router.get('/suggest', suggestBooks);
+router.get('/', validateBookListQuery, getBooks);
 router.get('/:id', validateObjectId('id'), getBookById);
+router.get('/:id/reviews', validateObjectId('id'), getBookReviews);
+
+//reviews, logged in customers who bought the book
+router.post(
+	'/:id/reviews',
+	protectRoute,
+	validateObjectId('id'),
+	validateReview,
+	createReview
+);
+
+//back in stock emails, logged in customers
+router.post(
+	'/:id/notify',
+	protectRoute,
+	validateObjectId('id'),
+	subscribeBackInStock
+);
+router.delete(
+	'/:id/notify',
+	protectRoute,
+	validateObjectId('id'),
+	unsubscribeBackInStock
+);
+
+//privtate routes, auth (login or api key) and books:write permission required
+const canWriteBooks = [
+	protectRouteOrApiKey,
+	requirePermission(PERMISSIONS.BOOKS_WRITE),
+];
+//json, or multipart with an optional "cover" image instead of imagePath
+router.post('/', canWriteBooks, uploadCover, validateBook, addBook);
+router.put('/:id', canWriteBooks, validateObjectId('id'), updateBook);
+//delete archives the book, restore brings it back
+router.delete('/:id', canWriteBooks, validateObjectId('id'), deleteBook);
+router.post('/:id/restore', canWriteBooks, validateObjectId('id'), restoreBook);
+router.get(
+	'/:id/revisions',
+	canWriteBooks,
+	validateObjectId('id'),
+	getBookRevisions
+);
+router.put(
+	'/:id/cover',
+	canWriteBooks,
+	validateObjectId('id'),
+	uploadCover,
+	requireCoverFile,
+	uploadBookCover
+);
 
-//privtate routes, auth required
-router.post('/', protectRoute, validateBook, addBook);
-router.put('/:id', protectRoute, validateObjectId('id'), updateBook);
-router.delete('/:id', protectRoute, validateObjectId('id'), deleteBook);
+//variants (formats / editions), each with its own price and stock
+router.post(
+	'/:id/variants',
+	canWriteBooks,
+	validateObjectId('id'),
+	validateVariant,
+	addVariant
+);
+router.put(
+	'/:id/variants/:variantId',
+	canWriteBooks,
+	validateObjectId('id'),
+	validateObjectId('variantId'),
+	validateVariant,
+	updateVariant
+);
+router.delete(
+	'/:id/variants/:variantId',
+	canWriteBooks,
+	validateObjectId('id'),
+	validateObjectId('variantId'),
+	deleteVariant
+);
 
 export default router;
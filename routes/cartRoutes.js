@@ -5,13 +5,16 @@ import {
 	updateCartItem,
 	removeFromCart,
 	clearCart,
+	applyCartPromotion,
+	removeCartPromotion,
 } from '../controllers/cartController.js';
-import { protectRoute } from '../middlewares/authMiddleware.js';
+import { optionalAuth } from '../middlewares/authMiddleware.js';
+import { validatePromotionCode } from '../middlewares/validation.js';
 
 const router = express.Router();
 
-//cart routes require authentication
-router.use(protectRoute);
+//logged in users get their own cart, guests a cart from the signed guestCart cookie
+router.use(optionalAuth);
 
 //get user cart
 router.get('/', getCart);
@@ -20,12 +23,16 @@ router.get('/', getCart);
 router.post('/items', addToCart);
 
 //update cart item quantity
-router.put('/items/:bookId', updateCartItem);
+router.put('/items/:variantId', updateCartItem);
 
 //remoce item
-router.delete('/items/:bookId', removeFromCart);
+router.delete('/items/:variantId', removeFromCart);
 
 //clear cart
 router.delete('/', clearCart);
 
+//promotion code, one per cart
+router.post('/promotion', validatePromotionCode, applyCartPromotion);
+router.delete('/promotion', removeCartPromotion);
+
 export default router;
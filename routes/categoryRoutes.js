@@ -0,0 +1,13 @@
+import express from 'express';
+import {
+	getCategories,
+	getCategoryBySlug,
+} from '../controllers/categoryController.js';
+
+const router = express.Router();
+
+//public routes, categories are managed under /api/admin/categories
+router.get('/', getCategories);
+router.get('/:slug', getCategoryBySlug);
+
+export default router;
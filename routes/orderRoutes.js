@@ -1,18 +1,31 @@
 import express from 'express';
-import { protectRoute } from '../middlewares/authMiddleware.js';
 import {
+	protectRoute,
+	requireVerifiedEmail,
+} from '../middlewares/authMiddleware.js';
+import {
+	cancelUserOrder,
 	createOrder,
 	getOrderById,
 	getUserOrders,
 } from '../controllers/orderController.js';
-import { validateObjectId } from '../middlewares/validation.js';
+import {
+	validateObjectId,
+	validateOrderCancel,
+} from '../middlewares/validation.js';
 
 const router = express.Router();
 
 //all routes are private routes so
 router.use(protectRoute);
-router.post('/', createOrder);
+router.post('/', requireVerifiedEmail, createOrder);
 router.get('/', getUserOrders);
 router.get('/:orderId', validateObjectId('orderId'), getOrderById); //with validation
+router.post(
+	'/:orderId/cancel',
+	validateObjectId('orderId'),
+	validateOrderCancel,
+	cancelUserOrder
+);
 
 export default router;
@@ -1,5 +1,8 @@
 import express from 'express';
-import { protectRoute } from '../middlewares/authMiddleware.js';
+import {
+	protectRoute,
+	requireVerifiedEmail,
+} from '../middlewares/authMiddleware.js';
 import {
 	checkEsewaPaymentStatus,
 	handleEsewaFailure,
@@ -14,6 +17,7 @@ const router = express.Router();
 router.post(
 	'/esewa/init/:orderId',
 	protectRoute,
+	requireVerifiedEmail,
 	validateObjectId('orderId'),
 	initEsewaPayment
 );
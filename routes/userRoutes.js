@@ -0,0 +1,84 @@
+import express from 'express';
+import {
+	addAddress,
+	addToWishlist,
+	deactivateAccount,
+	deleteAddress,
+	eraseAccount,
+	exportMyData,
+	getAddresses,
+	getWishlist,
+	moveWishlistItemToCart,
+	removeFromWishlist,
+	updateAddress,
+} from '../controllers/userController.js';
+import {
+	deleteReview,
+	getMyReviews,
+	updateReview,
+} from '../controllers/reviewController.js';
+import { protectRoute } from '../middlewares/authMiddleware.js';
+import {
+	validateAddress,
+	validateObjectId,
+	validatePasswordConfirm,
+	validateReview,
+	validateWishlistItem,
+	validateWishlistMove,
+} from '../middlewares/validation.js';
+
+const router = express.Router();
+
+//all user routes are for the logged in user
+router.use(protectRoute);
+
+//account lifecycle
+router.get('/me/export', exportMyData);
+router.post('/me/deactivate', validatePasswordConfirm, deactivateAccount);
+router.delete('/me', validatePasswordConfirm, eraseAccount);
+
+//address book
+router.get('/me/addresses', getAddresses);
+router.post('/me/addresses', validateAddress, addAddress);
+router.put(
+	'/me/addresses/:addressId',
+	validateObjectId('addressId'),
+	validateAddress,
+	updateAddress
+);
+router.delete(
+	'/me/addresses/:addressId',
+	validateObjectId('addressId'),
+	deleteAddress
+);
+
+//wishlist
+router.get('/me/wishlist', getWishlist);
+router.post('/me/wishlist', validateWishlistItem, addToWishlist);
+router.delete(
+	'/me/wishlist/:bookId',
+	validateObjectId('bookId'),
+	removeFromWishlist
+);
+router.post(
+	'/me/wishlist/:bookId/move-to-cart',
+	validateObjectId('bookId'),
+	validateWishlistMove,
+	moveWishlistItemToCart
+);
+
+//reviews
+router.get('/me/reviews', getMyReviews);
+router.put(
+	'/me/reviews/:reviewId',
+	validateObjectId('reviewId'),
+	validateReview,
+	updateReview
+);
+router.delete(
+	'/me/reviews/:reviewId',
+	validateObjectId('reviewId'),
+	deleteReview
+);
+
+export default router;
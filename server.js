@@ -7,11 +7,25 @@ import { fileURLToPath } from 'url';
 import connectToMongoDB from './config/db.js';
 import authRoutes from './routes/authRoutes.js';
 import bookRoutes from './routes/bookRoutes.js';
+import categoryRoutes from './routes/categoryRoutes.js';
 import cartRoutes from './routes/cartRoutes.js';
 import orderRoutes from './routes/orderRoutes.js';
 import paymentRoutes from './routes/paymentRoutes.js';
+import adminRoutes from './routes/adminRoutes.js';
+import userRoutes from './routes/userRoutes.js';
+import Role from './models/role.js';
+import Book from './models/book.js';
+import Category from './models/category.js';
+import User from './models/user.js';
+import Cart from './models/cart.js';
 import { errorHandler } from './middlewares/errorHandlers.js';
 import { requestLogger } from './middlewares/logger.js';
+import {
+	LOCAL_UPLOAD_ROUTE,
+	getLocalUploadDir,
+	isLocalStorage,
+} from './utils/storage.js';
+import { startReservationSweeper } from './utils/reservations.js';
 
 //load env variables
 dotenv.config();
@@ -30,7 +44,8 @@ app.set('views', path.join(__dirname, 'views'));
 //middlewares
 app.use(cors());
 app.use(express.json());
-app.use(cookieParser());
+//secret signs the guest cart cookie
+app.use(cookieParser(process.env.COOKIE_SECRET || process.env.JWT_SECRET));
 
 //cors configuration
 app.use(
@@ -43,12 +58,23 @@ app.use(
 //request logging middleware - cool little thing man
 app.use(requestLogger);
 
+//uploaded covers, other storage drivers serve their own files
+if (isLocalStorage()) {
+	app.use(
+		LOCAL_UPLOAD_ROUTE,
+		express.static(getLocalUploadDir(), { maxAge: '7d', index: false })
+	);
+}
+
 //routes
 app.use('/api/auth', authRoutes);
 app.use('/api/books', bookRoutes);
+app.use('/api/categories', categoryRoutes);
 app.use('/api/cart', cartRoutes);
 app.use('/api/orders', orderRoutes);
 app.use('/api/payment', paymentRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/users', userRoutes);
 
 //health check
 app.get('/health', (req, res) => {
@@ -79,6 +105,20 @@ app.use(errorHandler);
 app.listen(PORT, async () => {
 	try {
 		await connectToMongoDB();
+
+		//make sure built in roles exist and old users are moved over
+		await Role.seedDefaults();
+		await User.migrateLegacyAdmins();
+		await User.markLegacyUsersVerified();
+		await Book.migrateVariantIsbnIndex();
+		await Book.migrateLegacyVariants();
+		await Category.seedDefaults();
+		await Book.migrateLegacyCategories();
+		await Cart.migrateGuestCartIndex();
+
+		//cancel unpaid orders whose stock hold ran out
+		startReservationSweeper();
+
 		console.log(`Server running on port: ${PORT}`);
 	} catch (error) {
 		console.log('ERROR STARTING SERVER!!! \n\n', error.message);
@@ -0,0 +1,182 @@
+import { once } from 'events';
+import { parseCsv, toCsvRow } from './csv.js';
+import { normalizeIsbn } from './validators.js';
+
+//columns of an import / export file, export writes exactly these so its output can be imported again
+export const BOOK_IMPORT_FIELDS = [
+	'isbn',
+	'title',
+	'author',
+	'price',
+	'stock',
+	'categories',
+	'description',
+	'imagePath',
+];
+
+//categories are slugs, in a csv cell they are separated by |
+export const CATEGORY_SEPARATOR = '|';
+
+export const IMPORT_FORMATS = {
+	csv: { contentType: 'text/csv', extension: 'csv' },
+	jsonl: { contentType: 'application/x-ndjson', extension: 'jsonl' },
+};
+
+//content types express.text should read for the import route
+export const IMPORT_CONTENT_TYPES = [
+	'text/csv',
+	'application/x-ndjson',
+	'application/jsonl',
+	'text/plain',
+];
+
+export const getMaxImportRows = () =>
+	parseInt(process.env.BOOK_IMPORT_MAX_ROWS) || 5000;
+
+/**
+ * pick the format from ?format= or the content type
+ * @returns {string|null} csv, jsonl or null if unknown
+ */
+export const getImportFormat = (req) => {
+	if (req.query.format) {
+		return IMPORT_FORMATS[req.query.format] ? req.query.format : null;
+	}
+	if (req.is('text/csv')) return 'csv';
+	if (req.is(['application/x-ndjson', 'application/jsonl'])) return 'jsonl';
+	return null;
+};
+
+/**
+ * split an import file into rows
+ * a row that cant be read gets an error instead of data, a bad header fails the whole file
+ * @param {string} text = request body
+ * @param {string} format = csv or jsonl
+ * @returns {Array} [{ row, data } | { row, errors }], row = line number in the file
+ */
+export const parseImportRows = (text, format) => {
+	if (format === 'csv') {
+		const [header, ...records] = parseCsv(text);
+		if (!header) return [];
+
+		const columns = header.values.map((column) => column.trim());
+		const unknown = columns.filter((c) => !BOOK_IMPORT_FIELDS.includes(c));
+		if (unknown.length > 0) {
+			throw new Error(`Unknown columns: ${unknown.join(', ')}`);
+		}
+
+		return records.map(({ line, values }) => {
+			if (values.length !== columns.length) {
+				return {
+					row: line,
+					errors: [`Expected ${columns.length} values, got ${values.length}`],
+				};
+			}
+			return {
+				row: line,
+				data: Object.fromEntries(columns.map((c, i) => [c, values[i]])),
+			};
+		});
+	}
+
+	return text.split(/\r?\n/).flatMap((lineText, i) => {
+		if (!lineText.trim()) return [];
+
+		try {
+			const data = JSON.parse(lineText);
+			if (!data || typeof data !== 'object' || Array.isArray(data)) {
+				return [{ row: i + 1, errors: ['Line must be a JSON object'] }];
+			}
+
+			const unknown = Object.keys(data).filter(
+				(key) => !BOOK_IMPORT_FIELDS.includes(key)
+			);
+			if (unknown.length > 0) {
+				return [
+					{ row: i + 1, errors: [`Unknown fields: ${unknown.join(', ')}`] },
+				];
+			}
+			return [{ row: i + 1, data }];
+		} catch {
+			return [{ row: i + 1, errors: ['Invalid JSON'] }];
+		}
+	});
+};
+
+/**
+ * clean up one row, csv gives strings for everything
+ * empty values are dropped so an update never blanks a field
+ */
+export const normalizeBookRow = (data) => {
+	const book = {};
+
+	for (const field of BOOK_IMPORT_FIELDS) {
+		let value = data[field];
+		if (typeof value === 'string') value = value.trim();
+		if (value === undefined || value === null || value === '') continue;
+
+		if ((field === 'price' || field === 'stock') && typeof value === 'string') {
+			value = Number(value);
+		}
+		if (field === 'isbn') value = normalizeIsbn(value);
+		if (field === 'categories') {
+			value = (
+				Array.isArray(value) ? value : `${value}`.split(CATEGORY_SEPARATOR)
+			)
+				.map((slug) => (typeof slug === 'string' ? slug.trim() : slug))
+				.filter((slug) => slug !== '');
+			if (value.length === 0) continue;
+		}
+
+		book[field] = value;
+	}
+
+	return book;
+};
+
+/**
+ * key a row is matched on, isbn if it has one, title + author otherwise
+ */
+export const getBookRowKey = (book) =>
+	book.isbn
+		? `isbn:${book.isbn}`
+		: `title:${`${book.title}`.toLowerCase()}|${`${book.author}`.toLowerCase()}`;
+
+/**
+ * write one export line, waits when the client is reading slower than we write
+ * @returns {Promise<boolean>} false once the client is gone
+ */
+export const writeExportLine = async (res, line) => {
+	if (res.destroyed) return false;
+	if (!res.write(line)) {
+		await Promise.race([once(res, 'drain'), once(res, 'close')]);
+	}
+	return !res.destroyed;
+};
+
+/**
+ * format one book for the export, categories have to be populated with their slug
+ */
+export const formatExportLine = (book, format) => {
+	const row = {
+		...book,
+		categories: book.categories?.map((category) => category.slug),
+	};
+
+	if (format === 'csv') {
+		return toCsvRow(
+			BOOK_IMPORT_FIELDS.map((field) =>
+				Array.isArray(row[field])
+					? row[field].join(CATEGORY_SEPARATOR)
+					: row[field]
+			)
+		);
+	}
+
+	return `${JSON.stringify(
+		Object.fromEntries(
+			BOOK_IMPORT_FIELDS.filter((field) => row[field] !== undefined).map(
+				(field) => [field, row[field]]
+			)
+		)
+	)}\n`;
+};
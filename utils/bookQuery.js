@@ -0,0 +1,242 @@
+import mongoose from 'mongoose';
+import Category from '../models/category.js';
+
+//fields the catalog can be sorted by / selected, anything else is rejected
+export const BOOK_SORT_FIELDS = [
+	'title',
+	'author',
+	'price',
+	'rating',
+	'reviewCount',
+	'stock',
+	'createdAt',
+];
+export const BOOK_SELECT_FIELDS = [
+	'title',
+	'author',
+	'price',
+	'description',
+	'imagePath',
+	'stock',
+	'categories',
+	'rating',
+	'reviewCount',
+	'createdAt',
+	'updatedAt',
+];
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+//?a=x&a=y comes in as an array, ?a=x,y as a string, both mean the same
+const toList = (value) =>
+	[]
+		.concat(value)
+		.join(',')
+		.split(',')
+		.map((item) => item.trim())
+		.filter(Boolean);
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const parseNumber = (value) => {
+	if (value === undefined || value === '') return undefined;
+	return Number(value);
+};
+
+/**
+ * turn an opaque cursor back into the sort values of the last book of the previous page
+ * @returns {Array|null} values in sort order, _id last, null if malformed
+ */
+const decodeCursor = (cursor, sort) => {
+	try {
+		const values = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+		if (!Array.isArray(values) || values.length !== sort.length) return null;
+
+		//json loses the types, give dates and ids back theirs
+		return values.map((value, i) => {
+			if (sort[i].field === 'createdAt') return new Date(value);
+			if (sort[i].field === '_id') return new mongoose.Types.ObjectId(value);
+			return value;
+		});
+	} catch {
+		return null;
+	}
+};
+
+/**
+ * build the cursor pointing after the given book
+ */
+export const encodeCursor = (book, sort) => {
+	const values = sort.map(({ field }) => book[field]);
+	return Buffer.from(JSON.stringify(values)).toString('base64url');
+};
+
+/**
+ * validate and normalize the query params of GET /api/books
+ * @param {object} query = req.query
+ * @param {object} settings = { allowCursor, defaultLimit }
+ * @returns {object} { errors, options }
+ */
+export const parseBookListQuery = (
+	query = {},
+	{ allowCursor = true, defaultLimit = DEFAULT_LIMIT } = {}
+) => {
+	const errors = [];
+	const options = {};
+
+	//pagination, page based unless a cursor is sent
+	const limit = parseNumber(query.limit);
+	if (
+		limit !== undefined &&
+		(!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT)
+	) {
+		errors.push(`limit must be a whole number between 1 and ${MAX_LIMIT}`);
+	}
+	options.limit = limit || defaultLimit;
+
+	const page = parseNumber(query.page);
+	if (page !== undefined && (!Number.isInteger(page) || page < 1)) {
+		errors.push('page must be a whole number of at least 1');
+	}
+	options.page = page || 1;
+
+	if (query.cursor !== undefined && !allowCursor) {
+		errors.push('cursor is not supported here, use page');
+	} else if (query.cursor !== undefined && query.page !== undefined) {
+		errors.push('Use either page or cursor, not both');
+	}
+
+	//filters, categories are slugs or ids, checked against the db by resolveCategoryOptions
+	if (query.category !== undefined) {
+		options.categories = toList(query.category);
+	}
+
+	if (query.author !== undefined) {
+		if (typeof query.author !== 'string' || !query.author.trim()) {
+			errors.push('author must be a non empty string');
+		}
+		options.author = `${query.author}`.trim();
+	}
+
+	const minPrice = parseNumber(query.minPrice);
+	const maxPrice = parseNumber(query.maxPrice);
+	if (minPrice !== undefined && !(minPrice >= 0)) {
+		errors.push('minPrice must be a number of at least 0');
+	}
+	if (maxPrice !== undefined && !(maxPrice >= 0)) {
+		errors.push('maxPrice must be a number of at least 0');
+	}
+	if (minPrice > maxPrice) {
+		errors.push('minPrice cannot be greater than maxPrice');
+	}
+	options.minPrice = minPrice;
+	options.maxPrice = maxPrice;
+
+	if (query.inStock !== undefined) {
+		if (!['true', 'false'].includes(query.inStock)) {
+			errors.push('inStock must be true or false');
+		}
+		options.inStock = query.inStock === 'true';
+	}
+
+	const minRating = parseNumber(query.minRating);
+	if (minRating !== undefined && !(minRating >= 0 && minRating <= 5)) {
+		errors.push('minRating must be a number between 0 and 5');
+	}
+	options.minRating = minRating;
+
+	//sort, e.g. "-rating,price", _id always last so the order is stable
+	const sort = [];
+	for (const item of query.sort !== undefined
+		? toList(query.sort)
+		: ['-createdAt']) {
+		const field = item.replace(/^[-+]/, '');
+		if (!BOOK_SORT_FIELDS.includes(field)) {
+			errors.push(`Cannot sort by: ${field}`);
+		} else if (!sort.some((s) => s.field === field)) {
+			sort.push({ field, direction: item.startsWith('-') ? -1 : 1 });
+		}
+	}
+	sort.push({ field: '_id', direction: sort[0]?.direction ?? -1 });
+	options.sort = sort;
+
+	//field selection, the sort fields are always included so cursors keep working
+	if (query.fields !== undefined) {
+		const fields = toList(query.fields);
+		const unknown = fields.filter((f) => !BOOK_SELECT_FIELDS.includes(f));
+		if (unknown.length > 0) {
+			errors.push(`Unknown fields: ${unknown.join(', ')}`);
+		}
+		options.fields = [...new Set([...fields, ...sort.map((s) => s.field)])];
+	}
+
+	if (query.cursor !== undefined && allowCursor) {
+		options.cursor = decodeCursor(`${query.cursor}`, sort);
+		if (!options.cursor) {
+			errors.push('Invalid cursor');
+		}
+	}
+
+	return { errors, options };
+};
+
+/**
+ * look up the categories of the parsed options, a category also matches everything nested under it
+ * sets options.categoryIds
+ * @returns {Promise<Array>} requested categories that dont exist
+ */
+export const resolveCategoryOptions = async (options) => {
+	if (!options.categories?.length) return [];
+
+	const { ids, unknown } = await Category.resolve(options.categories);
+	options.categoryIds = await Category.findDescendantIds(ids);
+	return unknown;
+};
+
+/**
+ * mongo filter for the parsed options, cursor excluded
+ * archived books are never part of the catalog
+ */
+export const buildBookFilter = (options) => {
+	const filter = { archivedAt: null };
+
+	if (options.categoryIds?.length) {
+		filter.categories = { $in: options.categoryIds };
+	}
+	if (options.author) {
+		filter.author = { $regex: escapeRegex(options.author), $options: 'i' };
+	}
+	if (options.minPrice !== undefined || options.maxPrice !== undefined) {
+		filter.price = {};
+		if (options.minPrice !== undefined) filter.price.$gte = options.minPrice;
+		if (options.maxPrice !== undefined) filter.price.$lte = options.maxPrice;
+	}
+	if (options.inStock === true) filter.stock = { $gt: 0 };
+	if (options.inStock === false) filter.stock = { $lte: 0 };
+	if (options.minRating !== undefined) {
+		filter.rating = { $gte: options.minRating };
+	}
+
+	return filter;
+};
+
+/**
+ * keyset condition, books that come after the cursor in the given sort
+ * (a > x) or (a = x and b > y) or ...
+ */
+export const buildCursorFilter = (cursor, sort) => {
+	const or = sort.map(({ field, direction }, i) => {
+		const condition = {};
+		for (let j = 0; j < i; j++) {
+			condition[sort[j].field] = cursor[j];
+		}
+		condition[field] = { [direction === 1 ? '$gt' : '$lt']: cursor[i] };
+		return condition;
+	});
+
+	return { $or: or };
+};
+
+export const toMongoSort = (sort) =>
+	Object.fromEntries(sort.map(({ field, direction }) => [field, direction]));
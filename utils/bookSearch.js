@@ -0,0 +1,216 @@
+import { buildBookFilter, toMongoSort } from './bookQuery.js';
+
+//price facet buckets (NPR), the last one is "5000 and more"
+export const PRICE_BUCKETS = [0, 500, 1000, 2000, 5000];
+
+const MAX_SUGGEST_QUERY_LENGTH = 50;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * one aggregation for a full text search, the page of hits, the total and the facets
+ * each facet ignores its own filter, so picking a category still shows the other categories counts
+ * @param {string} text = search string
+ * @param {object} options = parsed list options (parseBookListQuery)
+ * @returns {Array} aggregation pipeline
+ */
+export const buildSearchPipeline = (text, options) => {
+	const { page, limit, sort, fields } = options;
+
+	const baseFilter = buildBookFilter({
+		...options,
+		categoryIds: undefined,
+		minPrice: undefined,
+		maxPrice: undefined,
+	});
+	const categoryFilter = buildBookFilter({
+		categoryIds: options.categoryIds,
+	});
+	const priceFilter = buildBookFilter({
+		minPrice: options.minPrice,
+		maxPrice: options.maxPrice,
+	});
+
+	const hits = [
+		{ $sort: { score: -1, ...toMongoSort(sort) } },
+		{ $skip: (page - 1) * limit },
+		{ $limit: limit },
+	];
+	if (fields) {
+		hits.push({
+			$project: Object.fromEntries(
+				[...fields, 'score'].map((field) => [field, 1])
+			),
+		});
+	}
+
+	return [
+		//$text has to be in the first stage
+		{ $match: { $text: { $search: text }, ...baseFilter } },
+		{ $addFields: { score: { $meta: 'textScore' } } },
+		{
+			$facet: {
+				hits: [{ $match: { ...categoryFilter, ...priceFilter } }, ...hits],
+				total: [
+					{ $match: { ...categoryFilter, ...priceFilter } },
+					{ $count: 'count' },
+				],
+				//counted per category a book is directly in
+				categories: [
+					{ $match: priceFilter },
+					{ $unwind: '$categories' },
+					{ $group: { _id: '$categories', count: { $sum: 1 } } },
+					{
+						$lookup: {
+							from: 'categories',
+							localField: '_id',
+							foreignField: '_id',
+							as: 'category',
+						},
+					},
+					{ $unwind: '$category' },
+					{ $sort: { count: -1, 'category.name': 1 } },
+				],
+				priceRanges: [
+					{ $match: categoryFilter },
+					{
+						$bucket: {
+							groupBy: '$price',
+							boundaries: PRICE_BUCKETS,
+							default: PRICE_BUCKETS[PRICE_BUCKETS.length - 1],
+							output: { count: { $sum: 1 } },
+						},
+					},
+				],
+			},
+		},
+	];
+};
+
+/**
+ * shape the raw $facet output for the response
+ */
+export const formatFacets = (result) => ({
+	categories: result.categories.map(({ _id, category, count }) => ({
+		id: _id,
+		slug: category.slug,
+		name: category.name,
+		count,
+	})),
+	priceRanges: result.priceRanges.map(({ _id, count }) => {
+		const next = PRICE_BUCKETS[PRICE_BUCKETS.indexOf(_id) + 1];
+		return { min: _id, max: next ?? null, count };
+	}),
+});
+
+/**
+ * edit distance where a swap of two neighbouring characters counts as one edit
+ * small strings only (suggest terms)
+ */
+const editDistance = (a, b) => {
+	const rows = [Array.from({ length: b.length + 1 }, (_, j) => j)];
+
+	for (let i = 1; i <= a.length; i++) {
+		rows[i] = [i];
+		for (let j = 1; j <= b.length; j++) {
+			rows[i][j] = Math.min(
+				rows[i - 1][j] + 1,
+				rows[i][j - 1] + 1,
+				rows[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+			);
+			if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+				rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+			}
+		}
+	}
+
+	return rows[a.length][b.length];
+};
+
+/**
+ * regex matching a word that starts with the term, allowing one typo
+ * (one missing, extra, wrong or swapped character) once the term is 3+ characters
+ */
+export const buildSuggestRegex = (term) => {
+	const variants = [escapeRegex(term)];
+
+	if (term.length >= 3) {
+		for (let i = 0; i < term.length; i++) {
+			const before = escapeRegex(term.slice(0, i));
+			const after = escapeRegex(term.slice(i + 1));
+			variants.push(`${before}.${after}`); //wrong character
+			variants.push(`${before}${after}`); //missing character
+			variants.push(`${before}.${escapeRegex(term.slice(i))}`); //extra character
+			if (i < term.length - 1) {
+				variants.push(
+					`${before}${escapeRegex(term[i + 1] + term[i])}${escapeRegex(term.slice(i + 2))}`
+				); //swapped characters
+			}
+		}
+	}
+
+	return new RegExp(`(^|\\s)(${variants.join('|')})`, 'i');
+};
+
+/**
+ * how well a title / author matches what was typed so far, lower is better, null = no match
+ * 0 = the value starts with the term, 1 = a word starts with it, 2 = a word starts with it give or take a typo
+ */
+const matchRank = (value, term) => {
+	const lowerValue = value.toLowerCase().replace(/\s+/g, ' ');
+	if (lowerValue.startsWith(term)) return 0;
+	if (lowerValue.includes(` ${term}`)) return 1;
+	if (term.length < 3) return null;
+
+	//the term is only a prefix, compare it with the start of every word, one character more or less
+	const wordStarts = [0];
+	for (let i = 0; i < lowerValue.length; i++) {
+		if (lowerValue[i] === ' ') wordStarts.push(i + 1);
+	}
+	const isClose = wordStarts.some((start) =>
+		[term.length - 1, term.length, term.length + 1].some(
+			(length) =>
+				editDistance(lowerValue.slice(start, start + length), term) <= 1
+		)
+	);
+	return isClose ? 2 : null;
+};
+
+/**
+ * normalize the search as you type term, null if unusable
+ */
+export const normalizeSuggestTerm = (term) => {
+	if (typeof term !== 'string') return null;
+	const normalized = term.trim().toLowerCase().replace(/\s+/g, ' ');
+	if (!normalized || normalized.length > MAX_SUGGEST_QUERY_LENGTH) return null;
+	return normalized;
+};
+
+/**
+ * rank candidate books for the suggest box, best title / author match first
+ * @param {Array} books = candidates with title and author
+ * @param {string} term = normalized term
+ * @param {number} limit = max suggestions
+ */
+export const rankSuggestions = (books, term, limit) => {
+	return books
+		.map((book) => {
+			const titleRank = matchRank(book.title, term);
+			const authorRank = matchRank(book.author, term);
+			if (titleRank === null && authorRank === null) return null;
+
+			const onTitle =
+				titleRank !== null && (authorRank === null || titleRank <= authorRank);
+			return {
+				id: book._id,
+				title: book.title,
+				author: book.author,
+				matchedOn: onTitle ? 'title' : 'author',
+				rank: onTitle ? titleRank : authorRank,
+			};
+		})
+		.filter(Boolean)
+		.sort((a, b) => a.rank - b.rank || a.title.localeCompare(b.title))
+		.slice(0, limit)
+		.map(({ rank, ...suggestion }) => suggestion);
+};
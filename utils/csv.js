@@ -0,0 +1,89 @@
+/**
+ * small rfc 4180 csv reader / writer, enough for catalog import / export
+ * quoted fields can contain commas, newlines and "" for a quote
+ */
+
+/**
+ * parse csv text into records
+ * @param {string} text = csv content
+ * @returns {Array} [{ line, values }], line = where the record starts (1 based)
+ * @throws {Error} on an unterminated quoted field
+ */
+export const parseCsv = (text) => {
+	const records = [];
+	let values = [];
+	let field = '';
+	let inQuotes = false;
+	let line = 1;
+	let recordLine = 1;
+
+	//skip the byte order mark excel likes to add
+	const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+	const endRecord = () => {
+		values.push(field);
+		//blank lines are not records
+		if (values.length > 1 || values[0].trim() !== '') {
+			records.push({ line: recordLine, values });
+		}
+		values = [];
+		field = '';
+	};
+
+	for (let i = 0; i < input.length; i++) {
+		const char = input[i];
+
+		if (inQuotes) {
+			if (char === '"' && input[i + 1] === '"') {
+				field += '"';
+				i++;
+			} else if (char === '"') {
+				inQuotes = false;
+			} else {
+				if (char === '\n') line++;
+				field += char;
+			}
+			continue;
+		}
+
+		if (char === '"') {
+			inQuotes = true;
+		} else if (char === ',') {
+			values.push(field);
+			field = '';
+		} else if (char === '\n' || char === '\r') {
+			//treat \r\n as one line break
+			if (char === '\r' && input[i + 1] === '\n') i++;
+			endRecord();
+			line++;
+			recordLine = line;
+		} else {
+			field += char;
+		}
+	}
+
+	if (inQuotes) {
+		throw new Error(`Unterminated quoted field starting on line ${recordLine}`);
+	}
+	if (field !== '' || values.length > 0) endRecord();
+
+	return records;
+};
+
+/**
+ * one csv line from a list of values, quotes only when needed
+ * text starting with = + - @ (or a tab / carriage return) gets a leading ' so spreadsheets dont run it as a formula
+ */
+export const toCsvRow = (values) =>
+	values
+		.map((value) => {
+			if (value === undefined || value === null) return '';
+
+			let text = value instanceof Date ? value.toISOString() : `${value}`;
+			if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+				text = `'${text}`;
+			}
+
+			return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+		})
+		.join(',') + '\r\n';
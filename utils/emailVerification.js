@@ -0,0 +1,58 @@
+import jwt from 'jsonwebtoken';
+import { EMAIL_TEMPLATES } from '../constants/messages.js';
+import { sendMail } from './mailer.js';
+
+const getVerificationSecret = () =>
+	process.env.EMAIL_VERIFICATION_SECRET || process.env.JWT_SECRET;
+
+/**
+ * is the verified email policy on, env REQUIRE_EMAIL_VERIFICATION, on by default
+ * @returns {boolean}
+ */
+export const isEmailVerificationRequired = () =>
+	process.env.REQUIRE_EMAIL_VERIFICATION !== 'false';
+
+/**
+ * signed verification token, the email is inside so the link dies if the email changes
+ * @param {object} user = user document
+ * @returns {string} JWT
+ */
+export const generateEmailVerificationToken = (user) => {
+	return jwt.sign(
+		{ userId: user._id, email: user.email, type: 'email_verification' },
+		getVerificationSecret(),
+		{ expiresIn: process.env.EMAIL_VERIFICATION_EXPIRES_IN || '24h' }
+	);
+};
+
+/**
+ * verify the token from the link, throws if invalid or expired
+ * @param {string} token = JWT from the link
+ * @returns {object} decoded payload
+ */
+export const verifyEmailVerificationToken = (token) => {
+	const decoded = jwt.verify(token, getVerificationSecret());
+	if (decoded.type !== 'email_verification') {
+		throw new jwt.JsonWebTokenError('not an email verification token');
+	}
+	return decoded;
+};
+
+/**
+ * send the verification link and remember when, for the resend cooldown
+ * @param {object} user = user document, saved by this function
+ */
+export const sendVerificationEmail = async (user) => {
+	const token = generateEmailVerificationToken(user);
+	const verifyUrl = `${
+		process.env.CLIENT_URL || 'http://localhost:3000'
+	}/verify-email/${token}`;
+
+	await sendMail({
+		to: user.email,
+		...EMAIL_TEMPLATES.EMAIL_VERIFICATION(user, verifyUrl),
+	});
+
+	user.verificationEmailSentAt = new Date();
+	await user.save();
+};
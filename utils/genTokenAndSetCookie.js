@@ -1,31 +1,125 @@
 import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
+import Session from '../models/session.js';
+
+//access token lifetime in minutes, configurable
+const getAccessTokenMinutes = () =>
+	parseInt(process.env.ACCESS_TOKEN_EXPIRE_MINUTES) || 15;
+
+//refresh token lifetime in days, configurable
+const getRefreshTokenDays = () =>
+	parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 15;
+
+const getRefreshSecret = () =>
+	process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET;
+
+//function so env is read at request time, not at import time
+const cookieOptions = () => ({
+	httpOnly: true, //xss - cross site scripting ko biruddha samrakhsan garne
+	secure: process.env.NODE_ENV === 'production', //only send cookies over http in production
+	sameSite: 'strict', //csrf protection - cross site requst forgery vancha kyare
+});
 
 /**
- * Generate jwt token
+ * Generate short lived jwt access token
  * @param {string} userId = User id to encoed in the token
+ * @param {string} sessionId = Session the token belongs to
  * @returns {string} JWT token
  */
-export const generateToken = (userId) => {
-	return jwt.sign({ userId }, process.env.JWT_SECRET, { expiresIn: '15d' });
+export const generateToken = (userId, sessionId) => {
+	return jwt.sign({ userId, sessionId }, process.env.JWT_SECRET, {
+		expiresIn: `${getAccessTokenMinutes()}m`,
+	});
+};
+
+/**
+ * Generate refresh token, jwtid makes every rotated token unique
+ * @param {string} userId = User id to encode in the token
+ * @param {string} sessionId = Session (token family) the token belongs to
+ * @returns {string} refresh JWT
+ */
+export const generateRefreshToken = (userId, sessionId) => {
+	return jwt.sign({ userId, sessionId, type: 'refresh' }, getRefreshSecret(), {
+		expiresIn: `${getRefreshTokenDays()}d`,
+		jwtid: crypto.randomBytes(16).toString('hex'),
+	});
+};
+
+/**
+ * verify a refresh token, throws if invalid, expired or not a refresh token
+ * @param {string} token = refresh JWT
+ * @returns {object} decoded payload
+ */
+export const verifyRefreshToken = (token) => {
+	const decoded = jwt.verify(token, getRefreshSecret());
+	if (decoded.type !== 'refresh') {
+		throw new jwt.JsonWebTokenError('not a refresh token');
+	}
+	return decoded;
+};
+
+/**
+ * set both auth cookies, refresh cookie is only sent to the auth routes
+ * @param {object} res = express response
+ * @param {string} accessToken = access JWT
+ * @param {string} refreshToken = refresh JWT
+ */
+export const setAuthCookies = (res, accessToken, refreshToken) => {
+	res.cookie('jwt', accessToken, {
+		...cookieOptions(),
+		maxAge: getAccessTokenMinutes() * 60 * 1000,
+	});
+
+	res.cookie('refreshToken', refreshToken, {
+		...cookieOptions(),
+		maxAge: getRefreshTokenDays() * 24 * 60 * 60 * 1000,
+		path: '/api/auth',
+	});
+};
+
+/**
+ * mobile / script clients cant use httpOnly cookies, they send X-Auth-Mode: token
+ * and get the tokens in the response body to use as Authorization: Bearer
+ * @param {object} req = express request
+ * @returns {boolean}
+ */
+export const wantsTokensInBody = (req) => req.get('x-auth-mode') === 'token';
+
+/**
+ * clear both auth cookies
+ * @param {object} res = express response
+ */
+export const clearAuthCookies = (res) => {
+	res.cookie('jwt', '', { maxAge: 0 });
+	res.cookie('refreshToken', '', { maxAge: 0, path: '/api/auth' });
 };
 
 /**
- * set the jwt token and gen the cookie, the naming is opposite through no fault of my own, oops
+ * start a new session, gen the token pair and set the cookies, the naming is opposite through no fault of my own, oops
  * @param {string} userId = User id to encode in the token
  * @param {object} res = express ko respone objeck aka response, idk what elso to say about it
- * @return {string} the gen token
+ * @param {object} req = express request, used for device info on the session
+ * @return {Promise<object>} the gen tokens and the session
  */
-export const genTokenAndSetCookie = (userId, res) => {
-	const token = generateToken(userId);
-
-	res.cookie('jwt', token, {
-		maxAge: 15 * 24 * 60 * 60 * 1000, //15 days milis
-		httpOnly: true, //xss - cross site scripting ko biruddha samrakhsan garne
-		secure: process.env.NODE_ENV === 'production', //only send cookies over http in production
-		sameSite: 'strict', //csrf protection - cross site requst forgery vancha kyare
+export const genTokenAndSetCookie = async (userId, res, req) => {
+	const session = new Session({
+		userId,
+		userAgent: req?.get('user-agent'),
+		ip: req?.ip,
+		expiresAt: new Date(
+			Date.now() + getRefreshTokenDays() * 24 * 60 * 60 * 1000
+		),
 	});
 
-	return token;
+	const accessToken = generateToken(userId, session._id);
+	const refreshToken = generateRefreshToken(userId, session._id);
+
+	session.refreshTokenHash = Session.hashToken(refreshToken);
+	await session.save();
+
+	setAuthCookies(res, accessToken, refreshToken);
+
+	return { accessToken, refreshToken, session };
 };
 
 export default genTokenAndSetCookie;
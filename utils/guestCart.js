@@ -0,0 +1,35 @@
+import crypto from 'crypto';
+import { getGuestCartDays } from '../models/cart.js';
+
+/**
+ * guest carts
+ * visitors that arent logged in get a random cart id in a signed cookie (see cookieParser in server.js),
+ * a tampered cookie fails the signature check and is ignored
+ * the cart is merged into the users own cart on login / register
+ */
+const GUEST_CART_COOKIE = 'guestCart';
+
+/**
+ * @returns {string|undefined} guest cart id from the signed cookie
+ */
+export const getGuestCartId = (req) =>
+	req.signedCookies?.[GUEST_CART_COOKIE] || undefined;
+
+/**
+ * a new guest cart id, set it with setGuestCartCookie
+ */
+export const createGuestCartId = () => crypto.randomUUID();
+
+export const setGuestCartCookie = (res, guestId) => {
+	res.cookie(GUEST_CART_COOKIE, guestId, {
+		httpOnly: true,
+		secure: process.env.NODE_ENV === 'production',
+		sameSite: 'strict',
+		signed: true,
+		maxAge: getGuestCartDays() * 24 * 60 * 60 * 1000,
+	});
+};
+
+export const clearGuestCartCookie = (res) => {
+	res.cookie(GUEST_CART_COOKIE, '', { maxAge: 0 });
+};
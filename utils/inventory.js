@@ -0,0 +1,173 @@
+import Book from '../models/book.js';
+import InventoryMovement from '../models/inventoryMovement.js';
+import StockSubscription from '../models/stockSubscription.js';
+import { EMAIL_TEMPLATES } from '../constants/messages.js';
+import { sendMail } from './mailer.js';
+
+/**
+ * inventory
+ * every change of the stock on hand (stock + reserved) goes into the InventoryMovement ledger
+ * a variant dropping to its low stock threshold mails LOW_STOCK_ALERT_EMAIL (comma separated),
+ * a variant coming back from 0 mails the customers who asked to be notified
+ */
+
+//LOW_STOCK_THRESHOLD env, def to 5, 0 only alerts when sold out
+export const getDefaultLowStockThreshold = () => {
+	const threshold = parseInt(process.env.LOW_STOCK_THRESHOLD);
+	return Number.isNaN(threshold) ? 5 : threshold;
+};
+
+export const getLowStockThreshold = (variant) =>
+	variant.lowStockThreshold ?? getDefaultLowStockThreshold();
+
+const getAlertRecipients = () =>
+	(process.env.LOW_STOCK_ALERT_EMAIL || '')
+		.split(',')
+		.map((email) => email.trim())
+		.filter(Boolean);
+
+/**
+ * write a stock change into the ledger
+ * @param {Document} book = book after the change
+ * @param {ObjectId} variantId = variant that changed
+ * @param {object} movement = { type, quantity, reason, orderId, createdBy, apiKeyId }
+ */
+export const recordMovement = (book, variantId, movement) => {
+	const variant = book.variants.id(variantId);
+
+	return InventoryMovement.create({
+		bookId: book._id,
+		variantId,
+		sku: variant?.sku,
+		//a variant that is gone has nothing on hand
+		balance: variant ? variant.stock + (variant.reserved || 0) : 0,
+		...movement,
+	});
+};
+
+const sendLowStockAlert = async (book, variant, threshold) => {
+	const recipients = getAlertRecipients();
+	if (recipients.length === 0) {
+		console.warn(
+			`Low stock: ${book.title} (${variant.sku}) has ${variant.stock} left`
+		);
+		return;
+	}
+
+	await sendMail({
+		to: recipients.join(', '),
+		...EMAIL_TEMPLATES.LOW_STOCK_ALERT(book, variant, threshold),
+	});
+};
+
+const notifyBackInStock = async (book, variant) => {
+	const subscriptions = await StockSubscription.find({
+		bookId: book._id,
+		variantId: { $in: [null, variant._id] },
+		notifiedAt: null,
+	}).populate('userId', 'name email isActive');
+
+	const bookUrl = `${
+		process.env.CLIENT_URL || 'http://localhost:3000'
+	}/books/${book._id}`;
+
+	for (const subscription of subscriptions) {
+		//claimed first, two restocks at the same time only send one mail
+		const claimed = await StockSubscription.updateOne(
+			{ _id: subscription._id, notifiedAt: null },
+			{ $set: { notifiedAt: new Date() } }
+		);
+		const user = subscription.userId;
+		if (claimed.modifiedCount === 0 || !user?.isActive) continue;
+
+		await sendMail({
+			to: user.email,
+			...EMAIL_TEMPLATES.BACK_IN_STOCK(user, book, variant, bookUrl),
+		});
+	}
+};
+
+/**
+ * act on a variants sellable stock going from previousStock to what the book has now
+ * low stock alert when it drops to the threshold, back in stock mails when it comes back from 0
+ * never throws, a mail that couldnt be sent shouldnt undo the stock change
+ * @param {Document} book = book after the change
+ * @param {ObjectId} variantId = variant that changed
+ * @param {number} previousStock = sellable stock of the variant before
+ */
+export const handleStockChange = async (book, variantId, previousStock) => {
+	try {
+		const variant = book.variants.id(variantId);
+		if (!variant) return;
+
+		const threshold = getLowStockThreshold(variant);
+		if (variant.stock <= threshold && previousStock > threshold) {
+			await sendLowStockAlert(book, variant, threshold);
+		}
+
+		if (variant.stock > 0 && previousStock <= 0 && !book.archivedAt) {
+			await notifyBackInStock(book, variant);
+		}
+	} catch (error) {
+		console.error('Stock notification error:', error.message);
+	}
+};
+
+/**
+ * change a variants stock by hand (restock, return, adjustment) and log it
+ * @param {ObjectId} bookId = book of the variant
+ * @param {ObjectId} variantId = variant to change
+ * @param {object} movement = ledger entry, quantity is the signed change
+ * @returns {Promise<object|null>} { book, movement }, null if there wasnt enough stock to take out
+ */
+export const moveStock = async (bookId, variantId, movement) => {
+	const book = await Book.adjustVariantStock(
+		bookId,
+		variantId,
+		movement.quantity
+	);
+	if (!book) return null;
+
+	const entry = await recordMovement(book, variantId, movement);
+	await handleStockChange(
+		book,
+		variantId,
+		book.variants.id(variantId).stock - movement.quantity
+	);
+	return { book, movement: entry };
+};
+
+/**
+ * ledger entries for stock that was set directly on the variants (book / variant edits, imports)
+ * variants that didnt exist before count as a restock, variants that are gone take their stock out as an adjustment
+ * @param {Array} before = the variants before the change, plain objects
+ * @param {Document} book = the saved book
+ * @param {object} meta = { reason, createdBy, apiKeyId }
+ */
+export const recordStockEdits = async (before, book, meta = {}) => {
+	for (const variant of book.variants) {
+		const previous = before.find((old) => variant._id.equals(old._id));
+		const quantity = variant.stock - (previous?.stock ?? 0);
+		if (quantity === 0) continue;
+
+		await recordMovement(book, variant._id, {
+			...meta,
+			type: previous ? 'adjustment' : 'restock',
+			quantity,
+			reason: previous ? meta.reason : 'Initial stock',
+		});
+		if (previous) await handleStockChange(book, variant._id, previous.stock);
+	}
+
+	for (const previous of before) {
+		const onHand = previous.stock + (previous.reserved || 0);
+		if (book.variants.id(previous._id) || onHand === 0) continue;
+
+		await recordMovement(book, previous._id, {
+			...meta,
+			sku: previous.sku,
+			type: 'adjustment',
+			quantity: -onHand,
+		});
+	}
+};
@@ -0,0 +1,59 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * mail transports, each one takes a message object { to, subject, html }
+ * console - just prints the mail, good for local dev
+ * file - writes the mail as a json file into the outbox folder
+ * a real smtp / api transport can be plugged in with registerTransport
+ */
+const transports = {
+	console: async (mail) => {
+		console.log('\n---------- OUTGOING MAIL ----------');
+		console.log(`To: ${mail.to}`);
+		console.log(`Subject: ${mail.subject}`);
+		console.log(mail.html);
+		console.log('-----------------------------------\n');
+	},
+
+	file: async (mail) => {
+		const outboxDir = process.env.MAIL_OUTBOX_DIR || 'outbox';
+		await fs.mkdir(outboxDir, { recursive: true });
+
+		//timestamp + recipient so the files sort nicely
+		const fileName = `${Date.now()}-${mail.to.replace(/[^a-z0-9]/gi, '_')}.json`;
+		await fs.writeFile(
+			path.join(outboxDir, fileName),
+			JSON.stringify({ ...mail, sentAt: new Date().toISOString() }, null, 2)
+		);
+	},
+};
+
+/**
+ * register a custom mail transport
+ * @param {string} name = name used in MAIL_TRANSPORT env
+ * @param {function} transport = async (mail) => {}
+ */
+export const registerTransport = (name, transport) => {
+	transports[name] = transport;
+};
+
+/**
+ * send mail using the transport from MAIL_TRANSPORT env, defaults to console
+ * @param {object} mail = { to, subject, html }
+ */
+export const sendMail = async (mail) => {
+	const transportName = process.env.MAIL_TRANSPORT || 'console';
+	const transport = transports[transportName];
+
+	if (!transport) {
+		throw new Error(`Unknown mail transport: ${transportName}`);
+	}
+
+	await transport({
+		from: process.env.MAIL_FROM || 'no-reply@bookstore.local',
+		...mail,
+	});
+};
+
+export default sendMail;
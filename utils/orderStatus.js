@@ -0,0 +1,72 @@
+import Order, { ORDER_TRANSITIONS } from '../models/order.js';
+
+/**
+ * order status
+ * every status change goes through transitionOrder, it only allows the moves in ORDER_TRANSITIONS
+ * and adds each one to the orders statusHistory with who made it
+ * cancelling an unpaid order also gives its stock back, use cancelOrder (utils/reservations.js) for that,
+ * returns and refunds undo the sale, use takeBackOrder for those
+ */
+
+export const canTransition = (from, to) =>
+	ORDER_TRANSITIONS[from]?.includes(to) ?? false;
+
+//statuses the status can be reached from
+const getSourceStatuses = (status) =>
+	Object.keys(ORDER_TRANSITIONS).filter((from) =>
+		ORDER_TRANSITIONS[from].includes(status)
+	);
+
+/**
+ * who is making a change, from the request
+ * @param {string} actor = customer or staff
+ * @param {string} note = optional
+ */
+export const getRequestActor = (req, actor, note) => ({
+	actor,
+	userId: req.userId,
+	apiKeyId: req.apiKey?._id,
+	note,
+});
+
+/**
+ * move an order to a new status, the check and the update are one write so two changes cant race
+ * @param {Document} order = order to change, the callers copy is updated too
+ * @param {string} status = new status
+ * @param {object} change = { actor, userId, apiKeyId, note } for the history
+ * @param {object} options = { match: extra conditions for the order, set: fields updated with the status,
+ * from: only move it from this status }
+ * @returns {Promise<Document|null>} the updated order, null if it cant move to the status (anymore)
+ */
+export const transitionOrder = async (
+	order,
+	status,
+	change,
+	{ match = {}, set = {}, from } = {}
+) => {
+	const sources = getSourceStatuses(status).filter(
+		(source) => !from || source === from
+	);
+	const updated = await Order.findOneAndUpdate(
+		{ ...match, _id: order._id, status: { $in: sources } },
+		{
+			$set: { ...set, status },
+			$push: { statusHistory: { ...change, status, at: new Date() } },
+		},
+		{ new: true }
+	);
+	if (!updated) return null;
+
+	//keep the callers copy in line with the db
+	order.set({ ...set, status, statusHistory: updated.statusHistory });
+	return updated;
+};
+
+/**
+ * error details for a move that isnt allowed
+ */
+export const getTransitionDetails = (order, status) => ({
+	from: order.status,
+	to: status,
+	allowed: ORDER_TRANSITIONS[order.status] || [],
+});
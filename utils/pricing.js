@@ -0,0 +1,139 @@
+import {
+	DELIVERY_ZONES,
+	FORMAT_WEIGHTS,
+	TAX_RULES,
+} from '../constants/pricing.js';
+import { roundMoney } from './promotions.js';
+
+/**
+ * checkout pricing
+ * items after the promotion discount + VAT + delivery + service charge = what the order costs
+ * createOrder stores the parts on the order and initEsewaPayment sends them to esewa as they are,
+ * the rules are in constants/pricing.js
+ */
+
+//VAT_RATE env in percent, def to 13
+export const getDefaultTaxRate = () => {
+	const rate = parseFloat(process.env.VAT_RATE);
+	return Number.isNaN(rate) ? 13 : rate;
+};
+
+//SERVICE_CHARGE_RATE env in percent of the items, def to 0
+export const getServiceChargeRate = () => {
+	const rate = parseFloat(process.env.SERVICE_CHARGE_RATE);
+	return Number.isNaN(rate) ? 0 : rate;
+};
+
+//an empty or missing list matches anything
+const listMatches = (list, value) =>
+	!list?.length || list.includes(`${value ?? ''}`.trim().toLowerCase());
+
+/**
+ * first region the address is in
+ * @param {Array} regions = { countries, states, cities } lists, lowercase
+ * @param {object} address = shipping address
+ */
+export const matchRegion = (regions, address) =>
+	regions.find(
+		(region) =>
+			listMatches(region.countries, address.country) &&
+			listMatches(region.states, address.state) &&
+			listMatches(region.cities, address.city)
+	);
+
+//grams, 0 = not shipped
+export const getVariantWeight = (variant) =>
+	variant.weight ?? FORMAT_WEIGHTS[variant.format] ?? 0;
+
+/**
+ * delivery charge of the shipped items, see DELIVERY_ZONES
+ * @param {object} address = shipping address
+ * @param {Array} parcels = { weight, quantity } of every item
+ * @param {number} itemsTotal = items after the discount, for the free delivery threshold
+ * @param {boolean} freeShipping = a free_shipping promotion is applied
+ * @returns {object|null} { zone, weight, amount }, null when no zone delivers to the address
+ */
+export const getDeliveryCharge = (
+	address,
+	parcels,
+	itemsTotal,
+	freeShipping = false
+) => {
+	const shipped = parcels.filter((parcel) => parcel.weight > 0);
+	const weight = shipped.reduce(
+		(sum, parcel) => sum + parcel.weight * parcel.quantity,
+		0
+	);
+	const copies = shipped.reduce((sum, parcel) => sum + parcel.quantity, 0);
+
+	//only digital items
+	if (copies === 0) return { zone: null, weight: 0, amount: 0 };
+
+	const zone = matchRegion(DELIVERY_ZONES, address);
+	if (!zone) return null;
+
+	if (freeShipping || (zone.freeOver != null && itemsTotal >= zone.freeOver)) {
+		return { zone: zone.name, weight, amount: 0 };
+	}
+
+	const extraKgs = Math.max(Math.ceil(weight / 1000) - 1, 0);
+	const amount =
+		zone.base + extraKgs * zone.perKg + (copies - 1) * (zone.perItem || 0);
+
+	return { zone: zone.name, weight, amount: roundMoney(amount) };
+};
+
+/**
+ * charges of an order on top of its items
+ * @param {object} pricing = from priceCart, total is the items after the discount
+ * @param {Array} parcels = { weight, quantity } of every order item
+ * @param {object} address = shipping address
+ * @returns {object|null} { itemsTotal, taxRate, tax, delivery, deliveryZone, weight, service, total },
+ * null when the address cant be delivered to
+ */
+export const priceCheckout = (pricing, parcels, address) => {
+	const itemsTotal = pricing.total;
+	const delivery = getDeliveryCharge(
+		address,
+		parcels,
+		itemsTotal,
+		pricing.discount?.freeShipping
+	);
+	if (!delivery) return null;
+
+	const taxRate =
+		matchRegion(TAX_RULES.regions, address)?.rate ?? getDefaultTaxRate();
+	const taxable =
+		itemsTotal + (TAX_RULES.includeDelivery ? delivery.amount : 0);
+	const tax = roundMoney((taxable * taxRate) / 100);
+	const service = roundMoney((itemsTotal * getServiceChargeRate()) / 100);
+
+	return {
+		itemsTotal,
+		taxRate,
+		tax,
+		delivery: delivery.amount,
+		deliveryZone: delivery.zone,
+		weight: delivery.weight,
+		service,
+		total: roundMoney(itemsTotal + tax + delivery.amount + service),
+	};
+};
+
+/**
+ * the amounts esewa wants, total_amount = amount + tax_amount + product_service_charge + product_delivery_charge
+ * orders from before the charges have everything in amount
+ */
+export const getEsewaAmounts = (order) => {
+	const tax = order.charges?.tax || 0;
+	const service = order.charges?.service || 0;
+	const delivery = order.charges?.delivery || 0;
+
+	return {
+		amount: roundMoney(order.totalAmount - tax - service - delivery),
+		tax_amount: tax,
+		product_service_charge: service,
+		product_delivery_charge: delivery,
+		total_amount: order.totalAmount,
+	};
+};
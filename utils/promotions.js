@@ -0,0 +1,206 @@
+import Category from '../models/category.js';
+import Promotion from '../models/promotion.js';
+import PromotionUse from '../models/promotionUse.js';
+import { getErrorResponse } from '../constants/errors.js';
+
+/**
+ * promotions
+ * a cart holds at most one code, its discount is worked out from the live promotion every time the cart is priced
+ * createOrder stores the result on the order, a use is counted when the order is placed
+ * and given back when the order is released without being paid
+ */
+
+export const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const lineTotal = (item) => item.price * item.quantity;
+
+/**
+ * cart items in the shape the pricing needs, items whose book is gone are left out
+ * @param {Array} items = cart items, bookId populated with categories
+ */
+export const toPricingItems = (items) =>
+	items
+		.filter((item) => item.bookId)
+		.map((item) => ({
+			bookId: item.bookId._id,
+			categories: item.bookId.categories || [],
+			variantId: item.variantId,
+			price: item.price,
+			quantity: item.quantity,
+		}));
+
+//items the promotion targets, all of them when it targets nothing
+const getEligibleItems = async (promotion, items) => {
+	if (promotion.books.length === 0 && promotion.categories.length === 0) {
+		return items;
+	}
+
+	const bookIds = promotion.books.map((id) => id.toString());
+	const categoryIds =
+		promotion.categories.length > 0
+			? (await Category.findDescendantIds(promotion.categories)).map((id) =>
+					id.toString()
+				)
+			: [];
+
+	return items.filter(
+		(item) =>
+			bookIds.includes(item.bookId.toString()) ||
+			item.categories.some((id) => categoryIds.includes(id.toString()))
+	);
+};
+
+//discount of every item, in the same order as the items
+const splitDiscount = (promotion, items) => {
+	switch (promotion.type) {
+		case 'percentage':
+			return items.map((item) =>
+				roundMoney((lineTotal(item) * promotion.value) / 100)
+			);
+
+		case 'fixed': {
+			//split over the items by their share of the price, rounding leftovers go on the last one
+			const total = items.reduce((sum, item) => sum + lineTotal(item), 0);
+			if (total === 0) return items.map(() => 0);
+			const amount = Math.min(promotion.value, total);
+			const shares = items.map((item) =>
+				roundMoney((amount * lineTotal(item)) / total)
+			);
+			const leftover = amount - shares.reduce((sum, share) => sum + share, 0);
+			shares[shares.length - 1] = roundMoney(
+				shares[shares.length - 1] + leftover
+			);
+			return shares;
+		}
+
+		case 'buy_x_get_y': {
+			//every copy on its own, cheapest first
+			const copies = items
+				.flatMap((item, index) =>
+					Array.from({ length: item.quantity }, () => ({
+						index,
+						price: item.price,
+					}))
+				)
+				.sort((a, b) => a.price - b.price);
+			const free =
+				Math.floor(
+					copies.length / (promotion.buyQuantity + promotion.getQuantity)
+				) * promotion.getQuantity;
+
+			const amounts = items.map(() => 0);
+			for (const copy of copies.slice(0, free)) {
+				amounts[copy.index] += copy.price;
+			}
+			return amounts.map(roundMoney);
+		}
+
+		default:
+			return items.map(() => 0);
+	}
+};
+
+/**
+ * check a promotion against the items and work out its discount
+ * @param {Document} promotion = promotion of the code, null for an unknown code
+ * @param {Array} items = from toPricingItems
+ * @param {string} userId = optional, for the per user limit, guests are checked at checkout
+ * @returns {Promise<object>} { discount } or { errorKey, details }
+ */
+export const applyPromotion = async (promotion, items, userId) => {
+	if (!promotion || !promotion.isActive) {
+		return { errorKey: 'PROMOTION_NOT_FOUND' };
+	}
+
+	if (!promotion.isRunning()) {
+		return { errorKey: 'PROMOTION_EXPIRED' };
+	}
+
+	if (
+		promotion.usageLimit !== null &&
+		promotion.usedCount >= promotion.usageLimit
+	) {
+		return { errorKey: 'PROMOTION_USED_UP' };
+	}
+
+	//checked for real when the order claims its use, see PromotionUse
+	if (userId && promotion.perUserLimit !== null) {
+		const use = await PromotionUse.findOne({
+			promotionId: promotion._id,
+			userId,
+		});
+		if ((use?.count || 0) >= promotion.perUserLimit) {
+			return { errorKey: 'PROMOTION_USER_LIMIT' };
+		}
+	}
+
+	const subtotal = items.reduce((sum, item) => sum + lineTotal(item), 0);
+	if (subtotal < promotion.minSpend) {
+		return {
+			errorKey: 'PROMOTION_MIN_SPEND',
+			details: [`Spend at least ${promotion.minSpend} to use this code`],
+		};
+	}
+
+	const eligible = await getEligibleItems(promotion, items);
+	const amounts = splitDiscount(promotion, eligible);
+	const amount = roundMoney(amounts.reduce((sum, share) => sum + share, 0));
+
+	//nothing targeted in the cart, or not enough copies for buy_x_get_y
+	if (
+		eligible.length === 0 ||
+		(amount === 0 && promotion.type !== 'free_shipping')
+	) {
+		return { errorKey: 'PROMOTION_NOT_APPLICABLE' };
+	}
+
+	return {
+		discount: {
+			promotionId: promotion._id,
+			code: promotion.code,
+			type: promotion.type,
+			amount,
+			freeShipping: promotion.type === 'free_shipping',
+			items: eligible
+				.map((item, i) => ({ variantId: item.variantId, amount: amounts[i] }))
+				.filter((item) => item.amount > 0),
+		},
+	};
+};
+
+/**
+ * price a cart, subtotal, the discount of its code and the total
+ * a code that stopped applying stays on the cart, why is in promotionError
+ * @param {Document} cart = items.bookId populated with categories
+ * @param {string} userId = optional, guests are checked at checkout
+ * @returns {Promise<object>} { subtotal, discount, total, promotionError }
+ */
+export const priceCart = async (cart, userId) => {
+	const items = toPricingItems(cart.items);
+	const subtotal = roundMoney(
+		items.reduce((sum, item) => sum + lineTotal(item), 0)
+	);
+	const pricing = { subtotal, discount: null, total: subtotal };
+
+	if (!cart.promotionCode) return pricing;
+
+	const promotion = await Promotion.findByCode(cart.promotionCode);
+	const { discount, errorKey, details } = await applyPromotion(
+		promotion,
+		items,
+		userId
+	);
+	if (errorKey) {
+		const error = getErrorResponse(errorKey);
+		return {
+			...pricing,
+			promotionError: { code: error.code, message: error.message, details },
+		};
+	}
+
+	return {
+		subtotal,
+		discount,
+		total: roundMoney(Math.max(subtotal - discount.amount, 0)),
+	};
+};
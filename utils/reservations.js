@@ -0,0 +1,253 @@
+import Book from '../models/book.js';
+import Order from '../models/order.js';
+import Promotion from '../models/promotion.js';
+import { handleStockChange, moveStock, recordMovement } from './inventory.js';
+import { transitionOrder } from './orderStatus.js';
+
+/**
+ * stock reservations
+ * createOrder takes the stock off sale right away (held), so two people cant pay for the last copy
+ * paying converts the hold into a sale, an unpaid order gives it back after
+ * ORDER_RESERVATION_MINUTES (def 15) and is cancelled
+ */
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+export const getReservationMinutes = () =>
+	parseInt(process.env.ORDER_RESERVATION_MINUTES) || 15;
+
+export const getReservationExpiry = () =>
+	new Date(Date.now() + getReservationMinutes() * 60 * 1000);
+
+/**
+ * put held stock of the items back on sale
+ * @param {Array} items = order items, { bookId, variantId, quantity }
+ * @param {boolean} notify = false when undoing a hold that was just made, it isnt really back in stock
+ * so no back in stock / low stock mails
+ */
+export const releaseStock = async (items, notify = true) => {
+	for (const item of items) {
+		const book = await Book.releaseVariantStock(
+			item.bookId,
+			item.variantId,
+			item.quantity
+		);
+		if (book && notify) {
+			const variant = book.variants.id(item.variantId);
+			await handleStockChange(
+				book,
+				item.variantId,
+				variant.stock - item.quantity
+			);
+		}
+	}
+};
+
+//held stock of a paid order leaves the warehouse, one sale per item in the ledger
+const commitItems = async (order) => {
+	for (const item of order.items) {
+		const book = await Book.commitVariantStock(
+			item.bookId,
+			item.variantId,
+			item.quantity
+		);
+		if (book) {
+			await recordMovement(book, item.variantId, {
+				type: 'sale',
+				quantity: -item.quantity,
+				orderId: order._id,
+			});
+		}
+	}
+};
+
+/**
+ * hold the stock of every item, all or nothing
+ * @param {Array} items = order items, { bookId, variantId, quantity }
+ * @returns {Promise<object|null>} the item there wasnt enough stock for, null if all were held
+ */
+export const reserveStock = async (items) => {
+	const reserved = [];
+	const changes = [];
+
+	for (const item of items) {
+		const book = await Book.reserveVariantStock(
+			item.bookId,
+			item.variantId,
+			item.quantity
+		);
+		if (!book) {
+			await releaseStock(reserved, false);
+			return item;
+		}
+		reserved.push(item);
+
+		const variant = book.variants.id(item.variantId);
+		changes.push([book, item.variantId, variant.stock + item.quantity]);
+	}
+
+	//low stock alerts only once every hold is in, a hold that is undone above never alerts
+	for (const [book, variantId, previousStock] of changes) {
+		await handleStockChange(book, variantId, previousStock);
+	}
+
+	return null;
+};
+
+/**
+ * give the held stock of an order back and cancel it
+ * the hold is claimed with the status change, so the sweeper and a payment never both act on it,
+ * only unpaid orders can be cancelled (see ORDER_TRANSITIONS)
+ * @param {Document} order = order to release
+ * @param {object} change = who cancels it, def to the sweeper
+ * @returns {Promise<Document|null>} the cancelled order, null if it had no hold or cant be cancelled anymore
+ */
+export const releaseReservation = async (
+	order,
+	change = { actor: 'system', note: 'Stock hold ran out' }
+) => {
+	const released = await transitionOrder(order, 'cancelled', change, {
+		match: { 'reservation.status': 'held' },
+		set: { 'reservation.status': 'released' },
+	});
+	if (!released) return null;
+
+	await releaseStock(released.items);
+	//the code can be used again
+	if (released.discount?.promotionId) {
+		await Promotion.releaseUse(released.discount.promotionId, released.userId);
+	}
+
+	return released;
+};
+
+/**
+ * cancel an unpaid order, its held stock is given back
+ * @param {object} change = { actor, userId, apiKeyId, note }
+ * @returns {Promise<Document|null>} the cancelled order, null if it cant be cancelled
+ */
+export const cancelOrder = (order, change) =>
+	order.reservation?.status === 'held'
+		? releaseReservation(order, change)
+		: transitionOrder(order, 'cancelled', change);
+
+/**
+ * move a paid order to returned or refunded and undo what its sale did
+ * copies that come back to the warehouse (a return, or a refund before shipping) are put back on sale
+ * as `return` movements, the promotion use is given back once, by whichever of the two comes first
+ * @param {Document} order = order to change
+ * @param {string} status = returned or refunded
+ * @param {object} change = { actor, userId, apiKeyId, note }
+ * @returns {Promise<Document|null>} the updated order, null if it cant move to the status
+ */
+export const takeBackOrder = async (order, status, change) => {
+	const from = order.status;
+	//pinned to the status read, so the side effects below match the move that was made
+	const updated = await transitionOrder(order, status, change, { from });
+	if (!updated) return null;
+
+	//backordered stock never left, a refund after delivery leaves the copies with the customer
+	const restock =
+		updated.reservation?.status === 'converted' &&
+		(status === 'returned' || ['paid', 'processing'].includes(from));
+	if (restock) {
+		for (const item of updated.items) {
+			await moveStock(item.bookId, item.variantId, {
+				type: 'return',
+				quantity: item.quantity,
+				reason: `Order ${status}`,
+				orderId: updated._id,
+				createdBy: change.userId,
+				apiKeyId: change.apiKeyId,
+			});
+		}
+	}
+
+	if (from !== 'returned' && updated.discount?.promotionId) {
+		await Promotion.releaseUse(updated.discount.promotionId, updated.userId);
+	}
+
+	return updated;
+};
+
+/**
+ * turn the held stock of a paid order into a sale
+ * if the hold already ran out (or the order is older than reservations) the stock is taken now,
+ * when that is gone too the order is paid but backordered
+ * @param {Document} order = paid order
+ * @returns {Promise<string>} the reservation status afterwards
+ */
+export const convertReservation = async (order) => {
+	const held = await Order.findOneAndUpdate(
+		{ _id: order._id, 'reservation.status': 'held' },
+		{ $set: { 'reservation.status': 'converted' } }
+	);
+
+	if (held) {
+		await commitItems(held);
+	} else {
+		const claimed = await Order.findOneAndUpdate(
+			{
+				_id: order._id,
+				'reservation.status': { $nin: ['held', 'converted', 'backordered'] },
+			},
+			{ $set: { 'reservation.status': 'converted' } }
+		);
+		if (!claimed) return order.reservation?.status;
+
+		const missing = await reserveStock(claimed.items);
+		if (missing) {
+			console.error(
+				`Order ${order._id} was paid after its stock was released, it is backordered`
+			);
+			await Order.updateOne(
+				{ _id: order._id },
+				{ $set: { 'reservation.status': 'backordered' } }
+			);
+			order.set('reservation.status', 'backordered');
+			return 'backordered';
+		}
+		await commitItems(claimed);
+	}
+
+	order.set('reservation.status', 'converted');
+	return 'converted';
+};
+
+/**
+ * hold ran out and still not paid
+ */
+export const isReservationExpired = (order) =>
+	['pending', 'failed'].includes(order.status) &&
+	order.reservation?.status === 'held' &&
+	order.reservation.expiresAt <= new Date();
+
+/**
+ * cancel unpaid orders whose hold ran out, their stock goes back on sale
+ * @returns {Promise<number>} how many orders were released
+ */
+export const releaseExpiredReservations = async () => {
+	const orders = await Order.find({
+		status: { $in: ['pending', 'failed'] },
+		'reservation.status': 'held',
+		'reservation.expiresAt': { $lte: new Date() },
+	});
+
+	let released = 0;
+	for (const order of orders) {
+		if (await releaseReservation(order)) released++;
+	}
+	return released;
+};
+
+/**
+ * run releaseExpiredReservations every minute, doesnt keep the process alive on its own
+ */
+export const startReservationSweeper = () => {
+	const sweep = () =>
+		releaseExpiredReservations().catch((error) =>
+			console.error('Release reservations error:', error.message)
+		);
+
+	sweep();
+	return setInterval(sweep, SWEEP_INTERVAL_MS).unref();
+};
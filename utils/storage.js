@@ -0,0 +1,88 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+/**
+ * file storage adapters, each one has
+ * save({ buffer, extension, folder }) => { key, url }
+ * remove(key) => removes the file, no error if it is already gone
+ * local - writes to UPLOAD_DIR (def uploads), served by express under /uploads
+ * object storage (s3, cloudinary...) can be plugged in with registerStorageAdapter
+ */
+export const LOCAL_UPLOAD_ROUTE = '/uploads';
+
+export const getLocalUploadDir = () =>
+	path.resolve(process.env.UPLOAD_DIR || 'uploads');
+
+//keys are generated by us, but never let one point outside the upload dir
+const resolveLocalPath = (key) => {
+	const root = getLocalUploadDir();
+	const filePath = path.resolve(root, key);
+	if (!filePath.startsWith(root + path.sep)) {
+		throw new Error(`Invalid storage key: ${key}`);
+	}
+	return filePath;
+};
+
+const adapters = {
+	local: {
+		save: async ({ buffer, extension, folder }) => {
+			const key = `${folder}/${crypto.randomBytes(16).toString('hex')}.${extension}`;
+			const filePath = resolveLocalPath(key);
+
+			await fs.mkdir(path.dirname(filePath), { recursive: true });
+			await fs.writeFile(filePath, buffer);
+
+			const baseUrl = process.env.UPLOAD_PUBLIC_URL || LOCAL_UPLOAD_ROUTE;
+			return { key, url: `${baseUrl}/${key}` };
+		},
+
+		remove: async (key) => {
+			try {
+				await fs.unlink(resolveLocalPath(key));
+			} catch (error) {
+				if (error.code !== 'ENOENT') throw error;
+			}
+		},
+	},
+};
+
+/**
+ * register a custom storage adapter
+ * @param {string} name = name used in STORAGE_DRIVER env
+ * @param {object} adapter = { save, remove }
+ */
+export const registerStorageAdapter = (name, adapter) => {
+	adapters[name] = adapter;
+};
+
+/**
+ * adapter from STORAGE_DRIVER env, defaults to local
+ */
+export const getStorage = () => {
+	const driver = process.env.STORAGE_DRIVER || 'local';
+	const adapter = adapters[driver];
+
+	if (!adapter) {
+		throw new Error(`Unknown storage driver: ${driver}`);
+	}
+
+	return adapter;
+};
+
+export const isLocalStorage = () =>
+	(process.env.STORAGE_DRIVER || 'local') === 'local';
+
+/**
+ * remove a stored file without failing the request, a leftover file is not worth a 500
+ * @param {string} key = storage key, nothing happens if empty
+ */
+export const removeStoredFile = async (key) => {
+	if (!key) return;
+
+	try {
+		await getStorage().remove(key);
+	} catch (error) {
+		console.error(`Remove stored file error (${key}):`, error.message);
+	}
+};
@@ -1,3 +1,5 @@
+import { BOOK_FORMATS } from '../models/book.js';
+
 export const validateEmail = (email) => {
 	const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
 	return emailRegex.test(email);
@@ -9,25 +11,70 @@ export const validatePassword = (password) => {
 };
 
 export const validateName = (name) => {
-	return name && name.trim().length >= 2;
+	return (
+		typeof name === 'string' &&
+		name.trim().length >= 2 &&
+		name.trim().length <= 50
+	);
 };
 
 export const validatePrice = (price) => {
 	return price && !isNaN(price) && price >= 0;
 };
 
+/**
+ * isbn without dashes / spaces, X uppercased, so the same book always has the same isbn
+ */
+export const normalizeIsbn = (isbn) =>
+	`${isbn}`.replace(/[\s-]/g, '').toUpperCase();
+
+/**
+ * check an isbn 10 or 13, including its check digit
+ */
+export const validateIsbn = (isbn) => {
+	const value = normalizeIsbn(isbn);
+
+	if (/^\d{9}[\dX]$/.test(value)) {
+		const sum = [...value].reduce(
+			(total, char, i) => total + (char === 'X' ? 10 : +char) * (10 - i),
+			0
+		);
+		return sum % 11 === 0;
+	}
+
+	if (/^\d{13}$/.test(value)) {
+		const sum = [...value].reduce(
+			(total, char, i) => total + +char * (i % 2 === 0 ? 1 : 3),
+			0
+		);
+		return sum % 10 === 0;
+	}
+
+	return false;
+};
+
 export const validateBookData = (data) => {
 	const errors = {};
 
-	if (!data.title || !data.title.trim()) {
+	if (typeof data.title !== 'string' || !data.title.trim()) {
 		errors.title = 'Title is required';
 	}
 
-	if (!data.author || !data.author.trim()) {
+	if (typeof data.author !== 'string' || !data.author.trim()) {
 		errors.author = 'Author is required';
 	}
 
-	if (!validatePrice(data.price)) {
+	//with variants the book price comes from them
+	if (data.variants !== undefined) {
+		if (!Array.isArray(data.variants) || data.variants.length === 0) {
+			errors.variants = 'Variants must be a non empty array';
+		} else {
+			data.variants.forEach((variant, i) => {
+				const validation = validateVariantData(variant || {});
+				if (!validation.isValid) errors[`variants.${i}`] = validation.errors;
+			});
+		}
+	} else if (!validatePrice(data.price)) {
 		errors.price = 'Valid price is required';
 	}
 
@@ -35,5 +82,118 @@ export const validateBookData = (data) => {
 		errors.imagePath = 'Image path is required';
 	}
 
+	if (
+		data.stock !== undefined &&
+		!(Number.isInteger(Number(data.stock)) && Number(data.stock) >= 0)
+	) {
+		errors.stock = 'Stock must be a whole number of at least 0';
+	}
+
+	//ids or slugs (a single one can be a plain string), whether they exist is checked when saving
+	if (
+		data.categories !== undefined &&
+		![]
+			.concat(data.categories)
+			.every((category) => typeof category === 'string' && category.trim())
+	) {
+		errors.categories = 'Categories must be a list of category ids or slugs';
+	}
+
+	if (data.isbn !== undefined && !validateIsbn(data.isbn)) {
+		errors.isbn = 'Valid ISBN-10 or ISBN-13 is required';
+	}
+
+	return { isValid: Object.keys(errors).length === 0, errors };
+};
+
+/**
+ * validate a book variant, partial = true only checks the fields that are present (updates)
+ */
+export const validateVariantData = (data, partial = false) => {
+	const errors = {};
+
+	if (
+		(!partial || data.format !== undefined) &&
+		!BOOK_FORMATS.includes(data.format)
+	) {
+		errors.format = `Format must be one of: ${BOOK_FORMATS.join(', ')}`;
+	}
+
+	if (
+		(!partial || data.price !== undefined) &&
+		!(typeof data.price === 'number' && data.price >= 0)
+	) {
+		errors.price = 'Valid price is required';
+	}
+
+	if (
+		data.stock !== undefined &&
+		!(Number.isInteger(data.stock) && data.stock >= 0)
+	) {
+		errors.stock = 'Stock must be a whole number of at least 0';
+	}
+
+	//null goes back to the LOW_STOCK_THRESHOLD default
+	if (
+		data.lowStockThreshold != null &&
+		!(Number.isInteger(data.lowStockThreshold) && data.lowStockThreshold >= 0)
+	) {
+		errors.lowStockThreshold =
+			'Low stock threshold must be a whole number of at least 0';
+	}
+
+	//grams, null goes back to the weight of the format
+	if (
+		data.weight != null &&
+		!(typeof data.weight === 'number' && data.weight >= 0)
+	) {
+		errors.weight = 'Weight must be a number of at least 0 (grams)';
+	}
+
+	if (data.sku !== undefined && !/^[A-Za-z0-9_-]{3,40}$/.test(data.sku)) {
+		errors.sku = 'SKU can only contain letters, numbers, _ and - (3-40)';
+	}
+
+	if (data.isbn !== undefined && !validateIsbn(data.isbn)) {
+		errors.isbn = 'Valid ISBN-10 or ISBN-13 is required';
+	}
+
+	if (data.edition !== undefined && typeof data.edition !== 'string') {
+		errors.edition = 'Edition must be a string';
+	}
+
+	return { isValid: Object.keys(errors).length === 0, errors };
+};
+
+export const validatePhoneNumber = (phoneNumber) => {
+	return /^\+?[\d\s-()]+$/.test(phoneNumber);
+};
+
+/**
+ * validate an address, partial = true only checks the fields that are present (updates)
+ */
+export const validateAddressData = (data, partial = false) => {
+	const errors = {};
+	const required = ['fullName', 'phoneNumber', 'address', 'city', 'country'];
+
+	for (const field of required) {
+		const value = data[field];
+		if ((!partial || value !== undefined) && (!value || !`${value}`.trim())) {
+			errors[field] = `${field} is required`;
+		}
+	}
+
+	if (
+		data.phoneNumber &&
+		!errors.phoneNumber &&
+		!validatePhoneNumber(data.phoneNumber)
+	) {
+		errors.phoneNumber = 'Valid phone number is required';
+	}
+
+	if (data.isDefault !== undefined && typeof data.isDefault !== 'boolean') {
+		errors.isDefault = 'isDefault must be true or false';
+	}
+
 	return { isValid: Object.keys(errors).length === 0, errors };
 };